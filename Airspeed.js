@@ -0,0 +1,254 @@
+/**
+ * Airspeed.js
+ * Pure Airspeed Conversion Module.
+ * 
+ * Converts between calibrated (CAS), equivalent (EAS) and true (TAS) airspeed,
+ * Mach number and ground speed on the ICAO Standard Atmosphere. Uses the
+ * compressible flow (St Venant) pitot relations below Mach 1 and Rayleigh's
+ * pitot formula above Mach 1.
+ * 
+ * Depends on the QNH module for the static pressure and ISA temperature at
+ * the pressure altitude.
+ * 
+ * References:
+ * - Manual of the ICAO Standard Atmosphere (Doc 7488/3)
+ * - Gracey, W. (1980). "Measurement of Aircraft Speed and Altitude". NASA RP-1046.
+ * 
+ * @module Airspeed
+ * @author ATSEP Toolbox
+ */
+
+const Airspeed = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const STANDARD_PRESSURE_HPA = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.STANDARD_PRESSURE_HPA : 1013.25;
+    const T0 = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.STANDARD_TEMP_K : 288.15;
+    const Rs = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.GAS_CONSTANT_DRY_AIR : 287.05287;
+    const GAMMA = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.ADIABATIC_INDEX_AIR : 1.4;
+    const MPS_PER_KNOT = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.MPS_PER_KNOT : 1852 / 3600;
+
+    /** Sea level standard speed of sound in knots (≈ 661.48 kt) */
+    const A0 = Math.sqrt(GAMMA * Rs * T0) / MPS_PER_KNOT;
+
+    /**
+     * Converts degrees to radians
+     * @param {number} d - Angle in degrees
+     * @returns {number} Angle in radians
+     */
+    const toRad = d => d * Math.PI / 180;
+
+    /**
+     * Converts radians to degrees
+     * @param {number} r - Angle in radians
+     * @returns {number} Angle in degrees
+     */
+    const toDeg = r => r * 180 / Math.PI;
+
+    /**
+     * Impact pressure ratio qc/P for a Mach number.
+     * 
+     * - Subsonic: qc/P = (1 + 0.2 M²)^3.5 - 1
+     * - Supersonic (Rayleigh): qc/P = 166.9216 M⁷ / (7M² - 1)^2.5 - 1
+     * 
+     * @param {number} M - Mach number
+     * @returns {number} Impact pressure ratio qc/P
+     * @private
+     */
+    function _impactRatio(M) {
+        if (M <= 1) {
+            return (1 + 0.2 * M * M) ** 3.5 - 1;
+        }
+        return 166.9216 * M ** 7 / (7 * M * M - 1) ** 2.5 - 1;
+    }
+
+    /**
+     * Mach number for an impact pressure ratio qc/P (inverse of _impactRatio).
+     * Above Mach 1 the Rayleigh formula is solved by fixed-point iteration,
+     * which converges in a few steps for all practical ratios.
+     * 
+     * @param {number} ratio - Impact pressure ratio qc/P
+     * @returns {number} Mach number
+     * @private
+     */
+    function _machFromImpactRatio(ratio) {
+        let M = Math.sqrt(5 * ((ratio + 1) ** (2 / 7) - 1));
+        if (M <= 1) return M;
+
+        for (let i = 0; i < 50; i++) {
+            const next = 0.881285 * Math.sqrt((ratio + 1) * (1 - 1 / (7 * M * M)) ** 2.5);
+            if (Math.abs(next - M) < 1e-12) return next;
+            M = next;
+        }
+        return M;
+    }
+
+    /**
+     * Solves the wind triangle.
+     * 
+     * @param {number} tas - True airspeed in knots (or null when gs is known)
+     * @param {number} gs - Ground speed in knots (or null when tas is known)
+     * @param {Object} wind - { direction, speed, track } in degrees true / knots
+     * @returns {Object} { tas, gs, heading, windCorrectionAngle }
+     * @private
+     */
+    function _windTriangle(tas, gs, wind) {
+        const wd = toRad(wind.direction);
+        const crs = toRad(wind.track);
+
+        if (gs === null) {
+            // Wind correction angle keeps the aircraft on track
+            const sinWca = wind.speed * Math.sin(wd - crs) / tas;
+            if (Math.abs(sinWca) > 1) return null;
+            const wca = Math.asin(sinWca);
+            gs = tas * Math.cos(wca) - wind.speed * Math.cos(wd - crs);
+            return { tas: tas, gs: gs, heading: (toDeg(crs + wca) + 360) % 360, windCorrectionAngle: toDeg(wca) };
+        }
+
+        // Air vector = ground vector - wind vector (wind blows from wd)
+        const x = gs * Math.sin(crs) + wind.speed * Math.sin(wd);
+        const y = gs * Math.cos(crs) + wind.speed * Math.cos(wd);
+        const heading = (toDeg(Math.atan2(x, y)) + 360) % 360;
+        let wca = heading - wind.track;
+        if (wca > 180) wca -= 360;
+        if (wca < -180) wca += 360;
+
+        return { tas: Math.sqrt(x * x + y * y), gs: gs, heading: heading, windCorrectionAngle: wca };
+    }
+
+    /**
+     * Converts an airspeed to all other airspeeds at a pressure altitude.
+     * 
+     * Relations used (a0 = sea level speed of sound, a = local speed of sound):
+     * - CAS → qc = P0 × [(1 + 0.2 (CAS/a0)²)^3.5 - 1]
+     * - qc, P → Mach (see _machFromImpactRatio)
+     * - TAS = M × a, with a = √(γ R T) from the actual (or ISA) temperature
+     * - EAS = M × a0 × √δ, with δ = P / P0
+     * 
+     * IAS is taken equal to CAS, as instrument and position errors are
+     * aircraft specific and not modelled.
+     * 
+     * @param {number} value - Speed in knots, or the Mach number for 'MACH'
+     * @param {string} inputType - 'IAS', 'CAS', 'EAS', 'TAS', 'MACH' or 'GS'
+     * @param {number} altitude - Pressure altitude value
+     * @param {string} [altitudeUnit='FL'] - 'FL', 'feet', or 'meters'
+     * @param {number} [temperatureC] - Outside (static) air temperature in °C; ISA if omitted
+     * @param {Object} [wind] - { direction, speed, track } in degrees true / knots;
+     *   required for 'GS', no wind if omitted
+     * @returns {Object} Result object with properties:
+     *   - cas, eas, tas, gs: Speeds in knots
+     *   - mach: Mach number
+     *   - heading: True heading in degrees (null without wind)
+     *   - windCorrectionAngle: Wind correction angle in degrees (null without wind)
+     *   - temperatureC: Static air temperature used in °C
+     *   - isaDeviation: Temperature deviation from ISA in K
+     *   - speedOfSound: Local speed of sound in knots
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     * 
+     * @example
+     * // Mach 0.78 at FL350 in ISA
+     * const res = Airspeed.convert(0.78, 'MACH', 350, 'FL');
+     * // res.tas ≈ 450 kt, res.cas ≈ 264 kt
+     */
+    function convert(value, inputType, altitude, altitudeUnit = 'FL', temperatureC, wind) {
+        if (typeof value !== 'number' || isNaN(value) || value < 0) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_SPEED
+                : "Invalid speed value";
+            return { error: true, msg: msg };
+        }
+
+        const isa = QNH.standardAtmosphere(altitude, altitudeUnit);
+        if (isa.error) return isa;
+
+        if (temperatureC !== undefined && temperatureC !== null &&
+            (typeof temperatureC !== 'number' || isNaN(temperatureC) || temperatureC <= -273.15)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_TEMPERATURE
+                : "Invalid temperature value";
+            return { error: true, msg: msg };
+        }
+
+        const hasWind = wind !== undefined && wind !== null;
+        if ((hasWind || inputType === 'GS') &&
+            (!hasWind || [wind.direction, wind.speed, wind.track].some(v => typeof v !== 'number' || isNaN(v)))) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_WIND
+                : "Invalid wind";
+            return { error: true, msg: msg };
+        }
+
+        const T = (typeof temperatureC === 'number') ? temperatureC + 273.15 : isa.temperature;
+        const a = Math.sqrt(GAMMA * Rs * T) / MPS_PER_KNOT;
+        const delta = isa.pressure / STANDARD_PRESSURE_HPA;
+
+        // Reduce every input to a Mach number first
+        let mach;
+        let triangle = null;
+
+        if (inputType === 'IAS' || inputType === 'CAS') {
+            const qc = STANDARD_PRESSURE_HPA * _impactRatio(value / A0);
+            mach = _machFromImpactRatio(qc / isa.pressure);
+        } else if (inputType === 'EAS') {
+            mach = value / (A0 * Math.sqrt(delta));
+        } else if (inputType === 'TAS') {
+            mach = value / a;
+        } else if (inputType === 'MACH') {
+            mach = value;
+        } else if (inputType === 'GS') {
+            triangle = _windTriangle(null, value, wind);
+            mach = triangle.tas / a;
+        } else {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_SPEED
+                : "Invalid speed type";
+            return { error: true, msg: msg };
+        }
+
+        const tas = mach * a;
+        const qc = isa.pressure * _impactRatio(mach);
+        const cas = A0 * _machFromImpactRatio(qc / STANDARD_PRESSURE_HPA);
+        const eas = mach * A0 * Math.sqrt(delta);
+
+        if (hasWind && triangle === null) {
+            if (!(tas > 0)) {
+                const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                    ? ERROR_MESSAGES.WIND_ZERO_TAS
+                    : "True airspeed must be above zero to apply a wind";
+                return { error: true, msg: msg };
+            }
+            triangle = _windTriangle(tas, null, wind);
+            if (triangle === null) {
+                const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                    ? ERROR_MESSAGES.WIND_EXCEEDS_TAS
+                    : "Crosswind exceeds true airspeed";
+                return { error: true, msg: msg };
+            }
+        }
+
+        return {
+            cas: cas,
+            eas: eas,
+            tas: tas,
+            mach: mach,
+            gs: triangle ? triangle.gs : tas,
+            heading: triangle ? triangle.heading : null,
+            windCorrectionAngle: triangle ? triangle.windCorrectionAngle : null,
+            temperatureC: T - 273.15,
+            isaDeviation: T - isa.temperature,
+            speedOfSound: a,
+            error: false
+        };
+    }
+
+    // Public API
+    return {
+        convert,
+        // Expose constants for use by other modules
+        SPEED_OF_SOUND_SL_KT: A0
+    };
+})();
@@ -0,0 +1,335 @@
+/**
+ * CoordinateParser.js
+ * Pure Coordinate Text Parsing Module.
+ *
+ * Reads latitude and longitude from free text as found in AIP publications,
+ * ICAO messages, charts and web pages, and returns decimal degrees.
+ *
+ * Recognised formats (each value may use any of them):
+ * - AIP compact: 512834N, 512834.20N, 5128N; 0002712W, 00027W
+ *   (DDMMSS / DDMM for latitude, DDDMMSS / DDDMM for longitude)
+ * - Degrees, minutes and seconds with symbols or spaces: 51°28'34.2"N, 51 28 34.2 N
+ * - Degrees and decimal minutes: N51 28.570, 51°28.570'N
+ * - Signed decimal degrees: 51.476167, -0.453333
+ * - Hemisphere letter before or after the value: N51.4762, 51.4762N
+ *
+ * A pair without hemisphere letters is read in ISO 6709 order, latitude
+ * first. Text that can be read more than one way (a compact value without
+ * hemisphere letter, a comma that may be a decimal separator, numbers with
+ * no separator, letter, sign or fraction marking where the longitude starts, a pair
+ * whose first value can only be a longitude) is rejected with a message
+ * saying what to change, rather than guessed.
+ *
+ * References:
+ * - ICAO Doc 8126 (2003). "Aeronautical Information Services Manual",
+ *   6th ed. Geographical coordinates in AIP tables.
+ * - ICAO Doc 4444 (2016). "PANS-ATM", 16th ed. Appendix 2, significant
+ *   point in latitude and longitude.
+ * - ISO 6709:2022. "Standard representation of geographic point location
+ *   by coordinates".
+ *
+ * @module CoordinateParser
+ * @author ATSEP Toolbox
+ */
+
+const CoordinateParser = (function () {
+    /** Unit markers of degrees, minutes and seconds, in order */
+    const MARKERS = ['°', "'", '"'];
+
+    /** Axis named by each hemisphere letter */
+    const AXIS = { N: 'lat', S: 'lat', E: 'lon', W: 'lon' };
+
+    /**
+     * Builds an error result object.
+     * @param {string} key - ERROR_MESSAGES key
+     * @param {string} fallback - Message used when ERROR_MESSAGES is unavailable
+     * @returns {Object} { error: true, msg }
+     * @private
+     */
+    function _error(key, fallback) {
+        const msg = (typeof ERROR_MESSAGES !== 'undefined') ? ERROR_MESSAGES[key] : fallback;
+        return { error: true, msg: msg };
+    }
+
+    const _unrecognized = () => _error('COORD_UNRECOGNIZED', 'Coordinate text not recognized');
+
+    /**
+     * Upper-cases the text, unifies typographic symbols and drops axis labels.
+     * @param {string} text - Raw text
+     * @returns {string} Normalized text
+     * @private
+     */
+    function _normalize(text) {
+        return text.toUpperCase()
+            .replace(/[′’‘´`]/g, "'")
+            .replace(/[″”“]|''/g, '"')
+            .replace(/[º˚]/g, '°')
+            .replace(/[−–]/g, '-')
+            .replace(/(LATITUDE|LONGITUDE|LAT|LONG|LON)\s*[:=]?/g, ' ')
+            .replace(/:/g, ' ');
+    }
+
+    /**
+     * Splits normalized text into number, hemisphere and separator tokens.
+     * @param {string} s - Normalized text
+     * @returns {Object[]|null} Tokens, or null if the text has other characters
+     * @private
+     */
+    function _tokenize(s) {
+        const tokens = [];
+        const re = /\s*(?:([+-]?)(\d+)(?:\.(\d+))?\s*([°'"]?)|([NSEW])|([,;/]))/y;
+        let match;
+        while (re.lastIndex < s.length) {
+            const start = re.lastIndex;
+            match = re.exec(s);
+            if (!match) {
+                // Only trailing whitespace may be left
+                return s.slice(start).trim() === '' ? tokens : null;
+            }
+            if (match[2] !== undefined) {
+                tokens.push({
+                    type: 'num',
+                    negative: match[1] === '-',
+                    signed: match[1] !== '',
+                    int: match[2],
+                    frac: match[3],
+                    value: parseFloat(`${match[2]}.${match[3] || 0}`),
+                    marker: match[4]
+                });
+            } else if (match[5]) {
+                tokens.push({ type: 'hemi', letter: match[5] });
+            } else {
+                tokens.push({ type: 'sep' });
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Groups tokens into one list of numbers per coordinate value.
+     * Hemisphere letters bound the groups when present; otherwise commas,
+     * degree symbols, a sign on the first longitude number or a fraction on
+     * the last latitude number do.
+     * @param {Object[]} tokens - Tokens from _tokenize
+     * @returns {Object} { groups: [{ nums, letter }] } or error result
+     * @private
+     */
+    function _group(tokens) {
+        const nums = tokens.filter(t => t.type === 'num');
+        if (nums.length === 0) return _unrecognized();
+
+        if (tokens.some(t => t.type === 'hemi')) {
+            const significant = tokens.filter(t => t.type !== 'sep');
+            const prefix = significant[0].type === 'hemi';
+            const groups = [];
+            let current = prefix ? null : { nums: [] };
+
+            for (const t of significant) {
+                if (t.type === 'hemi' && prefix) {
+                    current = { nums: [], letter: t.letter };
+                    groups.push(current);
+                } else if (t.type === 'hemi') {
+                    current.letter = t.letter;
+                    groups.push(current);
+                    current = { nums: [] };
+                } else {
+                    current.nums.push(t);
+                }
+            }
+            // Numbers left after the last suffix letter belong to no value
+            if (!prefix && current.nums.length > 0) return _unrecognized();
+            if (groups.some(g => g.nums.length === 0 || g.nums.some(n => n.signed))) {
+                return _unrecognized();
+            }
+            return { groups: groups };
+        }
+
+        // No hemisphere letters: split at separators first
+        const segments = [[]];
+        tokens.forEach(t => {
+            if (t.type === 'sep') segments.push([]);
+            else segments[segments.length - 1].push(t);
+        });
+        const filled = segments.filter(seg => seg.length > 0);
+        if (filled.length > 1) {
+            return { groups: filled.map(seg => ({ nums: seg })) };
+        }
+
+        // Then at each value marked in degrees
+        if (nums.some(n => n.marker === '°')) {
+            const groups = [];
+            nums.forEach(n => {
+                if (n.marker === '°' || groups.length === 0) groups.push({ nums: [] });
+                groups[groups.length - 1].nums.push(n);
+            });
+            return { groups: groups };
+        }
+
+        // Then one DD or DMS value, or two halves of equal length whose second
+        // half starts with a sign or whose first half ends with a fraction: DD,
+        // DDM or DMS pairs. "51 28.570" may be one DDM value or a DD pair, so
+        // no other split is guessed.
+        if (nums.length === 1 || nums.length === 3) return { groups: [{ nums: nums }] };
+        if (nums.length === 2 || nums.length === 4 || nums.length === 6) {
+            const half = nums.length / 2;
+            if (nums[half].signed || nums[half - 1].frac) {
+                return { groups: [{ nums: nums.slice(0, half) }, { nums: nums.slice(half) }] };
+            }
+        }
+        return _error('COORD_AMBIGUOUS_GROUPS',
+            'Ambiguous coordinate text: separate latitude and longitude with a comma or N/S and E/W letters');
+    }
+
+    /**
+     * Reads an AIP compact value such as 512834.2 or 0002712.
+     * @param {Object} num - Number token
+     * @param {string} axis - 'lat' or 'lon'
+     * @returns {Object} { value, format } or error result
+     * @private
+     */
+    function _compactValue(num, axis) {
+        const degDigits = axis === 'lat' ? 2 : 3;
+        const len = num.int.length - degDigits;
+        if (len !== 2 && len !== 4) {
+            return _error('COORD_AMBIGUOUS_COMPACT',
+                'Ambiguous compact coordinate: use DDMM(SS) for latitude and DDDMM(SS) for longitude, with the hemisphere letter');
+        }
+
+        const frac = num.frac ? parseFloat(`0.${num.frac}`) : 0;
+        const deg = parseInt(num.int.slice(0, degDigits), 10);
+        const min = parseInt(num.int.slice(degDigits, degDigits + 2), 10) + (len === 2 ? frac : 0);
+        const sec = len === 4 ? parseInt(num.int.slice(degDigits + 2), 10) + frac : 0;
+        if (min >= 60 || sec >= 60) {
+            return _error('INVALID_MINUTES', 'Minutes and seconds must be less than 60');
+        }
+        return { value: deg + min / 60 + sec / 3600, format: 'AIP' };
+    }
+
+    /**
+     * Reads the unsigned value of a group of one to three numbers.
+     * @param {Object} group - { nums, letter }
+     * @param {string|null} axis - 'lat', 'lon', or null for a single unlabelled value
+     * @returns {Object} { value, format } or error result
+     * @private
+     */
+    function _groupValue(group, axis) {
+        const nums = group.nums;
+
+        // Four or more integer digits in a single number: AIP compact
+        if (nums.length === 1 && nums[0].int.length >= 4 && !nums[0].marker) {
+            if (!group.letter) {
+                return _error('COORD_AMBIGUOUS_COMPACT',
+                    'Ambiguous compact coordinate: use DDMM(SS) for latitude and DDDMM(SS) for longitude, with the hemisphere letter');
+            }
+            return _compactValue(nums[0], axis);
+        }
+
+        if (nums.length > 3) return _unrecognized();
+        // Only the first number carries a sign, only the last a fraction
+        if (nums.some((n, i) => (i > 0 && n.signed) || (i < nums.length - 1 && n.frac))) {
+            return _unrecognized();
+        }
+        if (nums.some((n, i) => n.marker && n.marker !== MARKERS[i])) return _unrecognized();
+
+        const [deg, min = 0, sec = 0] = nums.map(n => n.value);
+        if (min >= 60 || sec >= 60) {
+            return _error('INVALID_MINUTES', 'Minutes and seconds must be less than 60');
+        }
+        return {
+            value: deg + min / 60 + sec / 3600,
+            format: ['DD', 'DDM', 'DMS'][nums.length - 1]
+        };
+    }
+
+    /**
+     * Parses latitude and/or longitude from text.
+     *
+     * A single value with a hemisphere letter fills only its own axis; a
+     * single value without one is returned as `value`, for the caller to
+     * place. Latitudes south and longitudes west are negative.
+     *
+     * @param {string} text - Text to parse
+     * @returns {Object} Result object with properties:
+     *   - lat: Latitude in decimal degrees, or null if not in the text
+     *   - lon: Longitude in decimal degrees, or null if not in the text
+     *   - value: Signed decimal degrees of a single value of unknown axis, or null
+     *   - format: Format(s) recognised ('AIP', 'DD', 'DDM', 'DMS'), joined with '/'
+     *   - error: True if parsing failed
+     *   - msg: Error message if error is true
+     *
+     * @example
+     * CoordinateParser.parse('512834N 0002712W');
+     * // { lat: 51.476111, lon: -0.453333, value: null, format: 'AIP', error: false }
+     * CoordinateParser.parse('N51 28.570 W000 27.200');
+     * // { lat: 51.476167, lon: -0.453333, value: null, format: 'DDM', error: false }
+     */
+    function parse(text) {
+        if (typeof text !== 'string' || text.trim() === '') return _unrecognized();
+
+        let s = _normalize(text.trim());
+
+        // A comma between digits is either a decimal or a list separator
+        if (/\d,\d/.test(s) && !s.includes('.')) {
+            if (!/[\s;]/.test(s)) {
+                return _error('COORD_AMBIGUOUS_DECIMAL',
+                    'Ambiguous comma: use a point as decimal separator, or a space after the comma between values');
+            }
+            s = s.replace(/(\d),(\d)/g, '$1.$2');
+        }
+
+        const tokens = _tokenize(s);
+        if (!tokens) return _unrecognized();
+
+        const grouped = _group(tokens);
+        if (grouped.error) return grouped;
+        const groups = grouped.groups;
+        if (groups.length > 2) {
+            return _error('COORD_TOO_MANY', 'More than one position found');
+        }
+
+        const result = { lat: null, lon: null, value: null, format: null, error: false };
+        const formats = [];
+        const lettered = groups[0].letter !== undefined;
+
+        for (let i = 0; i < groups.length; i++) {
+            const group = groups[i];
+            let axis = null;
+            if (lettered) axis = AXIS[group.letter];
+            else if (groups.length === 2) axis = i === 0 ? 'lat' : 'lon';
+
+            const read = _groupValue(group, axis);
+            if (read.error) return read;
+            if (!formats.includes(read.format)) formats.push(read.format);
+
+            const negative = group.letter === 'S' || group.letter === 'W' || group.nums[0].negative;
+            const value = negative ? -read.value : read.value;
+
+            if (!axis) {
+                result.value = value;
+            } else if (result[axis] !== null) {
+                return _error('COORD_DUPLICATE_AXIS', 'Two latitudes or two longitudes found');
+            } else {
+                result[axis] = value;
+            }
+        }
+
+        // An unlabelled pair starting with a value beyond 90° is in longitude-first order
+        if (!lettered && groups.length === 2 && Math.abs(result.lat) > 90 && Math.abs(result.lon) <= 90) {
+            return _error('COORD_LON_LAT_ORDER',
+                'First value is beyond 90°: enter latitude first, or add N/S and E/W letters');
+        }
+        if (Math.abs(result.lat) > 90) {
+            return _error('LATITUDE_RANGE', 'Latitude must be between -90° and +90°');
+        }
+        if (Math.abs(result.lon) > 180 || Math.abs(result.value) > 180) {
+            return _error('LONGITUDE_RANGE', 'Longitude must be between -180° and +180°');
+        }
+
+        result.format = formats.join('/');
+        return result;
+    }
+
+    return {
+        parse
+    };
+})();
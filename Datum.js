@@ -0,0 +1,343 @@
+/**
+ * Datum.js
+ * Pure Geodetic Datum Transformation Module.
+ *
+ * Holds a registry of reference ellipsoids and of legacy geodetic datums
+ * with their published transformation parameters to WGS-84, and transforms
+ * positions between datums through WGS-84:
+ *
+ * - Helmert 7-parameter similarity transformation on ECEF coordinates
+ *   (position vector convention, EPSG method 1033/9606), converted on each
+ *   ellipsoid by ECEF.js. Datums with only three parameters reduce to a
+ *   geocentric translation.
+ * - Standard Molodensky transformation (EPSG method 9604), working directly
+ *   on geodetic coordinates from the translations and ellipsoid differences.
+ *   It ignores rotations and scale.
+ *
+ * The published parameters are mean values for a whole country or region:
+ * their stated accuracy, not the arithmetic of the formulae, limits the
+ * result. Every transformation returns that accuracy together with the
+ * difference between both methods.
+ *
+ * References:
+ * - IOGP Guidance Note 7-2 (2019). "Coordinate Conversions and
+ *   Transformations including Formulas". Sections 4.3 and 4.4.
+ * - NIMA TR8350.2 (2000). "Department of Defense World Geodetic System 1984".
+ *   Appendices A, B and C (ellipsoids, datum shifts and their accuracy).
+ * - Ordnance Survey (2020). "A Guide to Coordinate Systems in Great Britain".
+ *
+ * @module Datum
+ * @author ATSEP Toolbox
+ */
+
+const Datum = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const WGS84_A = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_A : 6378137.0;
+    const WGS84_F = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_F : 1 / 298.257223563;
+
+    const toRad = d => d * Math.PI / 180;
+    const toDeg = r => r * 180 / Math.PI;
+
+    /** Arc-seconds to radians */
+    const ARCSEC = Math.PI / (180 * 3600);
+
+    /**
+     * Reference ellipsoids: semi-major axis a in meters and flattening f.
+     */
+    const ELLIPSOIDS = Object.freeze({
+        WGS84: Object.freeze({ name: 'WGS 84', a: WGS84_A, f: WGS84_F }),
+        GRS80: Object.freeze({ name: 'GRS 1980', a: 6378137.0, f: 1 / 298.257222101 }),
+        INTL1924: Object.freeze({ name: 'International 1924', a: 6378388.0, f: 1 / 297 }),
+        AIRY1830: Object.freeze({ name: 'Airy 1830', a: 6377563.396, f: 1 / 299.3249646 }),
+        CLARKE1866: Object.freeze({ name: 'Clarke 1866', a: 6378206.4, f: 1 / 294.978698214 })
+    });
+
+    /**
+     * Datums with their parameters from the datum to WGS-84.
+     * Translations tx, ty, tz in meters, rotations rx, ry, rz in arc-seconds
+     * (position vector convention), scale ds in ppm, and the published
+     * accuracy in meters.
+     */
+    const DATUMS = Object.freeze({
+        WGS84: Object.freeze({
+            name: 'WGS 84', ellipsoid: 'WGS84', accuracy: 0,
+            tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, ds: 0,
+            source: 'Reference datum'
+        }),
+        ETRS89: Object.freeze({
+            name: 'ETRS89', ellipsoid: 'GRS80', accuracy: 1,
+            tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, ds: 0,
+            source: 'EPSG:1149, Europe'
+        }),
+        ED50: Object.freeze({
+            name: 'ED50', ellipsoid: 'INTL1924', accuracy: 10,
+            tx: -87, ty: -98, tz: -121, rx: 0, ry: 0, rz: 0, ds: 0,
+            source: 'TR8350.2 EUR-A, Western Europe mean'
+        }),
+        OSGB36: Object.freeze({
+            name: 'OSGB36', ellipsoid: 'AIRY1830', accuracy: 2,
+            tx: 446.448, ty: -125.157, tz: 542.06, rx: 0.15, ry: 0.247, rz: 0.842, ds: -20.489,
+            source: 'EPSG:1314, Great Britain'
+        }),
+        NAD27: Object.freeze({
+            name: 'NAD27', ellipsoid: 'CLARKE1866', accuracy: 9,
+            tx: -8, ty: 160, tz: 176, rx: 0, ry: 0, rz: 0, ds: 0,
+            source: 'TR8350.2 NAS-C, CONUS mean'
+        }),
+        NAD83: Object.freeze({
+            name: 'NAD83', ellipsoid: 'GRS80', accuracy: 4,
+            tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, ds: 0,
+            source: 'EPSG:1188, North America'
+        })
+    });
+
+    /**
+     * Throws an error with a standard message.
+     * @param {string} key - ERROR_MESSAGES key
+     * @param {string} fallback - Message used when ERROR_MESSAGES is unavailable
+     * @private
+     */
+    function _throw(key, fallback) {
+        throw new Error((typeof ERROR_MESSAGES !== 'undefined') ? ERROR_MESSAGES[key] : fallback);
+    }
+
+    /**
+     * Looks up a datum definition.
+     * @param {string} id - Datum key (e.g. 'ED50')
+     * @returns {Object} Datum definition
+     * @throws {Error} If the datum is unknown
+     * @private
+     */
+    function _datum(id) {
+        if (!Object.prototype.hasOwnProperty.call(DATUMS, id)) {
+            _throw('UNKNOWN_DATUM', 'Unknown geodetic datum');
+        }
+        return DATUMS[id];
+    }
+
+    /**
+     * Applies a Helmert transformation (position vector convention, small
+     * rotations). The inverse uses the transposed rotation, which is exact to
+     * well under a millimeter for datum rotations of a few arc-seconds.
+     * @param {Object} p - { x, y, z } in meters
+     * @param {Object} d - Datum parameters
+     * @param {boolean} inverse - True to transform from WGS-84 to the datum
+     * @returns {Object} Transformed { x, y, z } in meters
+     * @private
+     */
+    function _helmert(p, d, inverse) {
+        const rx = d.rx * ARCSEC, ry = d.ry * ARCSEC, rz = d.rz * ARCSEC;
+        const m = 1 + d.ds * 1e-6;
+
+        if (!inverse) {
+            const { x, y, z } = p;
+            return {
+                x: d.tx + m * (x - rz * y + ry * z),
+                y: d.ty + m * (rz * x + y - rx * z),
+                z: d.tz + m * (-ry * x + rx * y + z)
+            };
+        }
+
+        const x = (p.x - d.tx) / m, y = (p.y - d.ty) / m, z = (p.z - d.tz) / m;
+        return {
+            x: x + rz * y - ry * z,
+            y: -rz * x + y + rx * z,
+            z: ry * x - rx * y + z
+        };
+    }
+
+    /**
+     * Applies the standard Molodensky transformation.
+     * @param {number} lat - Latitude in degrees on the source ellipsoid
+     * @param {number} lon - Longitude in degrees
+     * @param {number} h - Ellipsoidal height in meters
+     * @param {Object} from - Source ellipsoid { a, f }
+     * @param {Object} to - Target ellipsoid { a, f }
+     * @param {number} dx - X translation in meters
+     * @param {number} dy - Y translation in meters
+     * @param {number} dz - Z translation in meters
+     * @returns {Object} { lat, lon, height } on the target ellipsoid
+     * @private
+     */
+    function _molodensky(lat, lon, h, from, to, dx, dy, dz) {
+        const a = from.a, f = from.f;
+        const da = to.a - a, df = to.f - f;
+        const e2 = f * (2 - f);
+        const b = a * (1 - f);
+
+        const phi = toRad(lat), lambda = toRad(lon);
+        const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+        const sinL = Math.sin(lambda), cosL = Math.cos(lambda);
+        const w2 = 1 - e2 * sinPhi * sinPhi;
+        // Radii of curvature in the meridian and the prime vertical
+        const rm = a * (1 - e2) / Math.pow(w2, 1.5);
+        const rn = a / Math.sqrt(w2);
+
+        const dPhi = (-dx * sinPhi * cosL - dy * sinPhi * sinL + dz * cosPhi
+            + da * rn * e2 * sinPhi * cosPhi / a
+            + df * (rm * a / b + rn * b / a) * sinPhi * cosPhi) / (rm + h);
+        const dLambda = (-dx * sinL + dy * cosL) / ((rn + h) * cosPhi);
+        const dh = dx * cosPhi * cosL + dy * cosPhi * sinL + dz * sinPhi
+            - da * a / rn + df * b / a * rn * sinPhi * sinPhi;
+
+        return { lat: lat + toDeg(dPhi), lon: lon + toDeg(dLambda), height: h + dh };
+    }
+
+    /**
+     * Transforms one leg, between a datum and WGS-84.
+     * @param {Object} pos - { lat, lon, height }
+     * @param {Object} d - Datum definition
+     * @param {boolean} toWgs84 - Direction of the leg
+     * @param {string} method - 'helmert' or 'molodensky'
+     * @returns {Object} { lat, lon, height }
+     * @private
+     */
+    function _leg(pos, d, toWgs84, method) {
+        const local = ELLIPSOIDS[d.ellipsoid];
+        const wgs84 = ELLIPSOIDS.WGS84;
+        const from = toWgs84 ? local : wgs84;
+        const to = toWgs84 ? wgs84 : local;
+
+        if (method === 'molodensky') {
+            const sign = toWgs84 ? 1 : -1;
+            return _molodensky(pos.lat, pos.lon, pos.height, from, to,
+                sign * d.tx, sign * d.ty, sign * d.tz);
+        }
+
+        const p = _helmert(ECEF.toEcef(pos.lat, pos.lon, pos.height, from), d, !toWgs84);
+        return ECEF.fromEcef(p.x, p.y, p.z, to);
+    }
+
+    /**
+     * Runs a transformation between two datums through WGS-84.
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @param {number} height - Ellipsoidal height in meters
+     * @param {string} from - Source datum key
+     * @param {string} to - Target datum key
+     * @param {string} method - 'helmert' or 'molodensky'
+     * @returns {Object} { lat, lon, height } on the target datum
+     * @private
+     */
+    function _run(lat, lon, height, from, to, method) {
+        let pos = { lat: lat, lon: lon, height: height };
+        if (from === to) return pos;
+        if (from !== 'WGS84') pos = _leg(pos, DATUMS[from], true, method);
+        if (to !== 'WGS84') pos = _leg(pos, DATUMS[to], false, method);
+        pos.lon = ((pos.lon + 540) % 360) - 180;
+        return pos;
+    }
+
+    /**
+     * Returns the ellipsoid registry.
+     *
+     * @returns {Array<Object>} Ellipsoids as { id, name, a, f }
+     *
+     * @example
+     * Datum.ellipsoids().map(e => e.name);
+     * // ['WGS 84', 'GRS 1980', 'International 1924', 'Airy 1830', 'Clarke 1866']
+     */
+    function ellipsoids() {
+        return Object.keys(ELLIPSOIDS).map(id => Object.assign({ id: id }, ELLIPSOIDS[id]));
+    }
+
+    /**
+     * Returns the datum registry.
+     *
+     * @returns {Array<Object>} Datums as { id, name, ellipsoid, accuracy, source,
+     *   tx, ty, tz, rx, ry, rz, ds }
+     *
+     * @example
+     * Datum.datums().map(d => d.id);
+     * // ['WGS84', 'ETRS89', 'ED50', 'OSGB36', 'NAD27', 'NAD83']
+     */
+    function datums() {
+        return Object.keys(DATUMS).map(id => Object.assign({ id: id }, DATUMS[id]));
+    }
+
+    /**
+     * Returns the ellipsoid of a datum, for geodesic calculations on it
+     * (see Vincenty.withEllipsoid).
+     *
+     * @param {string} id - Datum key (e.g. 'ED50')
+     * @returns {Object} Ellipsoid { id, name, a, f }
+     * @throws {Error} If the datum is unknown
+     *
+     * @example
+     * const ed50 = Vincenty.withEllipsoid(Datum.ellipsoidOf('ED50'));
+     */
+    function ellipsoidOf(id) {
+        const key = _datum(id).ellipsoid;
+        return Object.assign({ id: key }, ELLIPSOIDS[key]);
+    }
+
+    /**
+     * Transforms a position from one datum to another.
+     *
+     * Both methods are computed; the selected one gives the result and the
+     * other shows how far apart they are.
+     *
+     * @param {number} lat - Latitude in degrees on the source datum
+     * @param {number} lon - Longitude in degrees on the source datum
+     * @param {number} [height=0] - Ellipsoidal height in meters on the source datum
+     * @param {string} from - Source datum key (e.g. 'ED50')
+     * @param {string} to - Target datum key (e.g. 'WGS84')
+     * @param {string} [method='helmert'] - 'helmert' or 'molodensky'
+     * @returns {Object} Result object with properties:
+     *   - lat, lon: Position on the target datum in degrees
+     *   - height: Ellipsoidal height on the target datum in meters
+     *   - method: Method used
+     *   - accuracy: Published accuracy of the parameters used in meters
+     *     (root sum square of both legs)
+     *   - methodDifference: Horizontal distance between the Helmert and
+     *     Molodensky results in meters
+     *   - heightDifference: Height difference between the two methods in meters
+     * @throws {Error} If a datum is unknown or the position is invalid
+     *
+     * @example
+     * // OSGB36 to WGS-84 near London
+     * const res = Datum.transform(51.5, -0.12, 0, 'OSGB36', 'WGS84');
+     * console.log(res.lat, res.lon, res.accuracy); // accuracy 2 m
+     */
+    function transform(lat, lon, height = 0, from, to, method = 'helmert') {
+        const src = _datum(from), dst = _datum(to);
+        if ([lat, lon, height].some(v => typeof v !== 'number' || !isFinite(v))) {
+            _throw('INVALID_COORDINATE', 'Invalid coordinate value');
+        }
+        if (Math.abs(lat) > 90) {
+            _throw('LATITUDE_RANGE', 'Latitude must be between -90° and +90°');
+        }
+
+        const helmert = _run(lat, lon, height, from, to, 'helmert');
+        const molodensky = _run(lat, lon, height, from, to, 'molodensky');
+        const res = method === 'molodensky' ? molodensky : helmert;
+
+        // Horizontal separation of the two results on the target ellipsoid
+        const ell = ELLIPSOIDS[dst.ellipsoid];
+        const e2 = ell.f * (2 - ell.f);
+        const sinPhi = Math.sin(toRad(res.lat));
+        const w2 = 1 - e2 * sinPhi * sinPhi;
+        const rm = ell.a * (1 - e2) / Math.pow(w2, 1.5);
+        const rn = ell.a / Math.sqrt(w2);
+        const dLon = ((molodensky.lon - helmert.lon + 540) % 360) - 180;
+        const north = toRad(molodensky.lat - helmert.lat) * rm;
+        const east = toRad(dLon) * rn * Math.cos(toRad(res.lat));
+
+        return {
+            lat: res.lat,
+            lon: res.lon,
+            height: res.height,
+            method: method === 'molodensky' ? 'molodensky' : 'helmert',
+            accuracy: from === to ? 0 : Math.hypot(src.accuracy, dst.accuracy),
+            methodDifference: Math.hypot(north, east),
+            heightDifference: molodensky.height - helmert.height
+        };
+    }
+
+    return {
+        ellipsoids,
+        datums,
+        ellipsoidOf,
+        transform
+    };
+})();
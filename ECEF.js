@@ -0,0 +1,245 @@
+/**
+ * ECEF.js
+ * Pure Earth-Centred Earth-Fixed and Local Frame Conversion Module.
+ *
+ * Converts WGS-84 geodetic coordinates with ellipsoidal height to ECEF
+ * cartesian coordinates and to a local East-North-Up (ENU) frame at a
+ * sensor site, and gives the slant range, azimuth and elevation angle from
+ * the site to a target. The ECEF conversions also take another ellipsoid,
+ * for the datum transformations of Datum.js.
+ *
+ * Unlike the Vincenty module, which works on the ellipsoid surface, all
+ * positions here carry a height above the ellipsoid. Heights above mean sea
+ * level differ from ellipsoidal heights by the geoid undulation (up to about
+ * ±100 m), which callers must apply where it matters.
+ *
+ * References:
+ * - NIMA TR8350.2 (2000). "Department of Defense World Geodetic System 1984".
+ * - Hofmann-Wellenhof, B., Lichtenegger, H. & Wasle, E. (2008). "GNSS – Global
+ *   Navigation Satellite Systems". Springer. Sections 2.2 and 8.2.
+ *
+ * @module ECEF
+ * @author ATSEP Toolbox
+ */
+
+const ECEF = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const a = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_A : 6378137.0;
+    const f = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_F : 1 / 298.257223563;
+
+    /** First eccentricity squared */
+    const e2 = f * (2 - f);
+
+    const toRad = d => d * Math.PI / 180;
+    const toDeg = r => r * 180 / Math.PI;
+
+    /**
+     * Returns the semi-major axis and eccentricity of an ellipsoid.
+     * @param {Object} [ellipsoid] - Ellipsoid { a, f }, WGS-84 if omitted
+     * @returns {Object} { a, e2 }
+     * @private
+     */
+    function _shape(ellipsoid) {
+        if (!ellipsoid) return { a: a, e2: e2 };
+        return { a: ellipsoid.a, e2: ellipsoid.f * (2 - ellipsoid.f) };
+    }
+
+    /**
+     * Validates a geodetic position.
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @param {number} height - Ellipsoidal height in meters
+     * @private
+     */
+    function _checkPosition(lat, lon, height) {
+        if ([lat, lon, height].some(v => typeof v !== 'number' || !isFinite(v))) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_COORDINATE
+                : "Invalid coordinate value";
+            throw new Error(msg);
+        }
+        if (Math.abs(lat) > 90) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.LATITUDE_RANGE
+                : "Latitude must be between -90° and +90°";
+            throw new Error(msg);
+        }
+    }
+
+    /**
+     * Converts geodetic coordinates to ECEF.
+     *
+     * @param {number} lat - Latitude in degrees (-90 to +90)
+     * @param {number} lon - Longitude in degrees
+     * @param {number} [height=0] - Ellipsoidal height in meters
+     * @param {Object} [ellipsoid] - Ellipsoid { a, f }, WGS-84 if omitted
+     * @returns {Object} { x, y, z } in meters
+     * @throws {Error} If the position is invalid
+     *
+     * @example
+     * const p = ECEF.toEcef(0, 0, 0);
+     * // { x: 6378137, y: 0, z: 0 }
+     */
+    function toEcef(lat, lon, height = 0, ellipsoid) {
+        _checkPosition(lat, lon, height);
+
+        const { a, e2 } = _shape(ellipsoid);
+        const phi = toRad(lat), lambda = toRad(lon);
+        const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+        // Prime vertical radius of curvature
+        const N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+
+        return {
+            x: (N + height) * cosPhi * Math.cos(lambda),
+            y: (N + height) * cosPhi * Math.sin(lambda),
+            z: (N * (1 - e2) + height) * sinPhi
+        };
+    }
+
+    /**
+     * Converts ECEF coordinates to geodetic coordinates.
+     *
+     * Iterates the latitude from the geocentric estimate; the iteration
+     * converges by a factor of about e² per step and stays well conditioned at
+     * the poles.
+     *
+     * @param {number} x - X in meters
+     * @param {number} y - Y in meters
+     * @param {number} z - Z in meters
+     * @param {Object} [ellipsoid] - Ellipsoid { a, f }, WGS-84 if omitted
+     * @returns {Object} { lat, lon, height } in degrees and meters
+     *
+     * @example
+     * const g = ECEF.fromEcef(6378137, 0, 0);
+     * // { lat: 0, lon: 0, height: 0 }
+     */
+    function fromEcef(x, y, z, ellipsoid) {
+        const { a, e2 } = _shape(ellipsoid);
+        const p = Math.hypot(x, y);
+        const lon = toDeg(Math.atan2(y, x));
+
+        let phi = Math.atan2(z, p * (1 - e2));
+        let N = a;
+        for (let i = 0; i < 20; i++) {
+            const sinPhi = Math.sin(phi);
+            N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+            const next = Math.atan2(z + e2 * N * sinPhi, p);
+            const done = Math.abs(next - phi) < 1e-15;
+            phi = next;
+            if (done) break;
+        }
+
+        const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+        N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+        // Height formula valid at all latitudes, including the poles
+        const height = p * cosPhi + z * sinPhi - a * a / N;
+
+        return { lat: toDeg(phi), lon: lon, height: height };
+    }
+
+    /**
+     * Converts a target position to local East-North-Up coordinates at a site.
+     *
+     * @param {number} siteLat - Site latitude in degrees
+     * @param {number} siteLon - Site longitude in degrees
+     * @param {number} siteHeight - Site ellipsoidal height in meters
+     * @param {number} lat - Target latitude in degrees
+     * @param {number} lon - Target longitude in degrees
+     * @param {number} height - Target ellipsoidal height in meters
+     * @returns {Object} { east, north, up } in meters
+     * @throws {Error} If a position is invalid
+     *
+     * @example
+     * const enu = ECEF.toEnu(51.5, 0, 50, 51.6, 0.2, 3000);
+     */
+    function toEnu(siteLat, siteLon, siteHeight, lat, lon, height) {
+        const site = toEcef(siteLat, siteLon, siteHeight);
+        const target = toEcef(lat, lon, height);
+
+        const dx = target.x - site.x, dy = target.y - site.y, dz = target.z - site.z;
+        const phi = toRad(siteLat), lambda = toRad(siteLon);
+        const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+        const sinL = Math.sin(lambda), cosL = Math.cos(lambda);
+
+        return {
+            east: -sinL * dx + cosL * dy,
+            north: -sinPhi * cosL * dx - sinPhi * sinL * dy + cosPhi * dz,
+            up: cosPhi * cosL * dx + cosPhi * sinL * dy + sinPhi * dz
+        };
+    }
+
+    /**
+     * Converts local East-North-Up coordinates at a site to a geodetic position.
+     *
+     * @param {number} siteLat - Site latitude in degrees
+     * @param {number} siteLon - Site longitude in degrees
+     * @param {number} siteHeight - Site ellipsoidal height in meters
+     * @param {number} east - East offset in meters
+     * @param {number} north - North offset in meters
+     * @param {number} up - Up offset in meters
+     * @returns {Object} { lat, lon, height } in degrees and meters
+     * @throws {Error} If the site is invalid
+     *
+     * @example
+     * const pos = ECEF.fromEnu(51.5, 0, 50, 1000, 2000, 300);
+     */
+    function fromEnu(siteLat, siteLon, siteHeight, east, north, up) {
+        const site = toEcef(siteLat, siteLon, siteHeight);
+        const phi = toRad(siteLat), lambda = toRad(siteLon);
+        const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+        const sinL = Math.sin(lambda), cosL = Math.cos(lambda);
+
+        return fromEcef(
+            site.x - sinL * east - sinPhi * cosL * north + cosPhi * cosL * up,
+            site.y + cosL * east - sinPhi * sinL * north + cosPhi * sinL * up,
+            site.z + cosPhi * north + sinPhi * up
+        );
+    }
+
+    /**
+     * Computes the slant range, azimuth and elevation from a sensor site to a target.
+     *
+     * The elevation is the geometric angle above the local horizontal plane
+     * of the site; atmospheric refraction is not applied.
+     *
+     * @param {number} siteLat - Site latitude in degrees
+     * @param {number} siteLon - Site longitude in degrees
+     * @param {number} siteHeight - Site (antenna) ellipsoidal height in meters
+     * @param {number} lat - Target latitude in degrees
+     * @param {number} lon - Target longitude in degrees
+     * @param {number} height - Target ellipsoidal height in meters
+     * @returns {Object} Result object with properties:
+     *   - slantRange: Straight-line distance in meters
+     *   - azimuth: Bearing from the site in degrees true (0-360)
+     *   - elevation: Elevation angle in degrees (negative below the horizon plane)
+     *   - horizontalRange: Distance in the site's horizontal plane in meters
+     *   - east, north, up: Local ENU coordinates of the target in meters
+     * @throws {Error} If a position is invalid
+     *
+     * @example
+     * const look = ECEF.lookAngles(51.5, 0, 50, 51.8, 0.5, 3048);
+     * console.log(look.slantRange, look.azimuth, look.elevation);
+     */
+    function lookAngles(siteLat, siteLon, siteHeight, lat, lon, height) {
+        const enu = toEnu(siteLat, siteLon, siteHeight, lat, lon, height);
+        const horizontal = Math.hypot(enu.east, enu.north);
+
+        return {
+            slantRange: Math.hypot(horizontal, enu.up),
+            azimuth: (toDeg(Math.atan2(enu.east, enu.north)) + 360) % 360,
+            elevation: toDeg(Math.atan2(enu.up, horizontal)),
+            horizontalRange: horizontal,
+            east: enu.east,
+            north: enu.north,
+            up: enu.up
+        };
+    }
+
+    return {
+        toEcef,
+        fromEcef,
+        toEnu,
+        fromEnu,
+        lookAngles
+    };
+})();
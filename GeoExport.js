@@ -0,0 +1,381 @@
+/**
+ * GeoExport.js
+ * Pure GIS File Export Module.
+ *
+ * Writes points and lines as GeoJSON, KML or GPX text for GIS tools and
+ * virtual globes, and samples geodesic and rhumb line paths into vertices
+ * so that they keep their shape in tools that join vertices with straight
+ * lines in latitude and longitude.
+ *
+ * Features are plain objects:
+ *   { type: 'point', name, description, coordinates: { lat, lon }, properties }
+ *   { type: 'line', name, description, coordinates: [{ lat, lon }, ...], properties }
+ * with WGS-84 positions in decimal degrees; description and properties are
+ * optional. Lines crossing the antimeridian are split into parts there, as
+ * RFC 7946 requires for GeoJSON.
+ *
+ * References:
+ * - RFC 7946 (2016). "The GeoJSON Format".
+ * - OGC 07-147r2 (2008). "OGC KML", version 2.2.0.
+ * - TopoGrafix (2004). "GPX 1.1 Schema Documentation".
+ *
+ * @module GeoExport
+ * @author ATSEP Toolbox
+ */
+
+const GeoExport = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const SEGMENT_LENGTH = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.EXPORT_SEGMENT_LENGTH_M : 1852;
+    const MAX_SEGMENTS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.EXPORT_MAX_SEGMENTS : 500;
+
+    /** Decimal places of exported degrees (about 1 mm) */
+    const DECIMALS = 8;
+
+    /** Largest GPX longitude: the GPX schema excludes +180° */
+    const GPX_MAX_LON = 179.99999999;
+
+    /** File extension and media type of each format */
+    const FORMATS = Object.freeze({
+        geojson: Object.freeze({ extension: 'geojson', mime: 'application/geo+json' }),
+        kml: Object.freeze({ extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' }),
+        gpx: Object.freeze({ extension: 'gpx', mime: 'application/gpx+xml' })
+    });
+
+    /**
+     * Throws an error with a standard message.
+     * @param {string} key - ERROR_MESSAGES key
+     * @param {string} fallback - Message used when ERROR_MESSAGES is unavailable
+     * @private
+     */
+    function _throw(key, fallback) {
+        throw new Error((typeof ERROR_MESSAGES !== 'undefined') ? ERROR_MESSAGES[key] : fallback);
+    }
+
+    const _round = v => Number(v.toFixed(DECIMALS));
+    const _wrapLon = lon => ((lon + 540) % 360) - 180;
+
+    /**
+     * Number of segments for a path length.
+     * @param {number} distance - Path length in meters
+     * @returns {number} Segments of at most SEGMENT_LENGTH, capped at MAX_SEGMENTS
+     * @private
+     */
+    function _segments(distance) {
+        return Math.min(MAX_SEGMENTS, Math.max(1, Math.ceil(distance / SEGMENT_LENGTH)));
+    }
+
+    /**
+     * Samples the geodesic between two points.
+     *
+     * @param {number} lat1 - Latitude of start point in degrees
+     * @param {number} lon1 - Longitude of start point in degrees
+     * @param {number} lat2 - Latitude of end point in degrees
+     * @param {number} lon2 - Longitude of end point in degrees
+     * @param {Object} [options] - { geodesic, solver }: geodesic module
+     *   (default Vincenty, or Vincenty.withEllipsoid(...)) and its solver
+     * @returns {Object[]} Vertices { lat, lon } from start to end, one per
+     *   nautical mile up to 500 segments
+     * @throws {Error} If the geodesic cannot be solved
+     *
+     * @example
+     * const line = GeoExport.geodesicPath(51.47, -0.46, 40.64, -73.78);
+     */
+    function geodesicPath(lat1, lon1, lat2, lon2, options = {}) {
+        const geodesic = options.geodesic || Vincenty;
+        const solver = options.solver || 'auto';
+
+        const inv = geodesic.calculateDistance(lat1, lon1, lat2, lon2, solver);
+        const segments = _segments(inv.distance);
+        if (segments < 2) return [{ lat: lat1, lon: lon1 }, { lat: lat2, lon: lon2 }];
+
+        return geodesic.densify(lat1, lon1, lat2, lon2, { count: segments - 1 }, solver)
+            .points.map(p => ({ lat: p.lat, lon: p.lon }));
+    }
+
+    /**
+     * Samples the geodesic from a start point along a distance and bearing.
+     *
+     * @param {number} lat - Latitude of start point in degrees
+     * @param {number} lon - Longitude of start point in degrees
+     * @param {number} distance - Distance in meters
+     * @param {number} bearing - Initial bearing in degrees true
+     * @param {Object} [options] - { geodesic, solver } as for geodesicPath
+     * @returns {Object[]} Vertices { lat, lon } from start to end
+     * @throws {Error} If the geodesic cannot be solved
+     *
+     * @example
+     * const vector = GeoExport.directPath(51.47, -0.46, 185200, 45);
+     */
+    function directPath(lat, lon, distance, bearing, options = {}) {
+        const geodesic = options.geodesic || Vincenty;
+        const solver = options.solver || 'auto';
+
+        const segments = _segments(distance);
+        const points = [{ lat: lat, lon: lon }];
+        for (let i = 1; i <= segments; i++) {
+            const p = geodesic.calculateDestination(lat, lon, distance * i / segments, bearing, solver);
+            points.push({ lat: p.lat, lon: _wrapLon(p.lon) });
+        }
+        return points;
+    }
+
+    /**
+     * Samples the rhumb line from a start point along a distance and track.
+     *
+     * @param {number} lat - Latitude of start point in degrees
+     * @param {number} lon - Longitude of start point in degrees
+     * @param {number} distance - Distance in meters
+     * @param {number} bearing - Constant true track in degrees
+     * @param {Object} [options] - { geodesic } as for geodesicPath
+     * @returns {Object[]} Vertices { lat, lon } from start to end
+     * @throws {Error} If the rhumb line passes a pole
+     *
+     * @example
+     * const rhumb = Vincenty.rhumbDistance(51.47, -0.46, 40.64, -73.78);
+     * const line = GeoExport.rhumbPath(51.47, -0.46, rhumb.distance, rhumb.bearing);
+     */
+    function rhumbPath(lat, lon, distance, bearing, options = {}) {
+        const geodesic = options.geodesic || Vincenty;
+
+        const segments = _segments(distance);
+        const points = [{ lat: lat, lon: lon }];
+        for (let i = 1; i <= segments; i++) {
+            const p = geodesic.rhumbDestination(lat, lon, distance * i / segments, bearing);
+            points.push({ lat: p.lat, lon: _wrapLon(p.lon) });
+        }
+        return points;
+    }
+
+    /**
+     * Splits a line where it crosses the antimeridian.
+     * The crossing latitude is interpolated between the two vertices. A
+     * vertex lying on ±180° is written on the side of its neighbour instead
+     * of being cut, so that no part has zero length.
+     * @param {Object[]} coords - Vertices { lat, lon }
+     * @returns {Array<Object[]>} Line parts
+     * @private
+     */
+    function _splitAntimeridian(coords) {
+        const parts = [[coords[0]]];
+        let a = coords[0];
+        for (let i = 1; i < coords.length; i++) {
+            let b = coords[i];
+            const dLon = b.lon - a.lon;
+            const current = parts[parts.length - 1];
+            if (Math.abs(dLon) > 180) {
+                if (Math.abs(a.lon) === 180) {
+                    // Continue from the same vertex on the other side
+                    const start = { lat: a.lat, lon: -a.lon };
+                    if (current.length === 1) current[0] = start;
+                    else parts.push([start]);
+                } else if (Math.abs(b.lon) === 180) {
+                    b = { lat: b.lat, lon: -b.lon };
+                } else {
+                    // Unwrap b to the side of a, then cut at ±180°
+                    const side = a.lon > 0 ? 180 : -180;
+                    const bLon = b.lon + (dLon < 0 ? 360 : -360);
+                    const t = (side - a.lon) / (bLon - a.lon);
+                    const lat = a.lat + t * (b.lat - a.lat);
+                    current.push({ lat: lat, lon: side });
+                    parts.push([{ lat: lat, lon: -side }]);
+                }
+            }
+            parts[parts.length - 1].push(b);
+            a = b;
+        }
+        return parts;
+    }
+
+    /**
+     * Escapes text for XML content and attributes.
+     * @param {*} text - Value to write
+     * @returns {string} Escaped text
+     * @private
+     */
+    function _xml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+        return String(text).replace(/[&<>"']/g, c => entities[c]);
+    }
+
+    /**
+     * Checks that there is something to export.
+     * @param {Object[]} features - Features
+     * @private
+     */
+    function _checkFeatures(features) {
+        if (!Array.isArray(features) || features.length === 0) {
+            _throw('EXPORT_EMPTY', 'Nothing to export');
+        }
+    }
+
+    /**
+     * Writes features as a GeoJSON FeatureCollection.
+     *
+     * Positions are [longitude, latitude]. The feature name and description
+     * are written as properties, followed by the feature's own properties.
+     *
+     * @param {Object[]} features - Point and line features
+     * @returns {string} GeoJSON text
+     * @throws {Error} If there are no features
+     *
+     * @example
+     * GeoExport.toGeoJson([{ type: 'point', name: 'LHR', coordinates: { lat: 51.4775, lon: -0.4614 } }]);
+     */
+    function toGeoJson(features) {
+        _checkFeatures(features);
+        const position = p => [_round(p.lon), _round(p.lat)];
+
+        const collection = {
+            type: 'FeatureCollection',
+            features: features.map(f => {
+                let geometry;
+                if (f.type === 'point') {
+                    geometry = { type: 'Point', coordinates: position(f.coordinates) };
+                } else {
+                    const parts = _splitAntimeridian(f.coordinates).map(part => part.map(position));
+                    geometry = parts.length === 1
+                        ? { type: 'LineString', coordinates: parts[0] }
+                        : { type: 'MultiLineString', coordinates: parts };
+                }
+                const properties = Object.assign({ name: f.name }, f.description ? { description: f.description } : {}, f.properties);
+                return { type: 'Feature', geometry: geometry, properties: properties };
+            })
+        };
+        return JSON.stringify(collection, null, 2);
+    }
+
+    /**
+     * Writes features as a KML document, e.g. for Google Earth.
+     *
+     * Lines are drawn tessellated on the ground; feature properties are
+     * written as ExtendedData.
+     *
+     * @param {Object[]} features - Point and line features
+     * @param {string} [title='ATSEP Toolbox'] - Document name
+     * @returns {string} KML text
+     * @throws {Error} If there are no features
+     *
+     * @example
+     * GeoExport.toKml(features, 'Range LHR - JFK');
+     */
+    function toKml(features, title = 'ATSEP Toolbox') {
+        _checkFeatures(features);
+        const position = p => `${_round(p.lon)},${_round(p.lat)},0`;
+        const line = coords => `<LineString><tessellate>1</tessellate><coordinates>${coords.map(position).join(' ')}</coordinates></LineString>`;
+
+        const placemarks = features.map(f => {
+            let geometry;
+            if (f.type === 'point') {
+                geometry = `<Point><coordinates>${position(f.coordinates)}</coordinates></Point>`;
+            } else {
+                const parts = _splitAntimeridian(f.coordinates);
+                geometry = parts.length === 1
+                    ? line(parts[0])
+                    : `<MultiGeometry>${parts.map(line).join('')}</MultiGeometry>`;
+            }
+
+            const props = f.properties || {};
+            const data = Object.keys(props).map(k => {
+                const value = Array.isArray(props[k]) ? props[k].join(' ') : props[k];
+                return `<Data name="${_xml(k)}"><value>${_xml(value)}</value></Data>`;
+            }).join('');
+
+            return [
+                '    <Placemark>',
+                `      <name>${_xml(f.name)}</name>`,
+                f.description ? `      <description>${_xml(f.description)}</description>` : null,
+                f.type === 'line' ? '      <styleUrl>#line</styleUrl>' : null,
+                data ? `      <ExtendedData>${data}</ExtendedData>` : null,
+                `      ${geometry}`,
+                '    </Placemark>'
+            ].filter(l => l !== null).join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${_xml(title)}</name>`,
+            '    <Style id="line"><LineStyle><color>ff00a5ff</color><width>3</width></LineStyle></Style>',
+            ...placemarks,
+            '  </Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Writes features as a GPX 1.1 file: points as waypoints and lines as
+     * tracks, with one track segment per antimeridian part. Longitudes of
+     * +180° are written as 179.99999999°, as GPX requires lon < 180.
+     *
+     * @param {Object[]} features - Point and line features
+     * @param {string} [title='ATSEP Toolbox'] - File name in the metadata
+     * @returns {string} GPX text
+     * @throws {Error} If there are no features
+     *
+     * @example
+     * GeoExport.toGpx(features, 'Destination');
+     */
+    function toGpx(features, title = 'ATSEP Toolbox') {
+        _checkFeatures(features);
+        const attrs = p => `lat="${_round(p.lat)}" lon="${Math.min(_round(p.lon), GPX_MAX_LON)}"`;
+        const desc = f => (f.description ? `<desc>${_xml(f.description)}</desc>` : '');
+
+        // GPX requires all waypoints before the tracks
+        const waypoints = features.filter(f => f.type === 'point').map(f =>
+            `  <wpt ${attrs(f.coordinates)}><name>${_xml(f.name)}</name>${desc(f)}</wpt>`);
+        const tracks = features.filter(f => f.type === 'line').map(f => {
+            const segments = _splitAntimeridian(f.coordinates).map(part =>
+                `    <trkseg>\n${part.map(p => `      <trkpt ${attrs(p)}/>`).join('\n')}\n    </trkseg>`);
+            return `  <trk><name>${_xml(f.name)}</name>${desc(f)}\n${segments.join('\n')}\n  </trk>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="ATSEP Toolbox" xmlns="http://www.topografix.com/GPX/1/1">',
+            `  <metadata><name>${_xml(title)}</name></metadata>`,
+            ...waypoints,
+            ...tracks,
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Writes features in a chosen format, with the file details to save it.
+     *
+     * @param {string} format - 'geojson', 'kml' or 'gpx'
+     * @param {Object[]} features - Point and line features
+     * @param {string} [title='ATSEP Toolbox'] - Document name (KML and GPX)
+     * @returns {Object} { content, extension, mime }
+     * @throws {Error} If the format is unknown or there are no features
+     *
+     * @example
+     * const file = GeoExport.build('kml', features, 'Range');
+     * // file.extension === 'kml'
+     */
+    function build(format, features, title = 'ATSEP Toolbox') {
+        const spec = FORMATS[format];
+        if (!spec) _throw('UNKNOWN_EXPORT_FORMAT', 'Unknown export format');
+
+        let content;
+        if (format === 'geojson') content = toGeoJson(features);
+        else if (format === 'kml') content = toKml(features, title);
+        else content = toGpx(features, title);
+
+        return { content: content, extension: spec.extension, mime: spec.mime };
+    }
+
+    return {
+        geodesicPath,
+        directPath,
+        rhumbPath,
+        toGeoJson,
+        toKml,
+        toGpx,
+        build
+    };
+})();
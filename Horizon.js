@@ -0,0 +1,244 @@
+/**
+ * Horizon.js
+ * Pure Radio and Radar Line-of-Sight Module.
+ *
+ * Computes radio/radar horizon distances, the line-of-sight range between an
+ * antenna and a target, and the lowest altitude a target must fly to be in
+ * line of sight at a given range (the coverage floor).
+ *
+ * Standard atmospheric refraction bends the ray downwards, which is modelled
+ * by straight rays over an earth of effective radius k·R. The k-factor is 4/3
+ * for the standard atmosphere; lower values model sub-refraction, higher
+ * values super-refraction. R is the WGS-84 equatorial radius.
+ *
+ * The earth is taken as a smooth sphere at mean sea level: terrain and
+ * obstacle masking, and the lower edge of the antenna beam, are not applied.
+ * Distances are ground distances along the earth's surface.
+ *
+ * References:
+ * - ITU-R P.834-9 (2017). "Effects of tropospheric refraction on radiowave
+ *   propagation". Effective earth radius.
+ * - Skolnik, M. I. (2001). "Introduction to Radar Systems", 3rd ed.
+ *   McGraw-Hill. Section 8.3, Refraction.
+ *
+ * @module Horizon
+ * @author ATSEP Toolbox
+ */
+
+const Horizon = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const R = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_A : 6378137.0;
+    const DEFAULT_K = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.HORIZON_K_FACTOR : 4 / 3;
+    const MAX_ROWS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.HORIZON_TABLE_MAX_ROWS : 200;
+
+    /**
+     * Builds an error result object.
+     * @param {string} key - ERROR_MESSAGES key
+     * @param {string} fallback - Message used when ERROR_MESSAGES is unavailable
+     * @returns {Object} { error: true, msg }
+     * @private
+     */
+    function _error(key, fallback) {
+        const msg = (typeof ERROR_MESSAGES !== 'undefined') ? ERROR_MESSAGES[key] : fallback;
+        return { error: true, msg: msg };
+    }
+
+    const _isNumber = v => typeof v === 'number' && isFinite(v);
+
+    /**
+     * Validates a k-factor and a list of heights.
+     * @param {number} k - Effective earth radius factor
+     * @param {number[]} heights - Heights above mean sea level in meters
+     * @returns {Object|null} Error result, or null if the inputs are valid
+     * @private
+     */
+    function _validate(k, heights) {
+        if (!_isNumber(k) || k <= 0) {
+            return _error('INVALID_K_FACTOR', 'K-factor must be a positive number');
+        }
+        if (!heights.every(_isNumber)) {
+            return _error('INVALID_ALTITUDE', 'Please enter a valid altitude value');
+        }
+        if (heights.some(h => h < 0)) {
+            return _error('NEGATIVE_HEIGHT', 'Heights must be at or above mean sea level');
+        }
+        return null;
+    }
+
+    /**
+     * Central angle from the earth's centre to the horizon of a height.
+     * @param {number} height - Height above mean sea level in meters
+     * @param {number} re - Effective earth radius in meters
+     * @returns {number} Angle in radians
+     * @private
+     */
+    function _horizonAngle(height, re) {
+        return Math.acos(re / (re + height));
+    }
+
+    /**
+     * Coverage floor at a ground range, for a validated antenna height.
+     * @param {number} antennaHeight - Antenna height in meters
+     * @param {number} range - Ground range in meters
+     * @param {number} re - Effective earth radius in meters
+     * @returns {number} Lowest altitude in line of sight in meters
+     * @private
+     */
+    function _floor(antennaHeight, range, re) {
+        const beyond = range / re - _horizonAngle(antennaHeight, re);
+        // Within the antenna horizon the ray reaches the surface
+        if (beyond <= 0) return 0;
+        return re / Math.cos(beyond) - re;
+    }
+
+    /**
+     * Returns the effective earth radius for a k-factor.
+     *
+     * @param {number} [k=4/3] - Effective earth radius factor
+     * @returns {number} Effective earth radius in meters
+     *
+     * @example
+     * Horizon.effectiveRadius(); // ≈ 8504183 m
+     */
+    function effectiveRadius(k = DEFAULT_K) {
+        return k * R;
+    }
+
+    /**
+     * Computes the radio horizons of an antenna and a target and the
+     * line-of-sight range between them.
+     *
+     * The horizon distance of a height h is the ground distance to the point
+     * where the ray grazes the effective earth:
+     *   d = kR · acos(kR / (kR + h))
+     * which is close to √(2kRh), or 1.23·√h(ft) NM for k = 4/3.
+     *
+     * @param {number} antennaHeight - Antenna height above mean sea level in meters
+     * @param {number} targetHeight - Target altitude above mean sea level in meters
+     * @param {number} [k=4/3] - Effective earth radius factor
+     * @returns {Object} Result object with properties:
+     *   - antennaHorizon: Horizon distance of the antenna in meters
+     *   - targetHorizon: Horizon distance of the target in meters
+     *   - range: Maximum line-of-sight range in meters
+     *   - effectiveRadius: Effective earth radius in meters
+     *   - k: K-factor used
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     *
+     * @example
+     * const los = Horizon.lineOfSight(30, 3048);
+     * // los.range ≈ 250 km (≈ 135 NM)
+     */
+    function lineOfSight(antennaHeight, targetHeight, k = DEFAULT_K) {
+        const invalid = _validate(k, [antennaHeight, targetHeight]);
+        if (invalid) return invalid;
+
+        const re = effectiveRadius(k);
+        const antennaHorizon = re * _horizonAngle(antennaHeight, re);
+        const targetHorizon = re * _horizonAngle(targetHeight, re);
+
+        return {
+            antennaHorizon: antennaHorizon,
+            targetHorizon: targetHorizon,
+            range: antennaHorizon + targetHorizon,
+            effectiveRadius: re,
+            k: k,
+            error: false
+        };
+    }
+
+    /**
+     * Computes the minimum altitude a target must fly at to be in line of
+     * sight of the antenna at a ground range.
+     *
+     * Within the antenna horizon the floor is the surface (0 m); beyond it,
+     * the target must be above the ray grazing the effective earth.
+     *
+     * @param {number} antennaHeight - Antenna height above mean sea level in meters
+     * @param {number} range - Ground range from the antenna in meters
+     * @param {number} [k=4/3] - Effective earth radius factor
+     * @returns {Object} Result object with properties:
+     *   - altitude: Lowest altitude in line of sight, above mean sea level, in meters
+     *   - antennaHorizon: Horizon distance of the antenna in meters
+     *   - effectiveRadius: Effective earth radius in meters
+     *   - k: K-factor used
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     *
+     * @example
+     * const floor = Horizon.minimumAltitude(30, 185200);
+     * // floor.altitude ≈ 1555 m (5100 ft) at 100 NM
+     */
+    function minimumAltitude(antennaHeight, range, k = DEFAULT_K) {
+        const invalid = _validate(k, [antennaHeight]);
+        if (invalid) return invalid;
+        if (!_isNumber(range)) return _error('INVALID_NUMBER', 'Must be a number');
+        if (range < 0) return _error('NEGATIVE_RANGE', 'Range cannot be negative');
+
+        const re = effectiveRadius(k);
+        const antennaAngle = _horizonAngle(antennaHeight, re);
+        if (range / re - antennaAngle >= Math.PI / 2) {
+            return _error('HORIZON_RANGE_TOO_LONG', 'Range too long: no line of sight at any altitude');
+        }
+
+        return {
+            altitude: _floor(antennaHeight, range, re),
+            antennaHorizon: re * antennaAngle,
+            effectiveRadius: re,
+            k: k,
+            error: false
+        };
+    }
+
+    /**
+     * Builds a coverage floor table, one row per range step up to a maximum range.
+     *
+     * @param {number} antennaHeight - Antenna height above mean sea level in meters
+     * @param {number} maxRange - Last range of the table in meters
+     * @param {number} step - Range increment in meters
+     * @param {number} [k=4/3] - Effective earth radius factor
+     * @returns {Object} Result object with properties:
+     *   - rows: Array of { range, altitude } in meters, ascending range
+     *   - antennaHorizon: Horizon distance of the antenna in meters
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     *
+     * @example
+     * const table = Horizon.coverageTable(30, 463000, 46300);
+     * table.rows.forEach(r => console.log(r.range / 1852, r.altitude / 0.3048));
+     */
+    function coverageTable(antennaHeight, maxRange, step, k = DEFAULT_K) {
+        const invalid = _validate(k, [antennaHeight]);
+        if (invalid) return invalid;
+        if (!_isNumber(step) || step <= 0) {
+            return _error('INVALID_TABLE_STEP', 'Table step must be a positive distance');
+        }
+
+        const last = minimumAltitude(antennaHeight, maxRange, k);
+        if (last.error) return last;
+
+        // Tolerate rounding so that e.g. 250 / 10 NM still ends on 250 NM
+        const count = Math.floor(maxRange / step + 1e-9);
+        if (count > MAX_ROWS) {
+            return _error('TOO_MANY_ROWS', `Too many table rows (maximum ${MAX_ROWS})`);
+        }
+
+        const re = last.effectiveRadius;
+        const rows = [];
+        for (let i = 1; i <= count; i++) {
+            const range = i * step;
+            rows.push({ range: range, altitude: _floor(antennaHeight, range, re) });
+        }
+
+        return { rows: rows, antennaHorizon: last.antennaHorizon, error: false };
+    }
+
+    return {
+        effectiveRadius,
+        lineOfSight,
+        minimumAltitude,
+        coverageTable
+    };
+})();
@@ -0,0 +1,957 @@
+/**
+ * Karney.js
+ * Pure WGS-84 Geodesic Calculation Module using Karney's Algorithms.
+ *
+ * This module implements Charles Karney's solution of the direct and inverse
+ * geodesic problems (as used by GeographicLib). Unlike Vincenty's iteration
+ * it converges for every pair of points, including nearly antipodal ones,
+ * with an accuracy of about 15 nanometers on the WGS-84 ellipsoid. The
+ * inverse solution also returns the area between the geodesic and the
+ * equator, from which polygon areas are summed.
+ *
+ * The series are expanded to 6th order in the third flattening n.
+ *
+ * The module works on WGS-84; withEllipsoid() returns the same API on
+ * another ellipsoid (e.g. International 1924 for ED50 coordinates).
+ *
+ * References:
+ * - Karney, C. F. F. (2013). "Algorithms for geodesics". Journal of Geodesy.
+ *   87 (1): 43–55. https://doi.org/10.1007/s00190-012-0578-z
+ * - GeographicLib (MIT/X11 License), https://geographiclib.sourceforge.io/
+ *
+ * @module Karney
+ * @author ATSEP Toolbox
+ */
+
+const Karney = (function create(ellipsoid) {
+    // Use the given ellipsoid, otherwise shared constants or local definitions
+    const a = ellipsoid ? ellipsoid.a
+        : (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_A : 6378137.0;
+    const f = ellipsoid ? ellipsoid.f
+        : (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_F : 1 / 298.257223563;
+
+    /** Order of the series expansions */
+    const ORDER = 6;
+
+    /** Derived ellipsoid parameters */
+    const f1 = 1 - f;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (f1 * f1);
+    const n = f / (2 - f);
+    const b = a * f1;
+
+    /** Tolerances for Newton's method (see GeographicLib) */
+    const DIGITS = 53;
+    const TOL0 = Number.EPSILON;
+    const TOL1 = 200 * TOL0;
+    const TOL2 = Math.sqrt(TOL0);
+    const TOLB = TOL0;
+    const XTHRESH = 1000 * TOL2;
+    const MAXIT1 = 20;
+    const MAXIT2 = MAXIT1 + DIGITS + 10;
+    const TINY = Math.sqrt(Number.MIN_VALUE / Number.EPSILON);
+    const DEGREE = Math.PI / 180;
+
+    /** Threshold on the arc length below which lines are "really short" */
+    const ETOL2 = 0.1 * TOL2 / Math.sqrt(Math.max(0.001, Math.abs(f)) * Math.min(1, 1 - f / 2) / 2);
+
+    /**
+     * Series coefficients. Each group is a polynomial (highest order first)
+     * followed by its denominator.
+     */
+    const A1M1_COEFF = [1, 4, 64, 0, 256];
+    const C1_COEFF = [-1, 6, -16, 32, -9, 64, -128, 2048, 9, -16, 768, 3, -5, 512, -7, 1280, -7, 2048];
+    const C1P_COEFF = [205, -432, 768, 1536, 4005, -4736, 3840, 12288, -225, 116, 384,
+        -7173, 2695, 7680, 3467, 7680, 38081, 61440];
+    const A2M1_COEFF = [-11, -28, -192, 0, 256];
+    const C2_COEFF = [1, 2, 16, 32, 35, 64, 384, 2048, 15, 80, 768, 7, 35, 512, 63, 1280, 77, 2048];
+    const A3_COEFF = [-3, 128, -2, -3, 64, -1, -3, -1, 16, 3, -1, -2, 8, 1, -1, 2, 1, 1];
+    const C3_COEFF = [3, 128, 2, 5, 128, -1, 3, 3, 64, -1, 0, 1, 8, -1, 1, 4,
+        5, 256, 1, 3, 128, -3, -2, 3, 64, 1, -3, 2, 32,
+        7, 512, -10, 9, 384, 5, -9, 5, 192,
+        7, 512, -14, 7, 512,
+        21, 2560];
+    const C4_COEFF = [97, 15015, 1088, 156, 45045, -224, -4784, 1573, 45045,
+        -10656, 14144, -4576, -858, 45045,
+        64, 624, -4576, 6864, -3003, 15015,
+        100, 208, 572, 3432, -12012, 30030, 45045,
+        1, 9009, -2944, 468, 135135, 5792, 1040, -1287, 135135,
+        5952, -11648, 9152, -2574, 135135,
+        -64, -624, 4576, -6864, 3003, 135135,
+        8, 10725, 1856, -936, 225225, -8448, 4992, -1144, 225225,
+        -1440, 4160, -4576, 1716, 225225,
+        -136, 63063, 1024, -208, 105105,
+        3584, -3328, 1144, 315315,
+        -128, 135135, -2560, 832, 405405,
+        128, 99099];
+
+    // === Small numeric helpers ===
+
+    const sq = x => x * x;
+    const copysign = (x, y) => Math.abs(x) * (y < 0 || (y === 0 && 1 / y < 0) ? -1 : 1);
+
+    /**
+     * Evaluates a polynomial of order N stored at p[s..s+N] (highest order first).
+     * @private
+     */
+    function _polyval(N, p, s, x) {
+        let y = N < 0 ? 0 : p[s++];
+        while (--N >= 0) y = y * x + p[s++];
+        return y;
+    }
+
+    /**
+     * Error-free sum: returns { s, t } with s = round(u + v) and t the remainder.
+     * @private
+     */
+    function _sum(u, v) {
+        const s = u + v;
+        let up = s - v;
+        let vpp = s - up;
+        up -= u;
+        vpp -= v;
+        return { s: s, t: s ? 0 - (up + vpp) : s };
+    }
+
+    /**
+     * Coarsens an angle close to zero to avoid near-singular cases.
+     * @private
+     */
+    function _angRound(x) {
+        const z = 1 / 16;
+        let y = Math.abs(x);
+        y = y < z ? z - (z - y) : y;
+        return copysign(y, x);
+    }
+
+    /**
+     * Remainder of x / y in [-y/2, y/2].
+     * @private
+     */
+    function _remainder(x, y) {
+        x %= y;
+        return x < -y / 2 ? x + y : (x < y / 2 ? x : x - y);
+    }
+
+    /**
+     * Reduces an angle in degrees to [-180, 180].
+     * @private
+     */
+    function _angNormalize(x) {
+        const y = _remainder(x, 360);
+        return Math.abs(y) === 180 ? copysign(180, x) : y;
+    }
+
+    /**
+     * Exact difference y - x of two angles, reduced to [-180, 180].
+     * @returns {Object} { d, e } with d + e = y - x
+     * @private
+     */
+    function _angDiff(x, y) {
+        let r = _sum(_remainder(-x, 360), _remainder(y, 360));
+        r = _sum(_remainder(r.s, 360), r.t);
+        let d = r.s;
+        const e = r.t;
+        if (d === 0 || Math.abs(d) === 180) d = copysign(d, e === 0 ? y - x : -e);
+        return { d: d, e: e };
+    }
+
+    /**
+     * Sine and cosine of (x + t) degrees, reducing the argument exactly first.
+     * @private
+     */
+    function _sincosd(x, t) {
+        let d = x % 360;
+        const q = Math.round(d / 90);
+        d = (t === undefined) ? d - 90 * q : _angRound((d - 90 * q) + t);
+        const r = d * DEGREE;
+        let s = Math.sin(r);
+        let c = Math.cos(r);
+        if (Math.abs(d) === 45) {
+            c = Math.sqrt(0.5);
+            s = copysign(c, r);
+        } else if (Math.abs(d) === 30) {
+            c = Math.sqrt(0.75);
+            s = copysign(0.5, r);
+        }
+
+        let sinx, cosx;
+        switch (q & 3) {
+            case 0: sinx = s; cosx = c; break;
+            case 1: sinx = c; cosx = -s; break;
+            case 2: sinx = -s; cosx = -c; break;
+            default: sinx = -c; cosx = s; break;
+        }
+        cosx += 0;
+        if (sinx === 0) sinx = copysign(sinx, x + (t || 0));
+        return { s: sinx, c: cosx };
+    }
+
+    /**
+     * atan2 in degrees, computed in the first octant to minimise round-off.
+     * @private
+     */
+    function _atan2d(y, x) {
+        let q = 0;
+        if (Math.abs(y) > Math.abs(x)) { [y, x] = [x, y]; q = 2; }
+        if (copysign(1, x) < 0) { x = -x; ++q; }
+        let ang = Math.atan2(y, x) / DEGREE;
+        switch (q) {
+            case 1: ang = copysign(180, y) - ang; break;
+            case 2: ang = 90 - ang; break;
+            case 3: ang = -90 + ang; break;
+            default: break;
+        }
+        return ang;
+    }
+
+    /**
+     * Normalises a (sin, cos) pair in place.
+     * @private
+     */
+    function _norm(v) {
+        const h = Math.hypot(v.s, v.c);
+        v.s /= h;
+        v.c /= h;
+        return v;
+    }
+
+    // === Series evaluation ===
+
+    /**
+     * Clenshaw summation of sum(c[i] sin(2ix)), i = 1..n.
+     * @private
+     */
+    function _sinSeries(sinx, cosx, c) {
+        let k = c.length;
+        let m = k - 1;
+        const ar = 2 * (cosx - sinx) * (cosx + sinx);
+        let y0 = (m & 1) ? c[--k] : 0;
+        let y1 = 0;
+        m = Math.floor(m / 2);
+        while (m--) {
+            y1 = ar * y0 - y1 + c[--k];
+            y0 = ar * y1 - y0 + c[--k];
+        }
+        return 2 * sinx * cosx * y0;
+    }
+
+    /**
+     * Clenshaw summation of sum(c[i] cos((2i+1)x)), i = 0..n-1.
+     * @private
+     */
+    function _cosSeries(sinx, cosx, c) {
+        let k = c.length;
+        let m = k;
+        const ar = 2 * (cosx - sinx) * (cosx + sinx);
+        let y0 = (m & 1) ? c[--k] : 0;
+        let y1 = 0;
+        m = Math.floor(m / 2);
+        while (m--) {
+            y1 = ar * y0 - y1 + c[--k];
+            y0 = ar * y1 - y0 + c[--k];
+        }
+        return cosx * (y0 - y1);
+    }
+
+    /**
+     * Fills c[1..ORDER] with eps^l × polynomial(eps²) coefficients.
+     * @private
+     */
+    function _fourier(coeff, eps, c) {
+        const eps2 = sq(eps);
+        let d = eps;
+        let o = 0;
+        for (let l = 1; l <= ORDER; ++l) {
+            const p = Math.floor((ORDER - l) / 2);
+            c[l] = d * _polyval(p, coeff, o, eps2) / coeff[o + p + 1];
+            o += p + 2;
+            d *= eps;
+        }
+        return c;
+    }
+
+    /** Scale factor A1 - 1 of the distance integral */
+    function _A1m1(eps) {
+        const p = Math.floor(ORDER / 2);
+        const t = _polyval(p, A1M1_COEFF, 0, sq(eps)) / A1M1_COEFF[p + 1];
+        return (t + eps) / (1 - eps);
+    }
+
+    /** Scale factor A2 - 1 of the reduced length integral */
+    function _A2m1(eps) {
+        const p = Math.floor(ORDER / 2);
+        const t = _polyval(p, A2M1_COEFF, 0, sq(eps)) / A2M1_COEFF[p + 1];
+        return (t - eps) / (1 + eps);
+    }
+
+    /** Coefficients of A3 (longitude integral) as a polynomial in eps */
+    const A3X = (function () {
+        const x = [];
+        let o = 0;
+        for (let j = ORDER - 1; j >= 0; --j) {
+            const p = Math.min(ORDER - j - 1, j);
+            x.push(_polyval(p, A3_COEFF, o, n) / A3_COEFF[o + p + 1]);
+            o += p + 2;
+        }
+        return x;
+    })();
+
+    /** Coefficients of C3 (longitude integral) as polynomials in eps */
+    const C3X = (function () {
+        const x = [];
+        let o = 0;
+        for (let l = 1; l < ORDER; ++l) {
+            for (let j = ORDER - 1; j >= l; --j) {
+                const p = Math.min(ORDER - j - 1, j);
+                x.push(_polyval(p, C3_COEFF, o, n) / C3_COEFF[o + p + 1]);
+                o += p + 2;
+            }
+        }
+        return x;
+    })();
+
+    /** Coefficients of C4 (area integral) as polynomials in eps */
+    const C4X = (function () {
+        const x = [];
+        let o = 0;
+        for (let l = 0; l < ORDER; ++l) {
+            for (let j = ORDER - 1; j >= l; --j) {
+                const p = ORDER - j - 1;
+                x.push(_polyval(p, C4_COEFF, o, n) / C4_COEFF[o + p + 1]);
+                o += p + 2;
+            }
+        }
+        return x;
+    })();
+
+    /** Authalic radius squared: the ellipsoid area is 4πc² */
+    const C2 = (sq(a) + sq(b) * Math.atanh(Math.sqrt(e2)) / Math.sqrt(e2)) / 2;
+
+    function _A3f(eps) {
+        return _polyval(ORDER - 1, A3X, 0, eps);
+    }
+
+    function _C3f(eps, c) {
+        let mult = 1;
+        let o = 0;
+        for (let l = 1; l < ORDER; ++l) {
+            const p = ORDER - l - 1;
+            mult *= eps;
+            c[l] = mult * _polyval(p, C3X, o, eps);
+            o += p + 1;
+        }
+        return c;
+    }
+
+    function _C4f(eps, c) {
+        let mult = 1;
+        let o = 0;
+        for (let l = 0; l < ORDER; ++l) {
+            const p = ORDER - l - 1;
+            c[l] = mult * _polyval(p, C4X, o, eps);
+            o += p + 1;
+            mult *= eps;
+        }
+        return c;
+    }
+
+    /**
+     * Computes the distance and reduced length (both divided by b) of the
+     * geodesic between two points on the auxiliary sphere.
+     * @returns {Object} { s12b, m12b, m0 }
+     * @private
+     */
+    function _lengths(eps, sig12, ssig1, csig1, dn1, ssig2, csig2, dn2) {
+        const C1a = _fourier(C1_COEFF, eps, new Array(ORDER + 1));
+        const C2a = _fourier(C2_COEFF, eps, new Array(ORDER + 1));
+        const A1m1 = _A1m1(eps);
+        const A2m1 = _A2m1(eps);
+        const m0 = A1m1 - A2m1;
+        const A1 = 1 + A1m1;
+        const A2 = 1 + A2m1;
+
+        const B1 = _sinSeries(ssig2, csig2, C1a) - _sinSeries(ssig1, csig1, C1a);
+        const B2 = _sinSeries(ssig2, csig2, C2a) - _sinSeries(ssig1, csig1, C2a);
+        const J12 = m0 * sig12 + (A1 * B1 - A2 * B2);
+
+        return {
+            s12b: A1 * (sig12 + B1),
+            m12b: dn2 * (csig1 * ssig2) - dn1 * (ssig1 * csig2) - csig1 * csig2 * J12,
+            m0: m0
+        };
+    }
+
+    /**
+     * Solves the astroid equation k⁴ + 2k³ - (x² + y² - 1)k² - 2y²k - y² = 0
+     * for its positive root.
+     * @private
+     */
+    function _astroid(x, y) {
+        const p = sq(x);
+        const q = sq(y);
+        const r = (p + q - 1) / 6;
+        if (q === 0 && r <= 0) return 0;
+
+        const S = p * q / 4;
+        const r2 = sq(r);
+        const r3 = r * r2;
+        const disc = S * (S + 2 * r3);
+        let u = r;
+        if (disc >= 0) {
+            let T3 = S + r3;
+            T3 += T3 < 0 ? -Math.sqrt(disc) : Math.sqrt(disc);
+            const T = Math.cbrt(T3);
+            u += T + (T !== 0 ? r2 / T : 0);
+        } else {
+            const ang = Math.atan2(Math.sqrt(-disc), -(S + r3));
+            u += 2 * r * Math.cos(ang / 3);
+        }
+        const v = Math.sqrt(sq(u) + q);
+        const uv = u < 0 ? q / (v - u) : u + v;
+        const w = (uv - q) / (2 * v);
+        return uv / (Math.sqrt(uv + sq(w)) + w);
+    }
+
+    /**
+     * Starting guess for the azimuth at point 1 (Newton's method). For really
+     * short lines the solution is returned directly with sig12 >= 0.
+     * @private
+     */
+    function _inverseStart(sbet1, cbet1, dn1, sbet2, cbet2, dn2, lam12, slam12, clam12) {
+        const res = { sig12: -1 };
+        const sbet12 = sbet2 * cbet1 - cbet2 * sbet1;
+        const cbet12 = cbet2 * cbet1 + sbet2 * sbet1;
+        const sbet12a = sbet2 * cbet1 + cbet2 * sbet1;
+        const shortline = cbet12 >= 0 && sbet12 < 0.5 && cbet2 * lam12 < 0.5;
+
+        let somg12, comg12;
+        if (shortline) {
+            let sbetm2 = sq(sbet1 + sbet2);
+            sbetm2 /= sbetm2 + sq(cbet1 + cbet2);
+            res.dnm = Math.sqrt(1 + ep2 * sbetm2);
+            const omg12 = lam12 / (f1 * res.dnm);
+            somg12 = Math.sin(omg12);
+            comg12 = Math.cos(omg12);
+        } else {
+            somg12 = slam12;
+            comg12 = clam12;
+        }
+
+        res.salp1 = cbet2 * somg12;
+        res.calp1 = comg12 >= 0
+            ? sbet12 + cbet2 * sbet1 * sq(somg12) / (1 + comg12)
+            : sbet12a - cbet2 * sbet1 * sq(somg12) / (1 - comg12);
+
+        const ssig12 = Math.hypot(res.salp1, res.calp1);
+        const csig12 = sbet1 * sbet2 + cbet1 * cbet2 * comg12;
+
+        if (shortline && ssig12 < ETOL2) {
+            // Really short lines: spherical solution with the mean radius
+            const alp2 = _norm({
+                s: cbet1 * somg12,
+                c: sbet12 - cbet1 * sbet2 * (comg12 >= 0 ? sq(somg12) / (1 + comg12) : 1 - comg12)
+            });
+            res.salp2 = alp2.s;
+            res.calp2 = alp2.c;
+            res.sig12 = Math.atan2(ssig12, csig12);
+        } else if (Math.abs(n) > 0.1 || csig12 >= 0 || ssig12 >= 6 * Math.abs(n) * Math.PI * sq(cbet1)) {
+            // Zeroth order spherical approximation is good enough
+        } else {
+            // Nearly antipodal: scale to the astroid coordinate system
+            const lam12x = Math.atan2(-slam12, -clam12);
+            const k2 = sq(sbet1) * ep2;
+            const eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+            const lamscale = f * cbet1 * _A3f(eps) * Math.PI;
+            const betscale = lamscale * cbet1;
+            const x = lam12x / lamscale;
+            const y = sbet12a / betscale;
+
+            if (y > -TOL1 && x > -1 - XTHRESH) {
+                res.salp1 = Math.min(1, -x);
+                res.calp1 = -Math.sqrt(1 - sq(res.salp1));
+            } else {
+                const k = _astroid(x, y);
+                const omg12a = lamscale * (-x * k / (1 + k));
+                somg12 = Math.sin(omg12a);
+                comg12 = -Math.cos(omg12a);
+                res.salp1 = cbet2 * somg12;
+                res.calp1 = sbet12a - cbet2 * sbet1 * sq(somg12) / (1 - comg12);
+            }
+        }
+
+        if (!(res.salp1 <= 0)) {
+            const alp1 = _norm({ s: res.salp1, c: res.calp1 });
+            res.salp1 = alp1.s;
+            res.calp1 = alp1.c;
+        } else {
+            res.salp1 = 1;
+            res.calp1 = 0;
+        }
+        return res;
+    }
+
+    /**
+     * Longitude difference reached by the geodesic leaving point 1 with
+     * azimuth alp1, and its derivative with respect to alp1.
+     * @private
+     */
+    function _lambda12(sbet1, cbet1, dn1, sbet2, cbet2, dn2, salp1, calp1, slam120, clam120, diffp) {
+        if (sbet1 === 0 && calp1 === 0) calp1 = -TINY;
+
+        const res = {};
+        const salp0 = salp1 * cbet1;
+        const calp0 = Math.hypot(calp1, salp1 * sbet1);
+
+        const sig1 = _norm({ s: sbet1, c: calp1 * cbet1 });
+        const somg1 = salp0 * sbet1;
+        const comg1 = calp1 * cbet1;
+
+        res.salp2 = cbet2 !== cbet1 ? salp0 / cbet2 : salp1;
+        res.calp2 = cbet2 !== cbet1 || Math.abs(sbet2) !== -sbet1
+            ? Math.sqrt(sq(calp1 * cbet1) + (cbet1 < -sbet1
+                ? (cbet2 - cbet1) * (cbet1 + cbet2)
+                : (sbet1 - sbet2) * (sbet1 + sbet2))) / cbet2
+            : Math.abs(calp1);
+
+        const sig2 = _norm({ s: sbet2, c: res.calp2 * cbet2 });
+        const somg2 = salp0 * sbet2;
+        const comg2 = res.calp2 * cbet2;
+
+        res.ssig1 = sig1.s; res.csig1 = sig1.c;
+        res.ssig2 = sig2.s; res.csig2 = sig2.c;
+        res.sig12 = Math.atan2(Math.max(0, sig1.c * sig2.s - sig1.s * sig2.c), sig1.c * sig2.c + sig1.s * sig2.s);
+
+        const somg12 = Math.max(0, comg1 * somg2 - somg1 * comg2);
+        const comg12 = comg1 * comg2 + somg1 * somg2;
+        const eta = Math.atan2(somg12 * clam120 - comg12 * slam120, comg12 * clam120 + somg12 * slam120);
+
+        const k2 = sq(calp0) * ep2;
+        res.eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+        const C3a = _C3f(res.eps, new Array(ORDER));
+        const B312 = _sinSeries(sig2.s, sig2.c, C3a) - _sinSeries(sig1.s, sig1.c, C3a);
+        res.domg12 = -f * _A3f(res.eps) * salp0 * (res.sig12 + B312);
+        res.lam12 = eta + res.domg12;
+
+        if (diffp) {
+            if (res.calp2 === 0) {
+                res.dlam12 = -2 * f1 * dn1 / sbet1;
+            } else {
+                const len = _lengths(res.eps, res.sig12, sig1.s, sig1.c, dn1, sig2.s, sig2.c, dn2);
+                res.dlam12 = len.m12b * f1 / (res.calp2 * cbet2);
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Solves the inverse geodesic problem.
+     *
+     * The points are first brought to a canonical configuration (point 1 in
+     * the southern hemisphere with the larger absolute latitude, eastward
+     * longitude difference). Meridional and equatorial geodesics are solved
+     * directly; all other cases use Newton's method on the azimuth at point 1,
+     * safeguarded by bisection so that it always converges.
+     *
+     * @param {number} lat1 - Latitude of first point in degrees (-90 to +90)
+     * @param {number} lon1 - Longitude of first point in degrees
+     * @param {number} lat2 - Latitude of second point in degrees (-90 to +90)
+     * @param {number} lon2 - Longitude of second point in degrees
+     * @returns {Object} Result object with properties:
+     *   - distance: Geodesic distance in meters
+     *   - initialBearing: Forward azimuth at point 1 in degrees (0-360)
+     *   - finalBearing: Forward azimuth at point 2 in degrees (0-360)
+     *   - backBearing: Azimuth from point 2 back to point 1 in degrees (0-360)
+     *   - reducedLength: Reduced length m12 in meters
+     *   - area: Area S12 in m² of the quadrilateral bounded by the geodesic,
+     *     the meridians of both points and the equator (counter-clockwise positive)
+     *   - isCoincident: True if points are the same location
+     *
+     * @example
+     * // Nearly antipodal points where Vincenty fails
+     * const res = Karney.inverse(-30, 0, 29.9, 179.8);
+     * // res.distance ≈ 19989832.8 m, res.initialBearing ≈ 161.89°
+     */
+    function inverse(lat1, lon1, lat2, lon2) {
+        // === Step 1: Canonical configuration ===
+        lat1 = _angRound(lat1);
+        lat2 = _angRound(lat2);
+
+        const diff = _angDiff(lon1, lon2);
+        let lon12 = diff.d;
+        let lon12s = diff.e;
+        let lonsign = copysign(1, lon12);
+        lon12 *= lonsign;
+        lon12s *= lonsign;
+        const lam12 = lon12 * DEGREE;
+        const lam = _sincosd(lon12, lon12s);
+        const slam12 = lam.s;
+        const clam12 = lam.c;
+        lon12s = (180 - lon12) - lon12s;
+
+        // Point 1 has the larger absolute latitude and lies south of the equator
+        const swapp = Math.abs(lat1) < Math.abs(lat2) ? -1 : 1;
+        if (swapp < 0) {
+            lonsign *= -1;
+            [lat1, lat2] = [lat2, lat1];
+        }
+        const latsign = copysign(1, -lat1);
+        lat1 *= latsign;
+        lat2 *= latsign;
+
+        // === Step 2: Reduced latitudes ===
+        let t = _sincosd(lat1);
+        const bet1 = _norm({ s: f1 * t.s, c: t.c });
+        let sbet1 = bet1.s;
+        const cbet1 = Math.max(TINY, bet1.c);
+
+        t = _sincosd(lat2);
+        const bet2 = _norm({ s: f1 * t.s, c: t.c });
+        let sbet2 = bet2.s;
+        let cbet2 = Math.max(TINY, bet2.c);
+
+        if (cbet1 < -sbet1) {
+            if (cbet2 === cbet1) sbet2 = copysign(sbet1, sbet2);
+        } else if (Math.abs(sbet2) === -sbet1) {
+            cbet2 = cbet1;
+        }
+
+        const dn1 = Math.sqrt(1 + ep2 * sq(sbet1));
+        const dn2 = Math.sqrt(1 + ep2 * sq(sbet2));
+
+        let sig12, salp1, calp1, salp2, calp2, s12x, m12x;
+        // Longitude difference on the auxiliary sphere, for the area
+        let omg12 = NaN, somg12 = NaN, comg12 = NaN;
+
+        // === Step 3: Meridional geodesics ===
+        let meridian = lat1 === -90 || slam12 === 0;
+        if (meridian) {
+            calp1 = clam12; salp1 = slam12;
+            calp2 = 1; salp2 = 0;
+
+            const ssig1 = sbet1, csig1 = calp1 * cbet1;
+            const ssig2 = sbet2, csig2 = calp2 * cbet2;
+            sig12 = Math.atan2(Math.max(0, csig1 * ssig2 - ssig1 * csig2), csig1 * csig2 + ssig1 * ssig2);
+
+            const len = _lengths(n, sig12, ssig1, csig1, dn1, ssig2, csig2, dn2);
+            s12x = len.s12b;
+            m12x = len.m12b;
+
+            if (sig12 < TOL2 || m12x >= 0) {
+                if (sig12 < 3 * TINY || (sig12 < TOL0 && (s12x < 0 || m12x < 0))) {
+                    sig12 = m12x = s12x = 0;
+                }
+                m12x *= b;
+                s12x *= b;
+            } else {
+                meridian = false;
+            }
+        }
+
+        if (!meridian && sbet1 === 0 && (f <= 0 || lon12s >= f * 180)) {
+            // === Step 4: Equatorial geodesics ===
+            calp1 = calp2 = 0;
+            salp1 = salp2 = 1;
+            s12x = a * lam12;
+            sig12 = omg12 = lam12 / f1;
+            m12x = b * Math.sin(sig12);
+        } else if (!meridian) {
+            // === Step 5: General case ===
+            const start = _inverseStart(sbet1, cbet1, dn1, sbet2, cbet2, dn2, lam12, slam12, clam12);
+            sig12 = start.sig12;
+            salp1 = start.salp1;
+            calp1 = start.calp1;
+
+            if (sig12 >= 0) {
+                // Really short line, solved on the sphere
+                salp2 = start.salp2;
+                calp2 = start.calp2;
+                s12x = sig12 * b * start.dnm;
+                m12x = sq(start.dnm) * b * Math.sin(sig12 / start.dnm);
+                omg12 = lam12 / (f1 * start.dnm);
+            } else {
+                // Newton's method on alp1, with a bracket (alp1a, alp1b) that is
+                // bisected whenever a Newton step would leave it
+                let salp1a = TINY, calp1a = 1, salp1b = TINY, calp1b = -1;
+                let tripn = false, tripb = false;
+                let v;
+
+                for (let numit = 0; ; ++numit) {
+                    v = _lambda12(sbet1, cbet1, dn1, sbet2, cbet2, dn2, salp1, calp1, slam12, clam12, numit < MAXIT1);
+                    const err = v.lam12;
+
+                    if (tripb || !(Math.abs(err) >= (tripn ? 8 : 1) * TOL0) || numit === MAXIT2) break;
+
+                    if (err > 0 && (numit < MAXIT1 || calp1 / salp1 > calp1b / salp1b)) {
+                        salp1b = salp1; calp1b = calp1;
+                    } else if (err < 0 && (numit < MAXIT1 || calp1 / salp1 < calp1a / salp1a)) {
+                        salp1a = salp1; calp1a = calp1;
+                    }
+
+                    if (numit < MAXIT1 && v.dlam12 > 0) {
+                        const dalp1 = -err / v.dlam12;
+                        if (Math.abs(dalp1) < Math.PI) {
+                            const sdalp1 = Math.sin(dalp1);
+                            const cdalp1 = Math.cos(dalp1);
+                            const nsalp1 = salp1 * cdalp1 + calp1 * sdalp1;
+                            if (nsalp1 > 0) {
+                                const next = _norm({ s: nsalp1, c: calp1 * cdalp1 - salp1 * sdalp1 });
+                                salp1 = next.s;
+                                calp1 = next.c;
+                                tripn = Math.abs(err) <= 16 * TOL0;
+                                continue;
+                            }
+                        }
+                    }
+
+                    // Newton step rejected: bisect the bracket
+                    const mid = _norm({ s: (salp1a + salp1b) / 2, c: (calp1a + calp1b) / 2 });
+                    salp1 = mid.s;
+                    calp1 = mid.c;
+                    tripn = false;
+                    tripb = (Math.abs(salp1a - salp1) + (calp1a - calp1) < TOLB ||
+                        Math.abs(salp1 - salp1b) + (calp1 - calp1b) < TOLB);
+                }
+
+                salp2 = v.salp2;
+                calp2 = v.calp2;
+                sig12 = v.sig12;
+                const len = _lengths(v.eps, sig12, v.ssig1, v.csig1, dn1, v.ssig2, v.csig2, dn2);
+                s12x = len.s12b * b;
+                m12x = len.m12b * b;
+
+                // omg12 = lam12 - domg12
+                const sdomg12 = Math.sin(v.domg12), cdomg12 = Math.cos(v.domg12);
+                somg12 = slam12 * cdomg12 - clam12 * sdomg12;
+                comg12 = clam12 * cdomg12 + slam12 * sdomg12;
+            }
+        }
+
+        // === Step 6: Area between the geodesic and the equator ===
+        let S12 = 0;
+        const salp0 = salp1 * cbet1;
+        const calp0 = Math.hypot(calp1, salp1 * sbet1);
+        if (calp0 !== 0 && salp0 !== 0) {
+            const sig1 = _norm({ s: sbet1, c: calp1 * cbet1 });
+            const sig2 = _norm({ s: sbet2, c: calp2 * cbet2 });
+            const k2 = sq(calp0) * ep2;
+            const eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+            const A4 = sq(a) * calp0 * salp0 * e2;
+            const C4a = _C4f(eps, new Array(ORDER));
+            S12 = A4 * (_cosSeries(sig2.s, sig2.c, C4a) - _cosSeries(sig1.s, sig1.c, C4a));
+        }
+        if (!meridian && isNaN(somg12)) {
+            somg12 = Math.sin(omg12);
+            comg12 = Math.cos(omg12);
+        }
+        let alp12;
+        if (!meridian && comg12 > -0.7071 && sbet2 - sbet1 < 1.75) {
+            // tan(alp12/2) from the spherical excess of the quadrilateral
+            const domg12 = 1 + comg12, dbet1 = 1 + cbet1, dbet2 = 1 + cbet2;
+            alp12 = 2 * Math.atan2(somg12 * (sbet1 * dbet2 + sbet2 * dbet1),
+                domg12 * (sbet1 * sbet2 + dbet1 * dbet2));
+        } else {
+            let salp12 = salp2 * calp1 - calp2 * salp1;
+            let calp12 = calp2 * calp1 + salp2 * salp1;
+            if (salp12 === 0 && calp12 < 0) {
+                salp12 = TINY * calp1;
+                calp12 = -1;
+            }
+            alp12 = Math.atan2(salp12, calp12);
+        }
+        S12 = (S12 + C2 * alp12) * swapp * lonsign * latsign + 0;
+
+        // === Step 7: Undo the canonical transformation ===
+        if (swapp < 0) {
+            [salp1, salp2] = [salp2, salp1];
+            [calp1, calp2] = [calp2, calp1];
+        }
+        salp1 *= swapp * lonsign; calp1 *= swapp * latsign;
+        salp2 *= swapp * lonsign; calp2 *= swapp * latsign;
+
+        const distance = 0 + s12x;
+        if (distance === 0) {
+            // Same convention as Vincenty.calculateDistance for coincident points
+            return {
+                distance: 0, initialBearing: 0, finalBearing: 0, backBearing: 180,
+                reducedLength: 0, area: 0, isCoincident: true
+            };
+        }
+
+        const azi1 = _atan2d(salp1, calp1);
+        const azi2 = _atan2d(salp2, calp2);
+
+        return {
+            distance: distance,
+            initialBearing: (azi1 + 360) % 360,
+            finalBearing: (azi2 + 360) % 360,
+            backBearing: (azi2 + 540) % 360,
+            reducedLength: 0 + m12x,
+            area: S12,
+            isCoincident: false
+        };
+    }
+
+    /**
+     * Prepares the geodesic leaving a point with a given azimuth, so that
+     * positions along it can be computed cheaply.
+     * @param {number} lat1 - Latitude of start point in degrees
+     * @param {number} lon1 - Longitude of start point in degrees
+     * @param {number} azi1 - Initial azimuth in degrees
+     * @returns {Object} Line state used by _position
+     * @private
+     */
+    function _line(lat1, lon1, azi1) {
+        const line = { lon1: lon1 };
+
+        const alp1 = _sincosd(_angRound(_angNormalize(azi1)));
+        line.salp1 = alp1.s;
+        line.calp1 = alp1.c;
+
+        const t = _sincosd(_angRound(lat1));
+        const bet1 = _norm({ s: f1 * t.s, c: t.c });
+        const sbet1 = bet1.s;
+        const cbet1 = Math.max(TINY, bet1.c);
+        line.dn1 = Math.sqrt(1 + ep2 * sq(sbet1));
+
+        // Azimuth at the equator crossing: sin(alp0) = sin(alp1) cos(bet1)
+        line.salp0 = line.salp1 * cbet1;
+        line.calp0 = Math.hypot(line.calp1, line.salp1 * sbet1);
+
+        line.somg1 = line.salp0 * sbet1;
+        line.comg1 = sbet1 !== 0 || line.calp1 !== 0 ? cbet1 * line.calp1 : 1;
+        const sig1 = _norm({ s: sbet1, c: line.comg1 });
+        line.ssig1 = sig1.s;
+        line.csig1 = sig1.c;
+
+        line.k2 = sq(line.calp0) * ep2;
+        const eps = line.k2 / (2 * (1 + Math.sqrt(1 + line.k2)) + line.k2);
+
+        line.A1m1 = _A1m1(eps);
+        line.C1a = _fourier(C1_COEFF, eps, new Array(ORDER + 1));
+        line.C1pa = _fourier(C1P_COEFF, eps, new Array(ORDER + 1));
+        line.B11 = _sinSeries(line.ssig1, line.csig1, line.C1a);
+        const s = Math.sin(line.B11);
+        const c = Math.cos(line.B11);
+        line.stau1 = line.ssig1 * c + line.csig1 * s;
+        line.ctau1 = line.csig1 * c - line.ssig1 * s;
+
+        line.A2m1 = _A2m1(eps);
+        line.C2a = _fourier(C2_COEFF, eps, new Array(ORDER + 1));
+        line.B21 = _sinSeries(line.ssig1, line.csig1, line.C2a);
+
+        line.C3a = _C3f(eps, new Array(ORDER));
+        line.A3c = -f * line.salp0 * _A3f(eps);
+        line.B31 = _sinSeries(line.ssig1, line.csig1, line.C3a);
+
+        return line;
+    }
+
+    /**
+     * Computes the position at a distance along a prepared line.
+     * @param {Object} line - Line state from _line
+     * @param {number} s12 - Distance from the start point in meters
+     * @returns {Object} { lat, lon, azi2, m12 } with angles in degrees
+     * @private
+     */
+    function _position(line, s12) {
+        // Invert the distance series to get the arc length on the auxiliary sphere
+        const tau12 = s12 / (b * (1 + line.A1m1));
+        const s = Math.sin(tau12);
+        const c = Math.cos(tau12);
+        const B12 = -_sinSeries(line.stau1 * c + line.ctau1 * s, line.ctau1 * c - line.stau1 * s, line.C1pa);
+        const sig12 = tau12 - (B12 - line.B11);
+        const ssig12 = Math.sin(sig12);
+        const csig12 = Math.cos(sig12);
+
+        const ssig2 = line.ssig1 * csig12 + line.csig1 * ssig12;
+        const csig2 = line.csig1 * csig12 - line.ssig1 * ssig12;
+        const dn2 = Math.sqrt(1 + line.k2 * sq(ssig2));
+        const AB1 = (1 + line.A1m1) * (B12 - line.B11);
+
+        const sbet2 = line.calp0 * ssig2;
+        let cbet2 = Math.hypot(line.salp0, line.calp0 * csig2);
+        let csig2b = csig2;
+        if (cbet2 === 0) cbet2 = csig2b = TINY;
+        const salp2 = line.salp0;
+        const calp2 = line.calp0 * csig2b;
+
+        // Longitude
+        const somg2 = line.salp0 * ssig2;
+        const comg2 = csig2b;
+        const omg12 = Math.atan2(somg2 * line.comg1 - comg2 * line.somg1, comg2 * line.comg1 + somg2 * line.somg1);
+        const lam12 = omg12 + line.A3c * (sig12 + (_sinSeries(ssig2, csig2b, line.C3a) - line.B31));
+        const lon12 = lam12 / DEGREE;
+
+        // Reduced length
+        const B22 = _sinSeries(ssig2, csig2b, line.C2a);
+        const AB2 = (1 + line.A2m1) * (B22 - line.B21);
+        const J12 = (line.A1m1 - line.A2m1) * sig12 + (AB1 - AB2);
+        const m12 = b * ((dn2 * (line.csig1 * ssig2) - line.dn1 * (line.ssig1 * csig2b)) - line.csig1 * csig2b * J12);
+
+        return {
+            lat: _atan2d(sbet2, f1 * cbet2),
+            lon: _angNormalize(_angNormalize(line.lon1) + _angNormalize(lon12)),
+            azi2: _atan2d(salp2, calp2),
+            m12: m12
+        };
+    }
+
+    /**
+     * Solves the direct geodesic problem.
+     * Projects a destination point given a starting point, distance, and bearing.
+     *
+     * @param {number} lat1 - Latitude of start point in degrees (-90 to +90)
+     * @param {number} lon1 - Longitude of start point in degrees
+     * @param {number} distanceMeters - Distance to travel in meters
+     * @param {number} bearingDegrees - Initial bearing in degrees (true north)
+     * @returns {Object} Result object with properties:
+     *   - lat: Latitude of destination in degrees
+     *   - lon: Longitude of destination in degrees (-180 to +180)
+     *   - finalBearing: Forward azimuth at the destination in degrees (0-360)
+     *   - backBearing: Azimuth from the destination back to the start in degrees (0-360)
+     *   - reducedLength: Reduced length m12 in meters
+     *
+     * @example
+     * // JFK to about Paris-Le Bourget
+     * const dest = Karney.direct(40.63972222, -73.77888889, 5850000, 53.5);
+     * // dest.lat ≈ 49.01467, dest.lon ≈ 2.56106
+     */
+    function direct(lat1, lon1, distanceMeters, bearingDegrees) {
+        const pos = _position(_line(lat1, lon1, bearingDegrees), distanceMeters);
+
+        return {
+            lat: pos.lat,
+            lon: pos.lon,
+            finalBearing: (pos.azi2 + 360) % 360,
+            backBearing: (pos.azi2 + 540) % 360,
+            reducedLength: pos.m12
+        };
+    }
+
+    /**
+     * Returns the geodesic functions on another ellipsoid.
+     *
+     * @param {Object} other - Ellipsoid { a, f } with the semi-major axis in
+     *   meters and the flattening
+     * @returns {Object} { inverse, direct, withEllipsoid, AUTHALIC_RADIUS_SQ }
+     *   on that ellipsoid
+     *
+     * @example
+     * // Geodesic on the International 1924 ellipsoid (ED50)
+     * const intl = Karney.withEllipsoid({ a: 6378388, f: 1 / 297 });
+     * const res = intl.inverse(51.5, -0.1, 48.85, 2.35);
+     */
+    function withEllipsoid(other) {
+        return create(other);
+    }
+
+    // Public API
+    return {
+        inverse,
+        direct,
+        withEllipsoid,
+        /** Authalic radius squared in m²: the ellipsoid area is 4π × this */
+        AUTHALIC_RADIUS_SQ: C2
+    };
+})();
@@ -0,0 +1,297 @@
+/**
+ * Magnetic.js
+ * Pure Magnetic Variation Module using the World Magnetic Model.
+ *
+ * Evaluates the WMM spherical harmonic model (degree and order 12) from the
+ * bundled coefficient file (wmm-coefficients.js) to give the magnetic
+ * declination, inclination and field intensity at a position and date.
+ * Everything is computed locally, so it works offline.
+ *
+ * Declination (variation) is positive east: magnetic = true - declination.
+ *
+ * References:
+ * - Chulliat, A. et al. (2025). "The US/UK World Magnetic Model for 2025-2030:
+ *   Technical Report". NOAA NCEI / British Geological Survey.
+ * - ICAO Annex 15 (magnetic variation in aeronautical information)
+ *
+ * @module Magnetic
+ * @author ATSEP Toolbox
+ */
+
+const Magnetic = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const a = ((typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_A : 6378137.0) / 1000;
+    const b = ((typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_B : 6356752.314245) / 1000;
+    const RE = ((typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WMM_REFERENCE_RADIUS_M : 6371200) / 1000;
+    const VALIDITY_YEARS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.WMM_VALIDITY_YEARS : 5;
+
+    const toRad = d => d * Math.PI / 180;
+    const toDeg = r => r * 180 / Math.PI;
+
+    /** Parsed model, built on first use */
+    let model = null;
+
+    /**
+     * Builds an error result object.
+     * @param {string} key - ERROR_MESSAGES key
+     * @param {string} fallback - Message used when ERROR_MESSAGES is unavailable
+     * @returns {Object} { error: true, msg }
+     * @private
+     */
+    function _error(key, fallback) {
+        const msg = (typeof ERROR_MESSAGES !== 'undefined') ? ERROR_MESSAGES[key] : fallback;
+        return { error: true, msg: msg };
+    }
+
+    /**
+     * Parses a WMM.COF coefficient file.
+     *
+     * The Gauss coefficients are scaled once by the Schmidt semi-normalisation
+     * factors so that the field sums can use plain Legendre functions.
+     *
+     * @param {string} text - Content of the COF file
+     * @returns {Object} { name, epoch, nMax, g, h, gDot, hDot } with [n][m] arrays
+     * @private
+     */
+    function _parseCof(text) {
+        const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l !== '');
+        const header = lines[0].split(/\s+/);
+        const parsed = { name: header[1], epoch: parseFloat(header[0]), nMax: 0, g: [], h: [], gDot: [], hDot: [] };
+
+        const rows = [];
+        for (let i = 1; i < lines.length; i++) {
+            if (/^9{10,}/.test(lines[i])) break;
+            const v = lines[i].split(/\s+/).map(Number);
+            rows.push(v);
+            parsed.nMax = Math.max(parsed.nMax, v[0]);
+        }
+
+        ['g', 'h', 'gDot', 'hDot'].forEach(key => {
+            for (let n = 0; n <= parsed.nMax; n++) parsed[key].push(new Array(n + 1).fill(0));
+        });
+
+        // Schmidt semi-normalisation factors
+        const schmidt = [[1]];
+        for (let n = 1; n <= parsed.nMax; n++) {
+            schmidt[n] = [schmidt[n - 1][0] * (2 * n - 1) / n];
+            for (let m = 1; m <= n; m++) {
+                schmidt[n][m] = schmidt[n][m - 1] * Math.sqrt((n - m + 1) * (m === 1 ? 2 : 1) / (n + m));
+            }
+        }
+
+        rows.forEach(([n, m, g, h, gDot, hDot]) => {
+            const s = schmidt[n][m];
+            parsed.g[n][m] = g * s;
+            parsed.h[n][m] = h * s;
+            parsed.gDot[n][m] = gDot * s;
+            parsed.hDot[n][m] = hDot * s;
+        });
+
+        return parsed;
+    }
+
+    /**
+     * Returns the parsed model, parsing the bundled coefficients on first use.
+     * @returns {Object|null} Parsed model, or null if the coefficients are not loaded
+     * @private
+     */
+    function _model() {
+        if (!model && typeof WMM_COF !== 'undefined') model = _parseCof(WMM_COF);
+        return model;
+    }
+
+    /**
+     * Converts a date to a decimal year (e.g. 1 July 2025 → 2025.496).
+     * @param {Date} date - The date
+     * @returns {number} Decimal year
+     *
+     * @example
+     * Magnetic.decimalYear(new Date(Date.UTC(2025, 0, 1))); // 2025.0
+     */
+    function decimalYear(date) {
+        const year = date.getUTCFullYear();
+        const start = Date.UTC(year, 0, 1);
+        const end = Date.UTC(year + 1, 0, 1);
+        return year + (date.getTime() - start) / (end - start);
+    }
+
+    /**
+     * Computes the magnetic field elements at a position and date.
+     *
+     * @param {number} lat - Geodetic latitude in degrees (-90 to +90)
+     * @param {number} lon - Longitude in degrees (-180 to +180)
+     * @param {number} [altitudeMeters=0] - Height above the WGS-84 ellipsoid in meters
+     * @param {Date|number} [date=new Date()] - Date, or decimal year
+     * @returns {Object} Result object with properties:
+     *   - declination: Magnetic variation in degrees, positive east
+     *   - inclination: Dip angle in degrees, positive down
+     *   - horizontalIntensity: H in nT
+     *   - totalIntensity: F in nT
+     *   - north, east, down: Field components X, Y, Z in nT
+     *   - decimalYear: Date used, as a decimal year
+     *   - model: Model name (e.g. 'WMM-2025')
+     *   - isValid: False if the date is outside the model validity period
+     *   - error: false on success
+     *
+     * @example
+     * const mag = Magnetic.calculate(51.47, -0.45, 0, new Date());
+     * console.log(mag.declination); // ~1° east in 2025
+     */
+    function calculate(lat, lon, altitudeMeters = 0, date = new Date()) {
+        const wmm = _model();
+        if (!wmm) return _error('MAGNETIC_MODEL_UNAVAILABLE', 'Magnetic model coefficients not loaded');
+
+        if (typeof lat !== 'number' || typeof lon !== 'number' || isNaN(lat) || isNaN(lon) || isNaN(altitudeMeters)) {
+            return _error('INVALID_COORDINATE', 'Invalid coordinate value');
+        }
+        if (Math.abs(lat) > 90) return _error('LATITUDE_RANGE', 'Latitude must be between -90° and +90°');
+        if (Math.abs(lon) > 180) return _error('LONGITUDE_RANGE', 'Longitude must be between -180° and +180°');
+
+        const year = (typeof date === 'number') ? date : decimalYear(date);
+        const dt = year - wmm.epoch;
+        const alt = altitudeMeters / 1000;
+
+        // === Geodetic to geocentric spherical coordinates ===
+        const a2 = a * a, b2 = b * b, c2 = a2 - b2;
+        const a4 = a2 * a2, b4 = b2 * b2, c4 = a4 - b4;
+        const srlat = Math.sin(toRad(lat)), crlat = Math.cos(toRad(lat));
+        const srlat2 = srlat * srlat, crlat2 = crlat * crlat;
+
+        const q = Math.sqrt(a2 - c2 * srlat2);
+        const q1 = alt * q;
+        const q2 = Math.pow((q1 + a2) / (q1 + b2), 2);
+        const ct = srlat / Math.sqrt(q2 * crlat2 + srlat2);
+        // Keep sin(theta) off zero at the poles, where the declination is undefined
+        const st = Math.max(Math.sqrt(1 - ct * ct), 1e-10);
+        const r = Math.sqrt(alt * alt + 2 * q1 + (a4 - c4 * srlat2) / (q * q));
+        const d = Math.sqrt(a2 * crlat2 + b2 * srlat2);
+        const ca = (alt + d) / r;
+        const sa = c2 * crlat * srlat / (r * d);
+
+        // === Spherical harmonic sums ===
+        const n0 = wmm.nMax;
+        const P = [[1]], dP = [[0]];
+        const sinM = [0], cosM = [1];
+        const sl = Math.sin(toRad(lon)), cl = Math.cos(toRad(lon));
+        for (let m = 1; m <= n0; m++) {
+            sinM[m] = sinM[m - 1] * cl + cosM[m - 1] * sl;
+            cosM[m] = cosM[m - 1] * cl - sinM[m - 1] * sl;
+        }
+
+        let br = 0, bt = 0, bp = 0;
+        let ratio = RE / r;
+        let ratioPow = ratio * ratio;
+
+        for (let n = 1; n <= n0; n++) {
+            P[n] = [];
+            dP[n] = [];
+            ratioPow *= ratio;  // (RE / r)^(n + 2)
+
+            for (let m = 0; m <= n; m++) {
+                // Gauss-normalised associated Legendre functions and their derivatives
+                if (m === n) {
+                    P[n][m] = st * P[n - 1][m - 1];
+                    dP[n][m] = st * dP[n - 1][m - 1] + ct * P[n - 1][m - 1];
+                } else if (n === 1) {
+                    P[n][m] = ct * P[0][0];
+                    dP[n][m] = ct * dP[0][0] - st * P[0][0];
+                } else {
+                    const k = (n - 1 < m) ? 0 : ((n - 1) * (n - 1) - m * m) / ((2 * n - 1) * (2 * n - 3));
+                    const pnm2 = (m <= n - 2) ? P[n - 2][m] : 0;
+                    const dpnm2 = (m <= n - 2) ? dP[n - 2][m] : 0;
+                    P[n][m] = ct * P[n - 1][m] - k * pnm2;
+                    dP[n][m] = ct * dP[n - 1][m] - st * P[n - 1][m] - k * dpnm2;
+                }
+
+                const g = wmm.g[n][m] + dt * wmm.gDot[n][m];
+                const h = wmm.h[n][m] + dt * wmm.hDot[n][m];
+                const cosTerm = g * cosM[m] + h * sinM[m];
+
+                br += (n + 1) * ratioPow * cosTerm * P[n][m];
+                bt -= ratioPow * cosTerm * dP[n][m];
+                bp += ratioPow * m * (g * sinM[m] - h * cosM[m]) * P[n][m] / st;
+            }
+        }
+
+        // === Rotate from geocentric to geodetic components ===
+        const north = -bt * ca - br * sa;
+        const east = bp;
+        const down = bt * sa - br * ca;
+
+        const H = Math.hypot(north, east);
+
+        return {
+            declination: toDeg(Math.atan2(east, north)),
+            inclination: toDeg(Math.atan2(down, H)),
+            horizontalIntensity: H,
+            totalIntensity: Math.hypot(H, down),
+            north: north,
+            east: east,
+            down: down,
+            decimalYear: year,
+            model: wmm.name,
+            isValid: dt >= 0 && dt <= VALIDITY_YEARS,
+            error: false
+        };
+    }
+
+    /**
+     * Returns the magnetic declination at a position and date.
+     * @param {number} lat - Geodetic latitude in degrees (-90 to +90)
+     * @param {number} lon - Longitude in degrees (-180 to +180)
+     * @param {Date|number} [date=new Date()] - Date, or decimal year
+     * @returns {number} Declination in degrees (positive east), or NaN on invalid input
+     *
+     * @example
+     * const dec = Magnetic.declination(48.72, 2.38); // Paris-Orly
+     */
+    function declination(lat, lon, date = new Date()) {
+        const res = calculate(lat, lon, 0, date);
+        return res.error ? NaN : res.declination;
+    }
+
+    /**
+     * Converts a true bearing to magnetic.
+     * @param {number} trueBearing - Bearing in degrees true
+     * @param {number} dec - Declination in degrees (positive east)
+     * @returns {number} Bearing in degrees magnetic (0-360)
+     *
+     * @example
+     * Magnetic.toMagnetic(90, 2); // 88 (variation 2°E)
+     */
+    function toMagnetic(trueBearing, dec) {
+        return ((trueBearing - dec) % 360 + 360) % 360;
+    }
+
+    /**
+     * Converts a magnetic bearing to true.
+     * @param {number} magneticBearing - Bearing in degrees magnetic
+     * @param {number} dec - Declination in degrees (positive east)
+     * @returns {number} Bearing in degrees true (0-360)
+     *
+     * @example
+     * Magnetic.toTrue(88, 2); // 90 (variation 2°E)
+     */
+    function toTrue(magneticBearing, dec) {
+        return ((magneticBearing + dec) % 360 + 360) % 360;
+    }
+
+    /**
+     * Returns the name and validity period of the bundled model.
+     * @returns {Object|null} { name, epoch, validUntil }, or null if not loaded
+     */
+    function modelInfo() {
+        const wmm = _model();
+        return wmm ? { name: wmm.name, epoch: wmm.epoch, validUntil: wmm.epoch + VALIDITY_YEARS } : null;
+    }
+
+    return {
+        calculate,
+        declination,
+        toMagnetic,
+        toTrue,
+        decimalYear,
+        modelInfo
+    };
+})();
@@ -0,0 +1,512 @@
+/**
+ * PointLibrary.js
+ * Named Point Library Module.
+ *
+ * Keeps a library of named points (navaids, radar heads, fixes) in the
+ * browser's IndexedDB storage, so that a position entered once can be
+ * recalled in any calculation. Each point has a unique identifier, an
+ * optional name, a WGS-84 position in decimal degrees and type tags.
+ *
+ * Points can be imported in bulk from:
+ * - CSV: one point per line with ident, name, lat, lon and tags columns,
+ *   in that order or named in a header row. Positions may use any format
+ *   read by CoordinateParser; tags are separated by spaces, ';', '|' or '/'.
+ * - GeoJSON: Point features with ident (or id) and name properties and a
+ *   tags property holding an array or a separated string.
+ *
+ * Parsing and searching are synchronous; storage calls return Promises that
+ * reject with an Error.
+ *
+ * References:
+ * - RFC 4180 (2005). "Common Format and MIME Type for Comma-Separated Values
+ *   (CSV) Files".
+ * - RFC 7946 (2016). "The GeoJSON Format".
+ * - W3C (2018). "Indexed Database API 2.0".
+ *
+ * @module PointLibrary
+ * @author ATSEP Toolbox
+ */
+
+const PointLibrary = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const TAGS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.POINT_TAGS
+        : { VOR: 'VOR', DME: 'DME', RADAR: 'Radar site', FIX: 'Fix' };
+
+    const DB_NAME = 'atsep-points';
+    const DB_VERSION = 1;
+    const STORE = 'points';
+
+    /** Identifier: letter or digit, then up to 15 letters, digits, spaces or . _ / - */
+    const IDENT_PATTERN = /^[A-Z0-9][A-Z0-9 ._/-]{0,15}$/;
+
+    /** CSV header names of each column */
+    const COLUMNS = {
+        ident: ['IDENT', 'ID', 'IDENTIFIER', 'CODE'],
+        name: ['NAME', 'DESCRIPTION'],
+        lat: ['LAT', 'LATITUDE'],
+        lon: ['LON', 'LNG', 'LONG', 'LONGITUDE'],
+        tags: ['TAGS', 'TAG', 'TYPE']
+    };
+
+    /** Column order of a CSV file without header row */
+    const DEFAULT_ORDER = ['ident', 'name', 'lat', 'lon', 'tags'];
+
+    /** Open database, shared by all storage calls */
+    let dbPromise = null;
+
+    /**
+     * Returns the message of an ERROR_MESSAGES key.
+     * @param {string} key - ERROR_MESSAGES key
+     * @param {string} fallback - Message used when ERROR_MESSAGES is unavailable
+     * @returns {string} Message
+     * @private
+     */
+    function _message(key, fallback) {
+        return (typeof ERROR_MESSAGES !== 'undefined') ? ERROR_MESSAGES[key] : fallback;
+    }
+
+    /**
+     * Builds an error result object.
+     * @param {string} key - ERROR_MESSAGES key
+     * @param {string} fallback - Message used when ERROR_MESSAGES is unavailable
+     * @returns {Object} { error: true, msg }
+     * @private
+     */
+    function _error(key, fallback) {
+        return { error: true, msg: _message(key, fallback) };
+    }
+
+    /**
+     * Splits a tag list given as an array or a separated string.
+     * @param {string|string[]} value - Tags
+     * @returns {string[]} Upper-case tag ids
+     * @private
+     */
+    function _splitTags(value) {
+        if (value === undefined || value === null) return [];
+        const list = Array.isArray(value) ? value : String(value).split(/[\s;|/,]+/);
+        return list.map(t => String(t).trim().toUpperCase()).filter(t => t !== '');
+    }
+
+    /**
+     * Validates and normalizes a point.
+     *
+     * @param {Object} point - { ident, name, lat, lon, tags, id }
+     * @returns {Object} Result object with properties:
+     *   - ident: Upper-case identifier
+     *   - name: Trimmed name ('' if none)
+     *   - lat, lon: Position in decimal degrees
+     *   - tags: Tag ids, in POINT_TAGS order
+     *   - id: Storage key, if the point was given one
+     *   - error: True if the point is invalid
+     *   - msg: Error message if error is true
+     *
+     * @example
+     * PointLibrary.validate({ ident: 'bnn', lat: 51.7264, lon: -0.5499, tags: 'vor dme' });
+     * // { ident: 'BNN', name: '', lat: 51.7264, lon: -0.5499, tags: ['VOR', 'DME'], error: false }
+     */
+    function validate(point) {
+        const ident = String(point.ident || '').trim().toUpperCase();
+        if (!IDENT_PATTERN.test(ident)) {
+            return _error('INVALID_IDENT', 'Identifier must be 1-16 letters, digits, spaces or . _ / -');
+        }
+
+        const lat = point.lat, lon = point.lon;
+        if (typeof lat !== 'number' || !isFinite(lat) || typeof lon !== 'number' || !isFinite(lon)) {
+            return _error('INVALID_COORDINATE', 'Invalid coordinate value');
+        }
+        if (Math.abs(lat) > 90) return _error('LATITUDE_RANGE', 'Latitude must be between -90° and +90°');
+        if (Math.abs(lon) > 180) return _error('LONGITUDE_RANGE', 'Longitude must be between -180° and +180°');
+
+        const tags = _splitTags(point.tags);
+        if (tags.some(t => !(t in TAGS))) {
+            return _error('UNKNOWN_POINT_TAG', 'Unknown point type: use VOR, DME, RADAR or FIX');
+        }
+
+        const result = {
+            ident: ident,
+            name: String(point.name || '').trim(),
+            lat: lat,
+            lon: lon,
+            tags: Object.keys(TAGS).filter(t => tags.includes(t)),
+            error: false
+        };
+        if (point.id !== undefined && point.id !== null) result.id = point.id;
+        return result;
+    }
+
+    /**
+     * Filters points by identifier or name and type tag.
+     *
+     * @param {Object[]} points - Points to search
+     * @param {string} [query=''] - Text found in the identifier or name (case-insensitive)
+     * @param {string} [tag=''] - Tag id the points must carry, or '' for any
+     * @returns {Object[]} Matching points: identifier starting with the query first, then
+     *   identifier containing it, then name containing it; by identifier within each
+     *
+     * @example
+     * PointLibrary.search(points, 'lon', 'VOR');
+     */
+    function search(points, query = '', tag = '') {
+        const q = query.trim().toUpperCase();
+        const rank = p => (p.ident.startsWith(q) ? 0 : (p.ident.includes(q) ? 1 : 2));
+
+        return points
+            .filter(p => !tag || p.tags.includes(tag))
+            .filter(p => !q || p.ident.includes(q) || p.name.toUpperCase().includes(q))
+            .sort((a, b) => rank(a) - rank(b) || a.ident.localeCompare(b.ident));
+    }
+
+    /**
+     * Splits a CSV line into fields, honouring double-quoted fields.
+     * @param {string} line - CSV line
+     * @param {string} delimiter - Field delimiter
+     * @returns {string[]} Trimmed fields
+     * @private
+     */
+    function _splitCsvLine(line, delimiter) {
+        const fields = [];
+        let field = '', quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (quoted) {
+                if (c === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === delimiter) {
+                fields.push(field.trim());
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        fields.push(field.trim());
+        return fields;
+    }
+
+    /**
+     * Reads one latitude or longitude from a CSV cell.
+     * @param {string} cell - Cell text
+     * @param {string} axis - 'lat' or 'lon'
+     * @returns {Object} { value } or error result
+     * @private
+     */
+    function _axisValue(cell, axis) {
+        // A cell holds one value, so a comma between digits is a decimal comma
+        const parsed = CoordinateParser.parse(cell.replace(/(\d),(\d)/g, '$1.$2'));
+        if (parsed.error) return parsed;
+
+        const other = axis === 'lat' ? 'lon' : 'lat';
+        if (parsed[other] !== null && parsed[axis] !== null) {
+            return _error('CSV_POSITION_IN_CELL', 'A lat or lon cell holds a full position');
+        }
+        if (parsed[other] !== null) {
+            return axis === 'lat'
+                ? _error('CSV_LAT_HEMISPHERE', 'The lat column holds a longitude')
+                : _error('CSV_LON_HEMISPHERE', 'The lon column holds a latitude');
+        }
+        const value = parsed[axis] !== null ? parsed[axis] : parsed.value;
+        if (axis === 'lat' && Math.abs(value) > 90) {
+            return _error('LATITUDE_RANGE', 'Latitude must be between -90° and +90°');
+        }
+        return { value: value };
+    }
+
+    /**
+     * Parses points from CSV text.
+     *
+     * The delimiter is a tab, a semicolon or a comma, whichever the first line
+     * uses (in that order), so that files with decimal commas, as saved by
+     * European spreadsheets, split on their semicolons. A first line naming
+     * the columns is read as header.
+     * Blank lines and lines starting with # are ignored.
+     *
+     * @param {string} text - CSV text
+     * @returns {Object} Result object with properties:
+     *   - points: Validated points
+     *   - error: True if a line is invalid (nothing is imported)
+     *   - msg: Error message naming the line if error is true
+     *
+     * @example
+     * PointLibrary.parseCsv('ident,name,lat,lon,tags\nBNN,Bovingdon,514334N,0003259W,VOR DME');
+     */
+    function parseCsv(text) {
+        const lines = String(text).split(/\r?\n/);
+        const first = lines.find(l => l.trim() !== '' && !l.trim().startsWith('#'));
+        if (first === undefined) return _error('IMPORT_EMPTY', 'No points found to import');
+
+        const delimiter = first.includes('\t') ? '\t' : (first.includes(';') ? ';' : ',');
+
+        // Header row: the first field names a known column
+        const firstFields = _splitCsvLine(first, delimiter).map(f => f.toUpperCase());
+        const hasHeader = Object.keys(COLUMNS).some(c => COLUMNS[c].includes(firstFields[0]));
+        let order = DEFAULT_ORDER;
+        if (hasHeader) {
+            order = firstFields.map(f => Object.keys(COLUMNS).find(c => COLUMNS[c].includes(f)) || null);
+            if (!order.includes('ident') || !order.includes('lat') || !order.includes('lon')) {
+                return _error('CSV_COLUMNS', 'CSV header must name ident, lat and lon columns');
+            }
+        }
+
+        const points = [];
+        let headerSeen = false;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line === '' || line.startsWith('#')) continue;
+            if (hasHeader && !headerSeen) {
+                headerSeen = true;
+                continue;
+            }
+
+            const fields = _splitCsvLine(line, delimiter);
+            const cell = col => {
+                const index = order.indexOf(col);
+                return index >= 0 && index < fields.length ? fields[index] : '';
+            };
+
+            const lat = _axisValue(cell('lat'), 'lat');
+            if (lat.error) return { error: true, msg: `Line ${i + 1}: ${lat.msg}` };
+            const lon = _axisValue(cell('lon'), 'lon');
+            if (lon.error) return { error: true, msg: `Line ${i + 1}: ${lon.msg}` };
+
+            const point = validate({ ident: cell('ident'), name: cell('name'), lat: lat.value, lon: lon.value, tags: cell('tags') });
+            if (point.error) return { error: true, msg: `Line ${i + 1}: ${point.msg}` };
+            points.push(point);
+        }
+
+        if (points.length === 0) return _error('IMPORT_EMPTY', 'No points found to import');
+        return { points: points, error: false };
+    }
+
+    /**
+     * Parses points from GeoJSON text.
+     *
+     * Point features are imported; other geometries (lines, polygons) are
+     * counted as skipped. Coordinates are [longitude, latitude] per RFC 7946.
+     *
+     * @param {string} text - GeoJSON text (FeatureCollection, Feature or Point)
+     * @returns {Object} Result object with properties:
+     *   - points: Validated points
+     *   - skipped: Number of features without Point geometry
+     *   - error: True if the file or a feature is invalid (nothing is imported)
+     *   - msg: Error message if error is true
+     *
+     * @example
+     * PointLibrary.parseGeoJson('{"type":"Feature","geometry":{"type":"Point","coordinates":[-0.5499,51.7264]},"properties":{"ident":"BNN"}}');
+     */
+    function parseGeoJson(text) {
+        const invalid = () => _error('INVALID_GEOJSON', 'Invalid GeoJSON: expected a Feature or FeatureCollection of Points');
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return invalid();
+        }
+
+        let features;
+        if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) features = data.features;
+        else if (data && data.type === 'Feature') features = [data];
+        else if (data && data.type === 'Point') features = [{ type: 'Feature', geometry: data, properties: {} }];
+        else return invalid();
+
+        const points = [];
+        let skipped = 0;
+        for (let i = 0; i < features.length; i++) {
+            const feature = features[i];
+            if (!feature || feature.type !== 'Feature') return invalid();
+            const geometry = feature.geometry;
+            if (!geometry || geometry.type !== 'Point') {
+                skipped++;
+                continue;
+            }
+
+            const props = feature.properties || {};
+            const coords = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
+            const point = validate({
+                ident: props.ident !== undefined ? props.ident : (props.id !== undefined ? props.id : feature.id),
+                name: props.name,
+                lat: coords[1],
+                lon: coords[0],
+                tags: props.tags
+            });
+            if (point.error) return { error: true, msg: `Feature ${i + 1}: ${point.msg}` };
+            points.push(point);
+        }
+
+        if (points.length === 0) return _error('IMPORT_EMPTY', 'No points found to import');
+        return { points: points, skipped: skipped, error: false };
+    }
+
+    // --- Storage ---
+
+    /**
+     * Opens the library database, creating the store on first use.
+     * @returns {Promise<IDBDatabase>} Open database
+     * @private
+     */
+    function _open() {
+        if (dbPromise) return dbPromise;
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error(_message('POINT_LIBRARY_UNAVAILABLE',
+                'Point library unavailable: this browser does not support IndexedDB storage')));
+        }
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('ident', 'ident', { unique: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(new Error(_message('POINT_LIBRARY_UNAVAILABLE',
+                    'Point library unavailable: this browser does not support IndexedDB storage')));
+            };
+        });
+        return dbPromise;
+    }
+
+    /**
+     * Runs a read-write transaction and settles when it completes.
+     * @param {Function} work - Called with the object store; returns the value to resolve with
+     * @returns {Promise<*>} Value returned by work, once committed
+     * @private
+     */
+    function _write(work) {
+        return _open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, 'readwrite');
+            const result = work(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(result);
+            tx.onabort = () => {
+                // A second point with the same identifier breaks the unique index
+                reject(tx.error && tx.error.name === 'ConstraintError'
+                    ? new Error(_message('DUPLICATE_IDENT', 'A point with this identifier already exists'))
+                    : tx.error || new Error('Transaction aborted'));
+            };
+        }));
+    }
+
+    /**
+     * Copies a validated point to a storage record.
+     * @param {Object} point - Validated point
+     * @returns {Object} Record without the error flag
+     * @private
+     */
+    function _record(point) {
+        const record = { ident: point.ident, name: point.name, lat: point.lat, lon: point.lon, tags: point.tags };
+        if (point.id !== undefined) record.id = point.id;
+        return record;
+    }
+
+    /**
+     * Lists all stored points.
+     *
+     * @returns {Promise<Object[]>} Points { id, ident, name, lat, lon, tags }, by identifier
+     *
+     * @example
+     * PointLibrary.list().then(points => console.log(points.length));
+     */
+    function list() {
+        return _open().then(db => new Promise((resolve, reject) => {
+            const request = db.transaction(STORE, 'readonly').objectStore(STORE).index('ident').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    /**
+     * Creates a point, or updates the stored point with the same id.
+     *
+     * @param {Object} point - { ident, name, lat, lon, tags } and id to update
+     * @returns {Promise<Object>} Stored point with its id
+     *
+     * @example
+     * PointLibrary.save({ ident: 'BNN', name: 'Bovingdon', lat: 51.7264, lon: -0.5499, tags: ['VOR', 'DME'] });
+     */
+    function save(point) {
+        const valid = validate(point);
+        if (valid.error) return Promise.reject(new Error(valid.msg));
+
+        const record = _record(valid);
+        return _write(store => {
+            const request = store.put(record);
+            request.onsuccess = () => {
+                record.id = request.result;
+            };
+            return record;
+        });
+    }
+
+    /**
+     * Deletes a stored point.
+     *
+     * @param {number} id - Storage key of the point
+     * @returns {Promise<void>} Settles when the point is deleted
+     *
+     * @example
+     * PointLibrary.remove(3);
+     */
+    function remove(id) {
+        return _write(store => {
+            store.delete(id);
+        });
+    }
+
+    /**
+     * Stores imported points in one transaction. A point whose identifier is
+     * already in the library replaces it; within the import, the last point
+     * with an identifier wins.
+     *
+     * @param {Object[]} points - Validated points from parseCsv or parseGeoJson
+     * @returns {Promise<Object>} { added, updated } point counts
+     *
+     * @example
+     * const parsed = PointLibrary.parseCsv(text);
+     * if (!parsed.error) PointLibrary.importPoints(parsed.points).then(r => console.log(r.added));
+     */
+    function importPoints(points) {
+        const byIdent = new Map();
+        points.forEach(p => byIdent.set(p.ident, p));
+
+        return _write(store => {
+            const counts = { added: 0, updated: 0 };
+            byIdent.forEach(point => {
+                const record = _record(point);
+                delete record.id;
+                const lookup = store.index('ident').getKey(record.ident);
+                lookup.onsuccess = () => {
+                    if (lookup.result !== undefined) {
+                        record.id = lookup.result;
+                        counts.updated++;
+                    } else {
+                        counts.added++;
+                    }
+                    store.put(record);
+                };
+            });
+            return counts;
+        });
+    }
+
+    return {
+        validate,
+        search,
+        parseCsv,
+        parseGeoJson,
+        list,
+        save,
+        remove,
+        importPoints
+    };
+})();
@@ -0,0 +1,127 @@
+/**
+ * Pressure.js
+ * Pure Pressure Unit Conversion Module.
+ * 
+ * Converts pressures between hPa/mbar, inHg, mmHg, kPa, psi and Pa, and
+ * formats them with a consistent, configurable precision. All other modules
+ * work internally in hPa and use this module at their boundaries.
+ * 
+ * References:
+ * - ICAO Annex 5 (Units of Measurement to be Used in Air and Ground Operations)
+ * - NIST Special Publication 811 (conversion factors)
+ * 
+ * @module Pressure
+ * @author ATSEP Toolbox
+ */
+
+const Pressure = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const UNITS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.PRESSURE_UNITS
+        : {
+            hPa: { label: 'hPa', hpaPerUnit: 1, decimals: 1 },
+            mbar: { label: 'mbar', hpaPerUnit: 1, decimals: 1 },
+            inHg: { label: 'inHg', hpaPerUnit: 33.86389, decimals: 2 },
+            mmHg: { label: 'mmHg', hpaPerUnit: 1 / 0.750061683, decimals: 1 },
+            kPa: { label: 'kPa', hpaPerUnit: 10, decimals: 2 },
+            psi: { label: 'psi', hpaPerUnit: 68.94757293, decimals: 3 },
+            Pa: { label: 'Pa', hpaPerUnit: 0.01, decimals: 0 }
+        };
+
+    /**
+     * Checks whether a unit is supported.
+     * @param {string} unit - Unit key (e.g. 'hPa', 'inHg')
+     * @returns {boolean} True if the unit is supported
+     */
+    function isSupported(unit) {
+        return Object.prototype.hasOwnProperty.call(UNITS, unit);
+    }
+
+    /**
+     * Converts a pressure to hPa.
+     * @param {number} value - Pressure value
+     * @param {string} unit - Unit of the value
+     * @returns {number} Pressure in hPa, or NaN for an unknown unit
+     * 
+     * @example
+     * Pressure.toHpa(29.92, 'inHg'); // ≈ 1013.21
+     */
+    function toHpa(value, unit) {
+        if (!isSupported(unit)) return NaN;
+        return value * UNITS[unit].hpaPerUnit;
+    }
+
+    /**
+     * Converts a pressure from hPa.
+     * @param {number} hpa - Pressure in hPa
+     * @param {string} unit - Target unit
+     * @returns {number} Pressure in the target unit, or NaN for an unknown unit
+     */
+    function fromHpa(hpa, unit) {
+        if (!isSupported(unit)) return NaN;
+        return hpa / UNITS[unit].hpaPerUnit;
+    }
+
+    /**
+     * Converts a pressure between two units.
+     * @param {number} value - Pressure value
+     * @param {string} fromUnit - Unit of the value
+     * @param {string} toUnit - Target unit
+     * @returns {number} Converted pressure, or NaN for an unknown unit
+     * 
+     * @example
+     * Pressure.convert(1013.25, 'hPa', 'psi'); // ≈ 14.696
+     */
+    function convert(value, fromUnit, toUnit) {
+        return fromHpa(toHpa(value, fromUnit), toUnit);
+    }
+
+    /**
+     * Default number of decimals for a unit.
+     * @param {string} unit - Unit key
+     * @returns {number} Number of decimals (0 for an unknown unit)
+     */
+    function decimals(unit) {
+        return isSupported(unit) ? UNITS[unit].decimals : 0;
+    }
+
+    /**
+     * Formats a pressure given in hPa in the requested unit.
+     * @param {number} hpa - Pressure in hPa
+     * @param {string} unit - Display unit
+     * @param {number} [precision] - Number of decimals; the unit default if omitted
+     * @returns {string} Formatted value with unit label, e.g. '29.92 inHg'
+     * 
+     * @example
+     * Pressure.format(1013.25, 'inHg');    // '29.92 inHg'
+     * Pressure.format(1013.25, 'kPa', 3);  // '101.325 kPa'
+     */
+    function format(hpa, unit, precision) {
+        const digits = (typeof precision === 'number' && !isNaN(precision)) ? precision : decimals(unit);
+        const label = isSupported(unit) ? UNITS[unit].label : unit;
+        return `${fromHpa(hpa, unit).toFixed(digits)} ${label}`;
+    }
+
+    /**
+     * Lists the supported units in display order.
+     * @returns {Array<Object>} Array of { unit, label, decimals }
+     */
+    function units() {
+        return Object.keys(UNITS).map(unit => ({
+            unit: unit,
+            label: UNITS[unit].label,
+            decimals: UNITS[unit].decimals
+        }));
+    }
+
+    // Public API
+    return {
+        isSupported,
+        toHpa,
+        fromHpa,
+        convert,
+        decimals,
+        format,
+        units
+    };
+})();
@@ -3,7 +3,8 @@
  * Pure Standard Atmosphere Calculation Module.
  * 
  * Calculates altitude corrections based on QNH (barometric pressure at sea level).
- * Implements the barometric formula as defined in the ICAO Standard Atmosphere.
+ * Implements the barometric formula as defined in the ICAO Standard Atmosphere,
+ * including the full layered model from -5 km up to 80 km geopotential altitude.
  * 
  * References:
  * - Manual of the ICAO Standard Atmosphere (Doc 7488/3)
@@ -19,6 +20,8 @@ const QNH = (function () {
         ? ATSEP_CONSTANTS.STANDARD_PRESSURE_HPA : 1013.25;
     const INHG_TO_HPA = (typeof ATSEP_CONSTANTS !== 'undefined')
         ? ATSEP_CONSTANTS.INHG_TO_HPA : 33.86389;
+    const HPA_TO_MMHG = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.HPA_TO_MMHG : 0.750061683;
     const FEET_TO_METERS = (typeof ATSEP_CONSTANTS !== 'undefined')
         ? ATSEP_CONSTANTS.FEET_TO_METERS : 0.3048;
 
@@ -38,6 +41,36 @@ const QNH = (function () {
     const Rs = (typeof ATSEP_CONSTANTS !== 'undefined')
         ? ATSEP_CONSTANTS.GAS_CONSTANT_DRY_AIR : 287.05287;
 
+    /** Ratio of specific heats for air */
+    const GAMMA = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.ADIABATIC_INDEX_AIR : 1.4;
+
+    /** Earth radius used for geopotential/geometric conversion in meters */
+    const R_EARTH = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.ISA_EARTH_RADIUS_M : 6356766;
+
+    /** ISA layer table: base geopotential altitude (m) and temperature gradient (K/m) */
+    const ISA_LAYERS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.ISA_LAYERS
+        : [
+            { name: 'Troposphere', base: 0, gradient: -L },
+            { name: 'Tropopause', base: 11000, gradient: 0 },
+            { name: 'Stratosphere', base: 20000, gradient: 0.0010 },
+            { name: 'Stratosphere', base: 32000, gradient: 0.0028 },
+            { name: 'Stratopause', base: 47000, gradient: 0 },
+            { name: 'Mesosphere', base: 51000, gradient: -0.0028 },
+            { name: 'Mesosphere', base: 71000, gradient: -0.0020 }
+        ];
+
+    /** Geopotential altitude limits of the ISA tables in meters */
+    const ISA_LIMITS_M = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.ISA_LIMITS_M : { min: -5000, max: 80000 };
+
+    /** Transition level defaults */
+    const TRANSITION_DEFAULTS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.TRANSITION_DEFAULTS
+        : { minLayerFt: 1000, flStep: 5, tableMinHpa: 940, tableMaxHpa: 1060 };
+
     /** Pressure limits for validation */
     const PRESSURE_LIMITS_HPA = (typeof ATSEP_CONSTANTS !== 'undefined')
         ? ATSEP_CONSTANTS.PRESSURE_LIMITS_HPA
@@ -48,6 +81,797 @@ const QNH = (function () {
             warningMax: 1060
         };
 
+    /**
+     * Pressure change across a layer of constant temperature gradient.
+     * 
+     * - Gradient layers: P = Pb × [Tb / (Tb + β×Δh)]^(g / (R×β))
+     * - Isothermal layers: P = Pb × exp(-g×Δh / (R×Tb))
+     * 
+     * @param {number} Pb - Pressure at the layer base in hPa
+     * @param {number} Tb - Temperature at the layer base in Kelvin
+     * @param {number} beta - Temperature gradient in K/m
+     * @param {number} dh - Geopotential height above the layer base in meters
+     * @returns {number} Pressure in hPa
+     * @private
+     */
+    function _layerPressure(Pb, Tb, beta, dh) {
+        if (beta === 0) {
+            return Pb * Math.exp(-g * dh / (Rs * Tb));
+        }
+        return Pb * (Tb / (Tb + beta * dh)) ** (g / (Rs * beta));
+    }
+
+    /**
+     * Temperature and pressure at the base of each ISA layer.
+     * Computed once by integrating upwards from the sea level standard values,
+     * which reproduces the base values tabulated in Doc 7488/3.
+     */
+    const LAYER_BASES = (function () {
+        const bases = [];
+        let T = T0;
+        let P = STANDARD_PRESSURE_HPA;
+
+        ISA_LAYERS.forEach((layer, i) => {
+            bases.push({ name: layer.name, base: layer.base, gradient: layer.gradient, T: T, P: P });
+
+            const top = (i + 1 < ISA_LAYERS.length) ? ISA_LAYERS[i + 1].base : ISA_LIMITS_M.max;
+            P = _layerPressure(P, T, layer.gradient, top - layer.base);
+            T = T + layer.gradient * (top - layer.base);
+        });
+
+        return bases;
+    })();
+
+    /**
+     * Finds the ISA layer containing a geopotential altitude.
+     * Altitudes below the first base use the troposphere layer.
+     * @param {number} h - Geopotential altitude in meters
+     * @returns {Object} Layer base definition
+     * @private
+     */
+    function _findLayer(h) {
+        for (let i = LAYER_BASES.length - 1; i > 0; i--) {
+            if (h >= LAYER_BASES[i].base) return LAYER_BASES[i];
+        }
+        return LAYER_BASES[0];
+    }
+
+    /**
+     * ISA static pressure at a geopotential altitude, across all layers.
+     * @param {number} h - Geopotential altitude in meters
+     * @returns {number} Pressure in hPa
+     * @private
+     */
+    function _altitudeToPressure(h) {
+        const layer = _findLayer(h);
+        return _layerPressure(layer.P, layer.T, layer.gradient, h - layer.base);
+    }
+
+    /**
+     * Converts geometric altitude (tape-measure height above MSL) to geopotential altitude.
+     * H = r × Z / (r + Z)
+     * 
+     * @param {number} z - Geometric altitude in meters
+     * @returns {number} Geopotential altitude in meters
+     */
+    function geometricToGeopotential(z) {
+        return R_EARTH * z / (R_EARTH + z);
+    }
+
+    /**
+     * Converts geopotential altitude to geometric altitude.
+     * Z = r × H / (r - H)
+     * 
+     * @param {number} h - Geopotential altitude in meters
+     * @returns {number} Geometric altitude in meters
+     */
+    function geopotentialToGeometric(h) {
+        return R_EARTH * h / (R_EARTH - h);
+    }
+
+    /**
+     * Calculates the ISA pressure altitude for a static pressure, across all layers.
+     * 
+     * @param {number} pressureHpa - Static pressure in hPa
+     * @returns {number} Pressure altitude (geopotential) in meters
+     */
+    function pressureToAltitude(pressureHpa) {
+        let layer = LAYER_BASES[0];
+        for (let i = LAYER_BASES.length - 1; i > 0; i--) {
+            if (pressureHpa <= LAYER_BASES[i].P) {
+                layer = LAYER_BASES[i];
+                break;
+            }
+        }
+
+        if (layer.gradient === 0) {
+            return layer.base + (Rs * layer.T / g) * Math.log(layer.P / pressureHpa);
+        }
+        return layer.base + (layer.T / layer.gradient) * ((pressureHpa / layer.P) ** (-Rs * layer.gradient / g) - 1);
+    }
+
+    /**
+     * Calculates the state of the ICAO Standard Atmosphere at a given altitude.
+     * 
+     * Uses the layered model of Doc 7488/3 (troposphere, tropopause, stratosphere,
+     * stratopause and mesosphere) from -5 km to 80 km geopotential altitude.
+     * Flight levels are pressure altitudes and are therefore always geopotential.
+     * 
+     * @param {number} rawValue - The input altitude value
+     * @param {string} inputUnit - Input unit: 'FL', 'feet', or 'meters'
+     * @param {string} [heightType='geopotential'] - 'geopotential' or 'geometric'
+     * @returns {Object} Result object with properties:
+     *   - geopotentialAltitude: Geopotential altitude in meters
+     *   - geometricAltitude: Geometric altitude in meters
+     *   - layer: Name of the ISA layer
+     *   - temperature: Temperature in Kelvin
+     *   - temperatureC: Temperature in degrees Celsius
+     *   - pressure: Static pressure in hPa
+     *   - density: Air density in kg/m³
+     *   - pressureRatio: δ = P / P0
+     *   - densityRatio: σ = ρ / ρ0
+     *   - speedOfSound: Speed of sound in m/s
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     * 
+     * @example
+     * // Atmosphere at FL350
+     * const isa = QNH.standardAtmosphere(350, 'FL');
+     * // isa.temperatureC ≈ -54.3, isa.pressure ≈ 238.4
+     */
+    function standardAtmosphere(rawValue, inputUnit, heightType = 'geopotential') {
+        if (typeof rawValue !== 'number' || isNaN(rawValue)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_ALTITUDE
+                : "Invalid altitude value";
+            return { error: true, msg: msg };
+        }
+
+        // Convert to meters
+        let meters = rawValue;
+        if (inputUnit === 'FL') meters = rawValue * 100 * FEET_TO_METERS;
+        else if (inputUnit === 'feet') meters = rawValue * FEET_TO_METERS;
+
+        const isGeometric = (heightType === 'geometric' && inputUnit !== 'FL');
+        const h = isGeometric ? geometricToGeopotential(meters) : meters;
+
+        if (h < ISA_LIMITS_M.min || h > ISA_LIMITS_M.max) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.ALTITUDE_OUT_OF_RANGE
+                : "Altitude outside the ISA tables";
+            return { error: true, msg: msg };
+        }
+
+        const layer = _findLayer(h);
+        const dh = h - layer.base;
+        const T = layer.T + layer.gradient * dh;
+        const P = _altitudeToPressure(h);
+
+        // Ideal gas law: ρ = P / (R×T), with P in Pa
+        const rho = (P * 100) / (Rs * T);
+        const rho0 = (STANDARD_PRESSURE_HPA * 100) / (Rs * T0);
+
+        return {
+            geopotentialAltitude: h,
+            geometricAltitude: isGeometric ? meters : geopotentialToGeometric(h),
+            layer: layer.name,
+            temperature: T,
+            temperatureC: T - 273.15,
+            pressure: P,
+            density: rho,
+            pressureRatio: P / STANDARD_PRESSURE_HPA,
+            densityRatio: rho / rho0,
+            speedOfSound: Math.sqrt(GAMMA * Rs * T),
+            error: false
+        };
+    }
+
+    /**
+     * Calculates cold temperature corrections for published altitudes or heights.
+     * 
+     * Implements both methods of ICAO Doc 8168 (PANS-OPS), Vol I, Part III, Section 1:
+     * 
+     * Simplified:
+     *   ΔH = H × (15 - t0) / (273 + t0 - 0.5 × L0 × (H + Hss))
+     * 
+     * Precise:
+     *   ΔH = (-ΔTstd / L0) × ln[1 + L0 × H / (T0 + L0 × Hss)]
+     * 
+     * Where:
+     * - H = Height of the procedure altitude above the altimeter setting source (m)
+     * - Hss = Altimeter setting source (aerodrome) elevation (m)
+     * - t0 = Aerodrome temperature (°C)
+     * - ΔTstd = Aerodrome temperature deviation from ISA (K)
+     * - L0 = Standard lapse rate (0.0065 K/m, taken as -0.0065 in the precise form)
+     * 
+     * Corrections are only applied when the aerodrome is colder than ISA; warm
+     * temperatures give a zero correction, as PANS-OPS does not require them.
+     * 
+     * @param {number} elevation - Aerodrome (altimeter setting source) elevation
+     * @param {number} temperatureC - Aerodrome temperature in °C
+     * @param {number[]} values - Published altitudes (MSL) or heights (above aerodrome)
+     * @param {string} [unit='feet'] - Unit of elevation and values: 'feet' or 'meters'
+     * @param {string} [reference='altitude'] - 'altitude' or 'height'
+     * @returns {Object} Result object with properties:
+     *   - isaDeviation: Aerodrome temperature deviation from ISA in K
+     *   - rows: Array of { value, height, simplified, precise } where simplified and
+     *     precise each hold { correction, corrected } in the input unit
+     *   - unit: The unit string for display
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     * 
+     * @example
+     * // Correct a 3000 ft procedure altitude at a sea level aerodrome at -20 °C
+     * const res = QNH.coldTemperatureCorrection(0, -20, [3000]);
+     * // res.rows[0].precise.corrected ≈ 3368, res.rows[0].simplified.corrected ≈ 3420
+     */
+    function coldTemperatureCorrection(elevation, temperatureC, values, unit = 'feet', reference = 'altitude') {
+        if (typeof elevation !== 'number' || isNaN(elevation)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_ALTITUDE
+                : "Invalid altitude value";
+            return { error: true, msg: msg };
+        }
+
+        if (typeof temperatureC !== 'number' || isNaN(temperatureC) || temperatureC <= -273.15) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_TEMPERATURE
+                : "Invalid temperature value";
+            return { error: true, msg: msg };
+        }
+
+        if (!Array.isArray(values) || values.length === 0 || values.some(v => typeof v !== 'number' || isNaN(v))) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_ALTITUDE_LIST
+                : "Invalid altitude list";
+            return { error: true, msg: msg };
+        }
+
+        const factor = (unit === 'meters') ? 1 : FEET_TO_METERS;
+        const hss = elevation * factor;
+        const isaDeviation = temperatureC - (T0 - 273.15 - L * hss);
+
+        const rows = values.map(value => {
+            const height = (reference === 'height') ? value : value - elevation;
+            const H = height * factor;
+
+            let simplified = 0;
+            let precise = 0;
+
+            if (H > 0) {
+                simplified = H * (15 - temperatureC) / (273 + temperatureC - 0.5 * L * (H + hss));
+                precise = (isaDeviation / L) * Math.log(1 - L * H / (T0 - L * hss));
+            }
+
+            // No correction for warm temperatures
+            simplified = Math.max(0, simplified) / factor;
+            precise = Math.max(0, precise) / factor;
+
+            return {
+                value: value,
+                height: height,
+                simplified: { correction: simplified, corrected: value + simplified },
+                precise: { correction: precise, corrected: value + precise }
+            };
+        });
+
+        return {
+            isaDeviation: isaDeviation,
+            rows: rows,
+            unit: (unit === 'meters') ? 'm' : 'ft',
+            error: false
+        };
+    }
+
+    /**
+     * Converts a pressure input to hPa.
+     * Uses the Pressure module when loaded, otherwise handles hPa and inHg only.
+     * @param {number} rawValue - The input pressure value
+     * @param {string} unit - Input unit (e.g. 'hPa', 'inHg', 'kPa')
+     * @returns {number} Pressure in hPa, or NaN for an unknown unit
+     * @private
+     */
+    function _toHpa(rawValue, unit) {
+        if (typeof Pressure !== 'undefined') return Pressure.toHpa(rawValue, unit);
+        if (unit === 'inHg') return rawValue * INHG_TO_HPA;
+        return (unit === 'hPa' || unit === 'mbar') ? rawValue : NaN;
+    }
+
+    /**
+     * Validates a QNH input and converts it to hPa.
+     * @param {number} rawValue - The input pressure value
+     * @param {string} inputUnit - Input unit (see Pressure.units())
+     * @returns {Object} { pressure, warning, error: false } or { error: true, msg }
+     * @private
+     */
+    function _validateQnh(rawValue, inputUnit) {
+        // Validate input
+        if (isNaN(rawValue) || rawValue <= 0) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_PRESSURE
+                : "Invalid pressure value";
+            return { error: true, msg: msg };
+        }
+
+        // Convert to hPa if necessary
+        const pressureInHPa = _toHpa(rawValue, inputUnit);
+
+        // Validate pressure range (an unknown unit yields NaN)
+        if (isNaN(pressureInHPa) || pressureInHPa < PRESSURE_LIMITS_HPA.hardMin || pressureInHPa > PRESSURE_LIMITS_HPA.hardMax) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.PRESSURE_OUT_OF_RANGE
+                : "Pressure outside realistic limits";
+            return { error: true, msg: msg };
+        }
+
+        // Check for warning range (unusual but not impossible)
+        let warning = false;
+        if (pressureInHPa < PRESSURE_LIMITS_HPA.warningMin || pressureInHPa > PRESSURE_LIMITS_HPA.warningMax) {
+            warning = true;
+        }
+
+        return { pressure: pressureInHPa, warning: warning, error: false };
+    }
+
+    /**
+     * Calculates density altitude and ISA deviation at an aerodrome.
+     * 
+     * 1. Pressure altitude: PA = elevation + ISA altitude of the QNH pressure
+     * 2. ISA temperature at PA and deviation of the outside air temperature
+     * 3. Air density from the ISA static pressure at PA and the actual OAT
+     * 4. Density altitude: the ISA altitude with the same density
+     *    DA = (T0 / L) × [1 - σ^(L×R / (g - L×R))]
+     * 
+     * The density altitude formula is the tropospheric one, which covers
+     * every aerodrome within the QNH limits.
+     * 
+     * @param {number} rawPressure - QNH value
+     * @param {string} pressureUnit - QNH unit (see Pressure.units())
+     * @param {number} temperatureC - Outside air temperature in °C
+     * @param {number} elevation - Field elevation
+     * @param {string} [elevationUnit='feet'] - 'feet' or 'meters'; results use the same unit
+     * @returns {Object} Result object with properties:
+     *   - pressureAltitude: Pressure altitude at the field
+     *   - isaTemperature: ISA temperature at the pressure altitude in °C
+     *   - isaDeviation: OAT minus ISA temperature in K
+     *   - densityAltitude: Density altitude
+     *   - densityRatio: σ = ρ / ρ0
+     *   - density: Air density in kg/m³
+     *   - unit: The unit string for display
+     *   - warning: True if pressure is in abnormal range
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     * 
+     * @example
+     * // Hot day at a 5000 ft aerodrome
+     * const res = QNH.densityAltitude(1013.25, 'hPa', 35, 5000, 'feet');
+     * // res.densityAltitude ≈ 8330 ft, res.isaDeviation ≈ +29.9 K
+     */
+    function densityAltitude(rawPressure, pressureUnit, temperatureC, elevation, elevationUnit = 'feet') {
+        const qnh = _validateQnh(rawPressure, pressureUnit);
+        if (qnh.error) return qnh;
+
+        if (typeof temperatureC !== 'number' || isNaN(temperatureC) || temperatureC <= -273.15) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_TEMPERATURE
+                : "Invalid temperature value";
+            return { error: true, msg: msg };
+        }
+
+        if (typeof elevation !== 'number' || isNaN(elevation)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_ALTITUDE
+                : "Invalid altitude value";
+            return { error: true, msg: msg };
+        }
+
+        const factor = (elevationUnit === 'meters') ? 1 : FEET_TO_METERS;
+        const pa = elevation * factor + pressureToAltitude(qnh.pressure);
+
+        const isa = standardAtmosphere(pa, 'meters');
+        if (isa.error) return isa;
+
+        const T = temperatureC + 273.15;
+        const rho = (isa.pressure * 100) / (Rs * T);
+        const rho0 = (STANDARD_PRESSURE_HPA * 100) / (Rs * T0);
+        const sigma = rho / rho0;
+
+        const da = (T0 / L) * (1 - sigma ** (L * Rs / (g - L * Rs)));
+
+        return {
+            pressureAltitude: pa / factor,
+            isaTemperature: isa.temperatureC,
+            isaDeviation: temperatureC - isa.temperatureC,
+            densityAltitude: da / factor,
+            densityRatio: sigma,
+            density: rho,
+            unit: (elevationUnit === 'meters') ? 'm' : 'ft',
+            warning: qnh.warning,
+            error: false
+        };
+    }
+
+    /**
+     * Builds the common QNH/QFE/QNE result and checks the resulting QNH.
+     * @param {number} qnh - QNH in hPa
+     * @param {number} qfe - QFE in hPa
+     * @param {number} factor - Meters per elevation unit
+     * @param {string} elevationUnit - 'feet' or 'meters'
+     * @returns {Object} Result object (see qnhToQfe)
+     * @private
+     */
+    function _settingsResult(qnh, qfe, factor, elevationUnit) {
+        const check = _validateQnh(qnh, 'hPa');
+        if (check.error) return check;
+
+        return {
+            qnh: qnh,
+            qfe: qfe,
+            qne: pressureToAltitude(qfe) / factor,
+            unit: (elevationUnit === 'meters') ? 'm' : 'ft',
+            warning: check.warning,
+            error: false
+        };
+    }
+
+    /**
+     * Validates the aerodrome elevation and optional temperature shared by
+     * the QFE/QNH conversions.
+     * @param {number} elevation - Aerodrome elevation
+     * @param {number|undefined} temperatureC - Optional aerodrome temperature in °C
+     * @returns {Object|null} Error object, or null if inputs are valid
+     * @private
+     */
+    function _validateAerodrome(elevation, temperatureC) {
+        if (typeof elevation !== 'number' || isNaN(elevation)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_ALTITUDE
+                : "Invalid altitude value";
+            return { error: true, msg: msg };
+        }
+
+        if (temperatureC !== undefined && temperatureC !== null &&
+            (typeof temperatureC !== 'number' || isNaN(temperatureC) || temperatureC <= -273.15)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_TEMPERATURE
+                : "Invalid temperature value";
+            return { error: true, msg: msg };
+        }
+
+        return null;
+    }
+
+    /**
+     * Mean temperature of the air column between MSL and the aerodrome,
+     * assuming the standard lapse rate below the aerodrome.
+     * @param {number} temperatureC - Aerodrome temperature in °C
+     * @param {number} h - Aerodrome elevation in meters
+     * @returns {number} Mean column temperature in Kelvin
+     * @private
+     */
+    function _meanColumnTemperature(temperatureC, h) {
+        return temperatureC + 273.15 + L * h / 2;
+    }
+
+    /**
+     * Converts QNH to QFE for an aerodrome elevation.
+     * 
+     * ISA-based (default), consistent with the altimeter:
+     *   QFE = P_ISA(elevation + PA(QNH))
+     * 
+     * With an actual aerodrome temperature, the hypsometric equation is
+     * applied over the column between MSL and the aerodrome:
+     *   QFE = QNH × exp(-g × h / (R × Tm))
+     * 
+     * The QNE value is the altimeter reading at the threshold with the
+     * standard setting (1013.25 hPa), i.e. the aerodrome pressure altitude.
+     * 
+     * @param {number} rawValue - QNH value
+     * @param {string} pressureUnit - Pressure unit (see Pressure.units())
+     * @param {number} elevation - Aerodrome (threshold) elevation
+     * @param {string} [elevationUnit='feet'] - 'feet' or 'meters'
+     * @param {number} [temperatureC] - Optional aerodrome temperature in °C
+     * @returns {Object} Result object with properties:
+     *   - qnh: QNH in hPa
+     *   - qfe: QFE in hPa
+     *   - qne: Altimeter reading at the threshold on 1013.25 hPa (elevation unit)
+     *   - unit: The unit string for display
+     *   - warning: True if QNH is in abnormal range
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     * 
+     * @example
+     * const res = QNH.qnhToQfe(1013.25, 'hPa', 1000, 'feet');
+     * // res.qfe ≈ 977.2 hPa, res.qne ≈ 1000 ft
+     */
+    function qnhToQfe(rawValue, pressureUnit, elevation, elevationUnit = 'feet', temperatureC) {
+        const qnh = _validateQnh(rawValue, pressureUnit);
+        if (qnh.error) return qnh;
+
+        const invalid = _validateAerodrome(elevation, temperatureC);
+        if (invalid) return invalid;
+
+        const factor = (elevationUnit === 'meters') ? 1 : FEET_TO_METERS;
+        const h = elevation * factor;
+
+        let qfe;
+        if (typeof temperatureC === 'number') {
+            qfe = qnh.pressure * Math.exp(-g * h / (Rs * _meanColumnTemperature(temperatureC, h)));
+        } else {
+            qfe = _altitudeToPressure(h + pressureToAltitude(qnh.pressure));
+        }
+
+        return _settingsResult(qnh.pressure, qfe, factor, elevationUnit);
+    }
+
+    /**
+     * Converts QFE to QNH for an aerodrome elevation.
+     * Inverse of qnhToQfe, using the same ISA or actual temperature reduction.
+     * 
+     * @param {number} rawValue - QFE value
+     * @param {string} pressureUnit - Pressure unit (see Pressure.units())
+     * @param {number} elevation - Aerodrome (threshold) elevation
+     * @param {string} [elevationUnit='feet'] - 'feet' or 'meters'
+     * @param {number} [temperatureC] - Optional aerodrome temperature in °C
+     * @returns {Object} Result object (see qnhToQfe)
+     * 
+     * @example
+     * const res = QNH.qfeToQnh(977.2, 'hPa', 1000, 'feet');
+     * // res.qnh ≈ 1013.2 hPa
+     */
+    function qfeToQnh(rawValue, pressureUnit, elevation, elevationUnit = 'feet', temperatureC) {
+        if (isNaN(rawValue) || rawValue <= 0) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_PRESSURE
+                : "Invalid pressure value";
+            return { error: true, msg: msg };
+        }
+
+        const invalid = _validateAerodrome(elevation, temperatureC);
+        if (invalid) return invalid;
+
+        const qfe = _toHpa(rawValue, pressureUnit);
+        if (isNaN(qfe)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_PRESSURE
+                : "Invalid pressure value";
+            return { error: true, msg: msg };
+        }
+        const factor = (elevationUnit === 'meters') ? 1 : FEET_TO_METERS;
+        const h = elevation * factor;
+
+        let qnh;
+        if (typeof temperatureC === 'number') {
+            qnh = qfe * Math.exp(g * h / (Rs * _meanColumnTemperature(temperatureC, h)));
+        } else {
+            qnh = _altitudeToPressure(pressureToAltitude(qfe) - h);
+        }
+
+        return _settingsResult(qnh, qfe, factor, elevationUnit);
+    }
+
+    /**
+     * Calculates the altimeter readings at the threshold for a given QNH.
+     * 
+     * With QNH set the altimeter reads the elevation, with QFE set it reads
+     * zero, and with the standard setting (QNE) it reads the pressure altitude.
+     * 
+     * @param {number} rawValue - QNH value
+     * @param {string} pressureUnit - Pressure unit (see Pressure.units())
+     * @param {number} elevation - Threshold elevation
+     * @param {string} [elevationUnit='feet'] - 'feet' or 'meters'
+     * @param {number} [temperatureC] - Optional aerodrome temperature in °C
+     * @returns {Object} Result object (see qnhToQfe) with an additional
+     *   readings property: { qnh, qfe, qne } altimeter readings in the elevation unit
+     */
+    function altimeterReading(rawValue, pressureUnit, elevation, elevationUnit = 'feet', temperatureC) {
+        const res = qnhToQfe(rawValue, pressureUnit, elevation, elevationUnit, temperatureC);
+        if (res.error) return res;
+
+        res.readings = { qnh: elevation, qfe: 0, qne: res.qne };
+        return res;
+    }
+
+    /**
+     * Transition level for a QNH already validated and converted to hPa.
+     * @param {number} ta - Transition altitude in feet
+     * @param {number} qnh - QNH in hPa
+     * @param {number} minLayer - Minimum transition layer in feet
+     * @param {number} flStep - Flight level increment
+     * @returns {Object} { transitionLevel, lowestUsableFlightLevel, transitionLayer }
+     * @private
+     */
+    function _transitionLevel(ta, qnh, minLayer, flStep) {
+        // Altitude of a flight level on QNH: FL × 100 + correction
+        const correctionFt = -pressureToAltitude(qnh) / FEET_TO_METERS;
+
+        // Lowest FL (multiple of flStep) whose QNH altitude clears TA + layer.
+        // The epsilon guards against floating point noise on exact boundaries.
+        const minFl = (ta + minLayer - correctionFt) / 100;
+        const tl = Math.ceil(minFl / flStep - 1e-9) * flStep;
+
+        return {
+            transitionLevel: tl,
+            lowestUsableFlightLevel: Math.ceil(tl / 10) * 10,
+            transitionLayer: tl * 100 + correctionFt - ta
+        };
+    }
+
+    /**
+     * Validates transition altitude, layer and step inputs.
+     * @returns {Object|null} Error object, or null if inputs are valid
+     * @private
+     */
+    function _validateTransitionInputs(ta, minLayer, flStep) {
+        if (typeof ta !== 'number' || isNaN(ta) || ta < 0 ||
+            typeof minLayer !== 'number' || isNaN(minLayer) || minLayer < 0 ||
+            typeof flStep !== 'number' || isNaN(flStep) || flStep <= 0) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_TRANSITION_ALTITUDE
+                : "Invalid transition altitude";
+            return { error: true, msg: msg };
+        }
+        return null;
+    }
+
+    /**
+     * Calculates the transition level for a transition altitude and QNH.
+     * 
+     * The transition level is the lowest flight level (in increments of flStep)
+     * whose altitude on the current QNH is at least the transition altitude plus
+     * the minimum transition layer:
+     *   FL × 100 + correction ≥ TA + layer
+     * 
+     * The lowest usable flight level is the lowest cruising level (whole
+     * thousands of feet) at or above the transition level.
+     * 
+     * @param {number} transitionAltitude - Transition altitude in feet
+     * @param {number} rawValue - QNH value
+     * @param {string} pressureUnit - Pressure unit (see Pressure.units())
+     * @param {number} [minLayer=1000] - Minimum transition layer in feet
+     * @param {number} [flStep=5] - Flight level increment for the transition level
+     * @returns {Object} Result object with properties:
+     *   - transitionLevel: Transition level (FL)
+     *   - lowestUsableFlightLevel: Lowest usable cruising flight level (FL)
+     *   - transitionLayer: Actual depth of the transition layer in feet
+     *   - qnh: QNH in hPa
+     *   - warning: True if pressure is in abnormal range
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     * 
+     * @example
+     * // TA 5000 ft, QNH 1000 hPa, 1000 ft layer
+     * const res = QNH.transitionLevel(5000, 1000, 'hPa');
+     * // res.transitionLevel === 65, res.lowestUsableFlightLevel === 70
+     */
+    function transitionLevel(transitionAltitude, rawValue, pressureUnit,
+        minLayer = TRANSITION_DEFAULTS.minLayerFt, flStep = TRANSITION_DEFAULTS.flStep) {
+        const invalid = _validateTransitionInputs(transitionAltitude, minLayer, flStep);
+        if (invalid) return invalid;
+
+        const qnh = _validateQnh(rawValue, pressureUnit);
+        if (qnh.error) return qnh;
+
+        const tl = _transitionLevel(transitionAltitude, qnh.pressure, minLayer, flStep);
+
+        return {
+            transitionLevel: tl.transitionLevel,
+            lowestUsableFlightLevel: tl.lowestUsableFlightLevel,
+            transitionLayer: tl.transitionLayer,
+            qnh: qnh.pressure,
+            warning: qnh.warning,
+            error: false
+        };
+    }
+
+    /**
+     * Builds a QNH → transition level lookup table, one row per hPa.
+     * The range is clamped to the hard QNH limits.
+     * 
+     * @param {number} transitionAltitude - Transition altitude in feet
+     * @param {number} [minLayer=1000] - Minimum transition layer in feet
+     * @param {number} [flStep=5] - Flight level increment for the transition level
+     * @param {number} [fromHpa=940] - Lowest QNH of the table in hPa
+     * @param {number} [toHpa=1060] - Highest QNH of the table in hPa
+     * @returns {Object} Result object with properties:
+     *   - rows: Array of { qnh, transitionLevel, transitionLayer }, ascending QNH
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     * 
+     * @example
+     * const table = QNH.transitionLevelTable(5000);
+     * table.rows.forEach(r => console.log(r.qnh, 'FL' + r.transitionLevel));
+     */
+    function transitionLevelTable(transitionAltitude, minLayer = TRANSITION_DEFAULTS.minLayerFt,
+        flStep = TRANSITION_DEFAULTS.flStep, fromHpa = TRANSITION_DEFAULTS.tableMinHpa,
+        toHpa = TRANSITION_DEFAULTS.tableMaxHpa) {
+        const invalid = _validateTransitionInputs(transitionAltitude, minLayer, flStep);
+        if (invalid) return invalid;
+
+        const from = Math.max(Math.ceil(fromHpa), PRESSURE_LIMITS_HPA.hardMin);
+        const to = Math.min(Math.floor(toHpa), PRESSURE_LIMITS_HPA.hardMax);
+
+        const rows = [];
+        for (let qnh = from; qnh <= to; qnh++) {
+            const tl = _transitionLevel(transitionAltitude, qnh, minLayer, flStep);
+            rows.push({ qnh: qnh, transitionLevel: tl.transitionLevel, transitionLayer: tl.transitionLayer });
+        }
+
+        return { rows: rows, error: false };
+    }
+
+    /**
+     * Calculates the ISA static pressure for a target altitude (inverse of calculate).
+     * 
+     * - reference 'pressure': the value is a pressure altitude or flight level
+     *   P = P_ISA(PA)
+     * - reference 'qnh': the value is an altitude above MSL with the given QNH set
+     *   PA = altitude + PA(QNH), P = P_ISA(PA)
+     * 
+     * Geometric altitudes are converted to geopotential first. Flight levels are
+     * always pressure altitudes, regardless of the reference.
+     * 
+     * @param {number} rawValue - The target altitude value
+     * @param {string} inputUnit - Input unit: 'FL', 'feet', or 'meters'
+     * @param {string} [reference='pressure'] - 'pressure' or 'qnh'
+     * @param {number} [qnhValue] - QNH value, required for the 'qnh' reference
+     * @param {string} [qnhUnit='hPa'] - QNH unit (see Pressure.units())
+     * @param {string} [heightType='geopotential'] - 'geopotential' or 'geometric'
+     * @returns {Object} Result object with properties:
+     *   - pressure: Static pressure in hPa
+     *   - pressureInHg: Static pressure in inHg
+     *   - pressureMmHg: Static pressure in mmHg
+     *   - pressureAltitude: Pressure altitude in meters
+     *   - warning: True if the QNH is in abnormal range
+     *   - error: True if calculation failed
+     *   - msg: Error message if error is true
+     * 
+     * @example
+     * // Expected test set pressure at FL100
+     * const res = QNH.staticPressure(100, 'FL');
+     * // res.pressure ≈ 696.8 hPa
+     */
+    function staticPressure(rawValue, inputUnit, reference = 'pressure', qnhValue, qnhUnit = 'hPa',
+        heightType = 'geopotential') {
+        if (typeof rawValue !== 'number' || isNaN(rawValue)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_ALTITUDE
+                : "Invalid altitude value";
+            return { error: true, msg: msg };
+        }
+
+        let meters = rawValue;
+        if (inputUnit === 'FL') meters = rawValue * 100 * FEET_TO_METERS;
+        else if (inputUnit === 'feet') meters = rawValue * FEET_TO_METERS;
+
+        if (heightType === 'geometric' && inputUnit !== 'FL') {
+            meters = geometricToGeopotential(meters);
+        }
+
+        let pa = meters;
+        let warning = false;
+
+        if (reference === 'qnh' && inputUnit !== 'FL') {
+            const qnh = _validateQnh(qnhValue, qnhUnit);
+            if (qnh.error) return qnh;
+
+            pa = meters + pressureToAltitude(qnh.pressure);
+            warning = qnh.warning;
+        }
+
+        const isa = standardAtmosphere(pa, 'meters');
+        if (isa.error) return isa;
+
+        return {
+            pressure: isa.pressure,
+            pressureInHg: isa.pressure / INHG_TO_HPA,
+            pressureMmHg: isa.pressure * HPA_TO_MMHG,
+            pressureAltitude: pa,
+            warning: warning,
+            error: false
+        };
+    }
+
     /**
      * Calculates the altitude correction based on QNH pressure.
      * 
@@ -67,9 +891,10 @@ const QNH = (function () {
      * means the aircraft is lower than indicated (low pressure = low altitude).
      * 
      * @param {number} rawValue - The input pressure value
-     * @param {string} inputUnit - Input unit: 'hPa' or 'inHg'
+     * @param {string} inputUnit - Input unit (see Pressure.units())
      * @param {string} outputUnit - Output unit: 'FL' (flight level), 'feet', or 'meters'
      * @returns {Object} Result object with properties:
+     *   - qnh: The QNH in hPa
      *   - correction: The altitude correction value
      *   - pressureAltitude: The pressure altitude (altitude at standard pressure)
      *   - unit: The unit string for display
@@ -83,36 +908,17 @@ const QNH = (function () {
      * // result.correction will be negative (altitude is lower than indicated)
      */
     function calculate(rawValue, inputUnit, outputUnit) {
-        // Validate input
-        if (isNaN(rawValue) || rawValue <= 0) {
-            const msg = (typeof ERROR_MESSAGES !== 'undefined')
-                ? ERROR_MESSAGES.INVALID_PRESSURE
-                : "Invalid pressure value";
-            return { error: true, msg: msg };
-        }
+        const qnh = _validateQnh(rawValue, inputUnit);
+        if (qnh.error) return qnh;
 
-        // Convert to hPa if necessary
-        let pressureInHPa = (inputUnit === 'inHg') ? rawValue * INHG_TO_HPA : rawValue;
-
-        // Validate pressure range
-        if (pressureInHPa < PRESSURE_LIMITS_HPA.hardMin || pressureInHPa > PRESSURE_LIMITS_HPA.hardMax) {
-            const msg = (typeof ERROR_MESSAGES !== 'undefined')
-                ? ERROR_MESSAGES.PRESSURE_OUT_OF_RANGE
-                : "Pressure outside realistic limits";
-            return { error: true, msg: msg };
-        }
-
-        // Check for warning range (unusual but not impossible)
-        let warning = false;
-        if (pressureInHPa < PRESSURE_LIMITS_HPA.warningMin || pressureInHPa > PRESSURE_LIMITS_HPA.warningMax) {
-            warning = true;
-        }
+        const pressureInHPa = qnh.pressure;
+        const warning = qnh.warning;
 
         /**
          * Calculate pressure altitude using the barometric formula.
          * 
-         * The exponent (Rs * L / g) ≈ 0.190263 represents the relationship
-         * between pressure ratio and altitude in the troposphere.
+         * Within the QNH limits this is always the troposphere, where the
+         * exponent (Rs * L / g) ≈ 0.190263 relates pressure ratio and altitude.
          * 
          * A QNH lower than standard (1013.25 hPa) means:
          * - Actual pressure is low
@@ -124,7 +930,7 @@ const QNH = (function () {
          * - Aircraft is HIGHER than indicated
          * - Correction is POSITIVE (add to indicated altitude)
          */
-        const correctionInFeet = ((pressureInHPa / STANDARD_PRESSURE_HPA) ** (Rs * L / g) - 1) * (T0 / L / FEET_TO_METERS);
+        const correctionInFeet = -pressureToAltitude(pressureInHPa) / FEET_TO_METERS;
 
         let finalCorrection;
         let finalPA; // Pressure Altitude
@@ -147,6 +953,7 @@ const QNH = (function () {
         }
 
         return {
+            qnh: pressureInHPa,
             correction: finalCorrection,
             pressureAltitude: finalPA,
             unit: finalUnit,
@@ -158,6 +965,18 @@ const QNH = (function () {
     // Public API
     return {
         calculate,
+        standardAtmosphere,
+        coldTemperatureCorrection,
+        densityAltitude,
+        qnhToQfe,
+        qfeToQnh,
+        altimeterReading,
+        transitionLevel,
+        transitionLevelTable,
+        staticPressure,
+        pressureToAltitude,
+        geometricToGeopotential,
+        geopotentialToGeometric,
         // Expose constants for use by other modules
         INHG_TO_HPA: INHG_TO_HPA,
         STANDARD_PRESSURE_HPA: STANDARD_PRESSURE_HPA
@@ -0,0 +1,360 @@
+/**
+ * SSR.js
+ * Pure SSR Altitude Encoding Module.
+ * 
+ * Encodes and decodes pressure altitude as transmitted by SSR transponders:
+ * - Mode C: Gillham (Gray) code in 100 ft increments on the A, B, C and D pulses
+ * - Mode S: 13-bit AC field with the Q-bit 25 ft encoding, falling back to
+ *   Gillham coding above 50,175 ft
+ * 
+ * Pulse names follow the reply train:
+ *   F1 C1 A1 C2 A2 C4 A4 X B1 D1 B2 D2 B4 D4 F2
+ * 
+ * References:
+ * - ICAO Annex 10, Volume IV (Surveillance and Collision Avoidance Systems)
+ * - ICAO Doc 9684 (Manual on the SSR Systems)
+ * 
+ * @module SSR
+ * @author ATSEP Toolbox
+ */
+
+const SSR = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const FEET_TO_METERS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.FEET_TO_METERS : 0.3048;
+    const MODE_C_LIMITS_FT = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.MODE_C_LIMITS_FT : { min: -1000, max: 126700 };
+    const MODE_S_Q_MAX_FT = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.MODE_S_Q_MAX_FT : 50175;
+
+    /** Pulse positions of the reply train, framing pulses included */
+    const REPLY_TRAIN = ['F1', 'C1', 'A1', 'C2', 'A2', 'C4', 'A4', 'X', 'B1', 'D1', 'B2', 'D2', 'B4', 'D4', 'F2'];
+
+    /** The 13 information positions between F1 and F2 (also the Mode S ID/AC field order) */
+    const INFO_BITS = REPLY_TRAIN.slice(1, 14);
+
+    /** Mode S AC field masks */
+    const AC_M_BIT = 0x0040;
+    const AC_Q_BIT = 0x0010;
+
+    /**
+     * Builds an error result object.
+     * @param {string} key - ERROR_MESSAGES key
+     * @param {string} fallback - Message used when ERROR_MESSAGES is unavailable
+     * @returns {Object} { error: true, msg }
+     * @private
+     */
+    function _error(key, fallback) {
+        const msg = (typeof ERROR_MESSAGES !== 'undefined') ? ERROR_MESSAGES[key] : fallback;
+        return { error: true, msg: msg };
+    }
+
+    /**
+     * Decodes Gillham pulses to an altitude in feet.
+     * 
+     * The 500 ft increments are Gray coded on D2 D4 A1 A2 A4 B1 B2 B4, and the
+     * 100 ft increments on C1 C2 C4 using a reflected 5-state code. X and D1
+     * must be zero and at least one C pulse must be present.
+     * 
+     * @param {Object} p - Pulses { A1, A2, A4, B1, B2, B4, C1, C2, C4, D1, D2, D4, X }
+     * @returns {number|null} Altitude in feet, or null for an illegal code
+     * @private
+     */
+    function _gillhamToAltitude(p) {
+        if (p.X || p.D1 || !(p.C1 || p.C2 || p.C4)) return null;
+
+        let hundreds = 0;
+        if (p.C1) hundreds ^= 0x7;
+        if (p.C2) hundreds ^= 0x3;
+        if (p.C4) hundreds ^= 0x1;
+
+        // Swap 5 and 7 so the valid states are 1 to 5
+        if ((hundreds & 5) === 5) hundreds ^= 2;
+        if (hundreds > 5) return null;
+
+        let fiveHundreds = 0;
+        if (p.D2) fiveHundreds ^= 0x0FF;
+        if (p.D4) fiveHundreds ^= 0x07F;
+        if (p.A1) fiveHundreds ^= 0x03F;
+        if (p.A2) fiveHundreds ^= 0x01F;
+        if (p.A4) fiveHundreds ^= 0x00F;
+        if (p.B1) fiveHundreds ^= 0x007;
+        if (p.B2) fiveHundreds ^= 0x003;
+        if (p.B4) fiveHundreds ^= 0x001;
+
+        // The 100 ft code is reflected on odd 500 ft counts
+        if (fiveHundreds & 1) hundreds = 6 - hundreds;
+
+        return (fiveHundreds * 5 + hundreds - 13) * 100;
+    }
+
+    /**
+     * Lookup table from altitude (ft) to Gillham pulses.
+     * Built once by decoding every legal pulse combination, so encoding
+     * is guaranteed to be the exact inverse of decoding.
+     */
+    const GILLHAM_TABLE = (function () {
+        const table = {};
+        const names = ['A1', 'A2', 'A4', 'B1', 'B2', 'B4', 'C1', 'C2', 'C4', 'D2', 'D4'];
+
+        for (let n = 0; n < (1 << names.length); n++) {
+            const pulses = { X: 0, D1: 0 };
+            names.forEach((name, i) => { pulses[name] = (n >> i) & 1; });
+
+            const alt = _gillhamToAltitude(pulses);
+            if (alt !== null && alt >= MODE_C_LIMITS_FT.min && alt <= MODE_C_LIMITS_FT.max) {
+                table[alt] = pulses;
+            }
+        }
+        return table;
+    })();
+
+    /**
+     * Converts pulses to the 4-digit octal code (ABCD).
+     * @param {Object} p - Pulses
+     * @returns {string} Octal code, e.g. '0040'
+     * @private
+     */
+    function _toOctal(p) {
+        return ['A', 'B', 'C', 'D']
+            .map(letter => 4 * p[letter + '4'] + 2 * p[letter + '2'] + p[letter + '1'])
+            .join('');
+    }
+
+    /**
+     * Converts pulses to the 13-bit value in reply train (ID/AC field) order.
+     * @param {Object} p - Pulses
+     * @returns {number} 13-bit value, C1 being the most significant bit
+     * @private
+     */
+    function _toField(p) {
+        return INFO_BITS.reduce((acc, name) => (acc << 1) | (p[name] ? 1 : 0), 0);
+    }
+
+    /**
+     * Converts a 13-bit ID/AC field value to pulses.
+     * @param {number} field - 13-bit value, C1 being the most significant bit
+     * @returns {Object} Pulses
+     * @private
+     */
+    function _fromField(field) {
+        const pulses = {};
+        INFO_BITS.forEach((name, i) => { pulses[name] = (field >> (12 - i)) & 1; });
+        return pulses;
+    }
+
+    /**
+     * Builds the full Mode C result for a set of pulses.
+     * @param {number} altitude - Altitude in feet
+     * @param {Object} pulses - Pulses
+     * @returns {Object} Mode C result (see encodeModeC)
+     * @private
+     */
+    function _modeCResult(altitude, pulses) {
+        return {
+            altitude: altitude,
+            pulses: pulses,
+            octal: _toOctal(pulses),
+            pulseTrain: REPLY_TRAIN.map(name => ({
+                name: name,
+                value: (name === 'F1' || name === 'F2') ? 1 : (pulses[name] ? 1 : 0)
+            })),
+            error: false
+        };
+    }
+
+    /**
+     * Converts an altitude input to feet.
+     * @param {number} rawValue - Altitude value
+     * @param {string} unit - 'FL', 'feet', or 'meters'
+     * @returns {number} Altitude in feet
+     * @private
+     */
+    function _toFeet(rawValue, unit) {
+        if (unit === 'FL') return rawValue * 100;
+        if (unit === 'meters') return rawValue / FEET_TO_METERS;
+        return rawValue;
+    }
+
+    /**
+     * Encodes a pressure altitude as a Mode C Gillham code.
+     * The altitude is rounded to the nearest 100 ft increment.
+     * 
+     * @param {number} rawValue - Pressure altitude value
+     * @param {string} [unit='feet'] - 'FL', 'feet', or 'meters'
+     * @returns {Object} Result object with properties:
+     *   - altitude: Encoded altitude in feet (100 ft increments)
+     *   - pulses: { A1, A2, A4, B1, B2, B4, C1, C2, C4, D1, D2, D4, X } as 0/1
+     *   - octal: 4-digit octal code (ABCD)
+     *   - pulseTrain: Array of { name, value } from F1 to F2
+     *   - error: True if encoding failed
+     *   - msg: Error message if error is true
+     * 
+     * @example
+     * const res = SSR.encodeModeC(-1000);
+     * // res.octal === '0020' (C2 only)
+     */
+    function encodeModeC(rawValue, unit = 'feet') {
+        if (typeof rawValue !== 'number' || isNaN(rawValue)) {
+            return _error('INVALID_ALTITUDE', 'Invalid altitude value');
+        }
+
+        const altitude = Math.round(_toFeet(rawValue, unit) / 100) * 100;
+        if (altitude < MODE_C_LIMITS_FT.min || altitude > MODE_C_LIMITS_FT.max) {
+            return _error('MODE_C_RANGE', 'Altitude outside the Mode C range');
+        }
+
+        return _modeCResult(altitude, Object.assign({}, GILLHAM_TABLE[altitude]));
+    }
+
+    /**
+     * Decodes a Mode C code to a pressure altitude.
+     * 
+     * Accepts either a 4-digit octal code (ABCD) or the 13 information bits in
+     * reply train order (C1 A1 C2 A2 C4 A4 X B1 D1 B2 D2 B4 D4), optionally
+     * framed by F1 and F2 (15 bits). Spaces are ignored.
+     * 
+     * @param {string} code - Octal code or bit pattern
+     * @param {string} [format='octal'] - 'octal' or 'bits'
+     * @returns {Object} Result object (see encodeModeC)
+     * 
+     * @example
+     * const res = SSR.decodeModeC('0020');
+     * // res.altitude === -1000
+     */
+    function decodeModeC(code, format = 'octal') {
+        const text = String(code).replace(/\s+/g, '');
+        let pulses;
+
+        if (format === 'bits') {
+            let bits = text;
+            if (/^[01]{15}$/.test(bits)) bits = bits.slice(1, 14);
+            if (!/^[01]{13}$/.test(bits)) {
+                return _error('INVALID_SSR_CODE', 'Invalid code');
+            }
+            pulses = _fromField(parseInt(bits, 2));
+        } else {
+            if (!/^[0-7]{4}$/.test(text)) {
+                return _error('INVALID_SSR_CODE', 'Invalid code');
+            }
+            pulses = { X: 0 };
+            ['A', 'B', 'C', 'D'].forEach((letter, i) => {
+                const digit = parseInt(text[i], 8);
+                pulses[letter + '4'] = (digit >> 2) & 1;
+                pulses[letter + '2'] = (digit >> 1) & 1;
+                pulses[letter + '1'] = digit & 1;
+            });
+        }
+
+        const altitude = _gillhamToAltitude(pulses);
+        if (altitude === null || altitude < MODE_C_LIMITS_FT.min || altitude > MODE_C_LIMITS_FT.max) {
+            return _error('ILLEGAL_GILLHAM', 'Illegal Gillham code');
+        }
+
+        return _modeCResult(altitude, pulses);
+    }
+
+    /**
+     * Formats a 13-bit AC field as a bit string.
+     * @param {number} ac13 - AC field value
+     * @returns {string} 13-character bit string
+     * @private
+     */
+    function _bits13(ac13) {
+        return ac13.toString(2).padStart(13, '0');
+    }
+
+    /**
+     * Encodes a pressure altitude as a Mode S 13-bit AC field.
+     * 
+     * - Up to 50,175 ft: Q = 1, N = (altitude + 1000) / 25 on the 11 bits
+     *   remaining once M and Q are removed
+     * - Above: Q = 0 and the Gillham code in 100 ft increments
+     * 
+     * @param {number} rawValue - Pressure altitude value
+     * @param {string} [unit='feet'] - 'FL', 'feet', or 'meters'
+     * @returns {Object} Result object with properties:
+     *   - altitude: Encoded altitude in feet
+     *   - ac13: AC field value
+     *   - bits: AC field as a 13-character bit string
+     *   - qBit: 1 for 25 ft encoding, 0 for Gillham
+     *   - resolution: 25 or 100 (ft)
+     *   - error: True if encoding failed
+     *   - msg: Error message if error is true
+     * 
+     * @example
+     * const res = SSR.encodeModeS(38000);
+     * // res.qBit === 1, res.resolution === 25
+     */
+    function encodeModeS(rawValue, unit = 'feet') {
+        if (typeof rawValue !== 'number' || isNaN(rawValue)) {
+            return _error('INVALID_ALTITUDE', 'Invalid altitude value');
+        }
+
+        const feet = _toFeet(rawValue, unit);
+        const n = Math.round((feet + 1000) / 25);
+
+        if (n >= 0 && n * 25 - 1000 <= MODE_S_Q_MAX_FT) {
+            const ac13 = ((n & 0x7E0) << 2) | ((n & 0x010) << 1) | AC_Q_BIT | (n & 0x00F);
+            return { altitude: n * 25 - 1000, ac13: ac13, bits: _bits13(ac13), qBit: 1, resolution: 25, error: false };
+        }
+
+        const modeC = encodeModeC(feet, 'feet');
+        if (modeC.error) return modeC;
+
+        const ac13 = _toField(modeC.pulses);
+        return { altitude: modeC.altitude, ac13: ac13, bits: _bits13(ac13), qBit: 0, resolution: 100, error: false };
+    }
+
+    /**
+     * Decodes a Mode S 13-bit AC field.
+     * 
+     * @param {number|string} field - AC field value, or a 13-character bit string
+     * @returns {Object} Result object (see encodeModeS)
+     * 
+     * @example
+     * const res = SSR.decodeModeS('1100000111000');
+     * // res.altitude === 38000, res.qBit === 1
+     */
+    function decodeModeS(field) {
+        let ac13 = field;
+        if (typeof field === 'string') {
+            const bits = field.replace(/\s+/g, '');
+            if (!/^[01]{13}$/.test(bits)) {
+                return _error('INVALID_SSR_CODE', 'Invalid code');
+            }
+            ac13 = parseInt(bits, 2);
+        }
+
+        if (typeof ac13 !== 'number' || !Number.isInteger(ac13) || ac13 < 0 || ac13 > 0x1FFF) {
+            return _error('INVALID_SSR_CODE', 'Invalid code');
+        }
+        if (ac13 === 0) {
+            return _error('ALTITUDE_UNAVAILABLE', 'Altitude not available');
+        }
+        if (ac13 & AC_M_BIT) {
+            return _error('MODE_S_METRIC', 'Metric altitudes are not supported');
+        }
+
+        if (ac13 & AC_Q_BIT) {
+            const n = ((ac13 & 0x1F80) >> 2) | ((ac13 & 0x0020) >> 1) | (ac13 & 0x000F);
+            return { altitude: n * 25 - 1000, ac13: ac13, bits: _bits13(ac13), qBit: 1, resolution: 25, error: false };
+        }
+
+        const altitude = _gillhamToAltitude(_fromField(ac13));
+        if (altitude === null) {
+            return _error('ILLEGAL_GILLHAM', 'Illegal Gillham code');
+        }
+        return { altitude: altitude, ac13: ac13, bits: _bits13(ac13), qBit: 0, resolution: 100, error: false };
+    }
+
+    // Public API
+    return {
+        encodeModeC,
+        decodeModeC,
+        encodeModeS,
+        decodeModeS,
+        // Expose the reply train layout for display
+        REPLY_TRAIN: REPLY_TRAIN
+    };
+})();
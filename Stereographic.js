@@ -0,0 +1,287 @@
+/**
+ * Stereographic.js
+ * Pure Radar System Plane Projection Module.
+ *
+ * Implements the conformal (double) stereographic projection used by radar
+ * data processing systems to map plots and tracks onto a plane around a
+ * system centre: the WGS-84 ellipsoid is mapped conformally onto the Gauss
+ * sphere of the tangent point, which is then projected stereographically
+ * onto the plane tangent at the system centre (scale 1 at the centre).
+ *
+ * Heights do not move a position on the plane: a target is plotted at the
+ * foot of its ellipsoid normal. Height matters for radar plots, where the
+ * measured slant range must first be reduced to a ground position using
+ * the target altitude (radarPlotToPlane).
+ *
+ * References:
+ * - IOGP Guidance Note 7-2 (2019). "Coordinate Conversions and
+ *   Transformations including Formulas", Oblique Stereographic (EPSG 9809).
+ * - Snyder, J. P. (1987). "Map Projections – A Working Manual". USGS
+ *   Professional Paper 1395. Stereographic projection.
+ *
+ * @module Stereographic
+ * @author ATSEP Toolbox
+ */
+
+const Stereographic = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const a = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_A : 6378137.0;
+    const f = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_F : 1 / 298.257223563;
+
+    const e2 = f * (2 - f);
+    const e = Math.sqrt(e2);
+
+    /** Height tolerance when reducing radar plots, in meters */
+    const HEIGHT_TOLERANCE_M = 1e-4;
+
+    const toRad = d => d * Math.PI / 180;
+    const toDeg = r => r * 180 / Math.PI;
+
+    /**
+     * Throws an Error with a standard message.
+     * @param {string} key - ERROR_MESSAGES key
+     * @param {string} fallback - Message used when ERROR_MESSAGES is unavailable
+     * @private
+     */
+    function _throw(key, fallback) {
+        const msg = (typeof ERROR_MESSAGES !== 'undefined') ? ERROR_MESSAGES[key] : fallback;
+        throw new Error(msg);
+    }
+
+    /**
+     * Validates a latitude/longitude pair.
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @private
+     */
+    function _checkPosition(lat, lon) {
+        if (typeof lat !== 'number' || typeof lon !== 'number' || !isFinite(lat) || !isFinite(lon)) {
+            _throw('INVALID_COORDINATE', 'Invalid coordinate value');
+        }
+        if (Math.abs(lat) > 90) _throw('LATITUDE_RANGE', 'Latitude must be between -90° and +90°');
+    }
+
+    /**
+     * Computes the Gauss sphere of a tangent point.
+     * @param {number} lat0 - Tangent point latitude in degrees
+     * @param {number} lon0 - Tangent point longitude in degrees
+     * @returns {Object} { R, n, c, chi0, lon0 } sphere radius and conformal mapping constants
+     * @private
+     */
+    function _sphere(lat0, lon0) {
+        _checkPosition(lat0, lon0);
+        // The conformal mapping is singular at the poles
+        if (Math.abs(lat0) >= 90) _throw('INVALID_SYSTEM_CENTRE', 'System centre cannot be at a pole');
+
+        const phi0 = toRad(lat0);
+        const sin0 = Math.sin(phi0), cos0 = Math.cos(phi0);
+        const w = 1 - e2 * sin0 * sin0;
+
+        // Gaussian radius of curvature at the tangent point
+        const R = a * Math.sqrt(1 - e2) / w;
+        const n = Math.sqrt(1 + e2 * Math.pow(cos0, 4) / (1 - e2));
+
+        const s1 = (1 + sin0) / (1 - sin0);
+        const s2 = (1 - e * sin0) / (1 + e * sin0);
+        const w1 = Math.pow(s1 * Math.pow(s2, e), n);
+        const sinChi0 = (w1 - 1) / (w1 + 1);
+        const c = (n + sin0) * (1 - sinChi0) / ((n - sin0) * (1 + sinChi0));
+        const w2 = c * w1;
+
+        return { R: R, n: n, c: c, chi0: Math.asin((w2 - 1) / (w2 + 1)), lon0: lon0 };
+    }
+
+    /**
+     * Maps a geodetic latitude to the conformal latitude on the Gauss sphere.
+     * @param {Object} sph - Sphere from _sphere
+     * @param {number} phi - Geodetic latitude in radians
+     * @returns {number} Conformal latitude in radians
+     * @private
+     */
+    function _conformalLat(sph, phi) {
+        const sinPhi = Math.sin(phi);
+        const sa = (1 + sinPhi) / (1 - sinPhi);
+        const sb = (1 - e * sinPhi) / (1 + e * sinPhi);
+        const w = sph.c * Math.pow(sa * Math.pow(sb, e), sph.n);
+        return Math.asin((w - 1) / (w + 1));
+    }
+
+    /**
+     * Projects a geodetic position onto the system plane.
+     *
+     * @param {number} lat - Latitude in degrees (-90 to +90)
+     * @param {number} lon - Longitude in degrees
+     * @param {number} centreLat - System centre (tangent point) latitude in degrees
+     * @param {number} centreLon - System centre (tangent point) longitude in degrees
+     * @returns {Object} Result object with properties:
+     *   - x: Plane X (towards east at the centre) in meters
+     *   - y: Plane Y (towards north at the centre) in meters
+     *   - scale: Point scale factor (1 at the centre)
+     * @throws {Error} If a position is invalid or the point is the antipode of the centre
+     *
+     * @example
+     * const p = Stereographic.toPlane(51.47, -0.4543, 51.5, 0);
+     * // { x: -31567.4, y: -3239.8, scale: 1.0000062 }
+     */
+    function toPlane(lat, lon, centreLat, centreLon) {
+        _checkPosition(lat, lon);
+        const sph = _sphere(centreLat, centreLon);
+
+        const phi = toRad(lat);
+        const chi = _conformalLat(sph, phi);
+        const dLambda = sph.n * toRad(lon - sph.lon0);
+
+        const sinChi = Math.sin(chi), cosChi = Math.cos(chi);
+        const sinChi0 = Math.sin(sph.chi0), cosChi0 = Math.cos(sph.chi0);
+        const B = 1 + sinChi * sinChi0 + cosChi * cosChi0 * Math.cos(dLambda);
+        if (B < 1e-12) _throw('STEREO_ANTIPODE', 'Point is the antipode of the system centre');
+
+        // Gauss conformal scale (sphere over ellipsoid) times stereographic scale
+        const nu = a / Math.sqrt(1 - e2 * Math.sin(phi) * Math.sin(phi));
+        const scale = (2 / B) * (sph.R * sph.n * cosChi) / (nu * Math.cos(phi));
+
+        return {
+            x: 2 * sph.R * cosChi * Math.sin(dLambda) / B,
+            y: 2 * sph.R * (sinChi * cosChi0 - cosChi * sinChi0 * Math.cos(dLambda)) / B,
+            scale: isFinite(scale) ? scale : NaN
+        };
+    }
+
+    /**
+     * Converts system plane coordinates back to a geodetic position.
+     *
+     * @param {number} x - Plane X in meters
+     * @param {number} y - Plane Y in meters
+     * @param {number} centreLat - System centre (tangent point) latitude in degrees
+     * @param {number} centreLon - System centre (tangent point) longitude in degrees
+     * @returns {Object} { lat, lon } in degrees
+     * @throws {Error} If the plane coordinates or centre are invalid
+     *
+     * @example
+     * const pos = Stereographic.fromPlane(-31567.4, -3239.8, 51.5, 0);
+     * // { lat: 51.47, lon: -0.4543 }
+     */
+    function fromPlane(x, y, centreLat, centreLon) {
+        if (typeof x !== 'number' || typeof y !== 'number' || !isFinite(x) || !isFinite(y)) {
+            _throw('INVALID_NUMBER', 'Must be a number');
+        }
+        const sph = _sphere(centreLat, centreLon);
+        const sinChi0 = Math.sin(sph.chi0), cosChi0 = Math.cos(sph.chi0);
+
+        // Inverse stereographic projection on the Gauss sphere
+        const rho = Math.hypot(x, y);
+        let chi = sph.chi0, dLambda = 0;
+        if (rho > 0) {
+            const c = 2 * Math.atan(rho / (2 * sph.R));
+            const sinC = Math.sin(c), cosC = Math.cos(c);
+            chi = Math.asin(cosC * sinChi0 + y * sinC * cosChi0 / rho);
+            dLambda = Math.atan2(x * sinC, rho * cosChi0 * cosC - y * sinChi0 * sinC);
+        }
+
+        // Inverse conformal mapping: isometric latitude, then Newton on the geodetic latitude
+        const psi = 0.5 * Math.log((1 + Math.sin(chi)) / (sph.c * (1 - Math.sin(chi)))) / sph.n;
+        let phi = 2 * Math.atan(Math.exp(psi)) - Math.PI / 2;
+        for (let i = 0; i < 20; i++) {
+            const sinPhi = Math.sin(phi);
+            const psiI = Math.log(Math.tan(phi / 2 + Math.PI / 4)
+                * Math.pow((1 - e * sinPhi) / (1 + e * sinPhi), e / 2));
+            const delta = (psiI - psi) * Math.cos(phi) * (1 - e2 * sinPhi * sinPhi) / (1 - e2);
+            phi -= delta;
+            if (Math.abs(delta) < 1e-14) break;
+        }
+
+        let lon = sph.lon0 + toDeg(dLambda) / sph.n;
+        lon = ((lon + 540) % 360) - 180;
+
+        return { lat: toDeg(phi), lon: lon };
+    }
+
+    /**
+     * Projects a radar plot onto the system plane.
+     *
+     * The slant range is reduced to a ground position using the target
+     * height (e.g. from Mode C), by finding the elevation at which the
+     * measured range reaches that height above the ellipsoid. Requires the
+     * ECEF module.
+     *
+     * @param {number} radarLat - Radar site latitude in degrees
+     * @param {number} radarLon - Radar site longitude in degrees
+     * @param {number} radarHeight - Antenna ellipsoidal height in meters
+     * @param {number} slantRange - Measured slant range in meters
+     * @param {number} azimuth - Measured azimuth in degrees true
+     * @param {number} targetHeight - Target ellipsoidal height in meters
+     * @param {number} centreLat - System centre latitude in degrees
+     * @param {number} centreLon - System centre longitude in degrees
+     * @returns {Object} Result object with properties:
+     *   - x, y: Plane coordinates in meters
+     *   - scale: Point scale factor
+     *   - lat, lon: Geodetic position of the target
+     *   - elevation: Elevation angle of the plot at the radar in degrees
+     *   - groundRange: Plane distance between radar and target foot in meters
+     *   - belowHorizon: True if the straight line of sight passes below the
+     *     earth's surface, i.e. the target is beyond the geometric radar horizon
+     * @throws {Error} If the range cannot reach the target height or the
+     *   iteration fails to converge
+     *
+     * @example
+     * const plot = Stereographic.radarPlotToPlane(51.47, -0.45, 80, 92600, 45, 7620, 51.5, 0);
+     */
+    function radarPlotToPlane(radarLat, radarLon, radarHeight, slantRange, azimuth, targetHeight, centreLat, centreLon) {
+        if ([slantRange, azimuth, radarHeight, targetHeight].some(v => typeof v !== 'number' || !isFinite(v))
+            || slantRange <= 0) {
+            _throw('INVALID_RADAR_PLOT', 'Slant range, azimuth and heights must be valid numbers');
+        }
+
+        // Spherical starting estimate on the Gaussian sphere of the radar site
+        const sinLat = Math.sin(toRad(radarLat));
+        const R = a * Math.sqrt(1 - e2) / (1 - e2 * sinLat * sinLat);
+        const sinEl = ((R + targetHeight) ** 2 - (R + radarHeight) ** 2 - slantRange * slantRange)
+            / (2 * slantRange * (R + radarHeight));
+        if (Math.abs(sinEl) > 1) {
+            _throw('SLANT_RANGE_TOO_SHORT', 'Slant range is shorter than the height difference');
+        }
+
+        const az = toRad(azimuth);
+        const locate = el => ECEF.fromEnu(radarLat, radarLon, radarHeight,
+            slantRange * Math.cos(el) * Math.sin(az),
+            slantRange * Math.cos(el) * Math.cos(az),
+            slantRange * Math.sin(el));
+
+        // Newton iteration on the elevation: dh/d(el) ≈ slant range × cos(el)
+        let el = Math.asin(sinEl);
+        let pos = locate(el);
+        for (let i = 0; i < 10 && Math.abs(pos.height - targetHeight) > HEIGHT_TOLERANCE_M; i++) {
+            el += (targetHeight - pos.height) / (slantRange * Math.max(Math.cos(el), 1e-6));
+            el = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, el));
+            pos = locate(el);
+        }
+        if (Math.abs(pos.height - targetHeight) > HEIGHT_TOLERANCE_M) {
+            _throw('CONVERGENCE_FAILED', 'Formula did not converge');
+        }
+
+        // Closest approach of the ray to the centre of the Gaussian sphere
+        const rRadar = R + radarHeight;
+        const closest = -rRadar * Math.sin(el);
+        const belowHorizon = closest > 0 && closest < slantRange && rRadar * Math.cos(el) < R;
+
+        const plane = toPlane(pos.lat, pos.lon, centreLat, centreLon);
+        const radar = toPlane(radarLat, radarLon, centreLat, centreLon);
+
+        return {
+            x: plane.x,
+            y: plane.y,
+            scale: plane.scale,
+            lat: pos.lat,
+            lon: pos.lon,
+            elevation: toDeg(el),
+            groundRange: Math.hypot(plane.x - radar.x, plane.y - radar.y),
+            belowHorizon: belowHorizon
+        };
+    }
+
+    return {
+        toPlane,
+        fromPlane,
+        radarPlotToPlane
+    };
+})();
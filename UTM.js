@@ -0,0 +1,369 @@
+/**
+ * UTM.js
+ * Pure UTM and MGRS Grid Conversion Module on the WGS-84 ellipsoid.
+ *
+ * Implements the transverse Mercator projection with Krüger's series to
+ * order n^6, which is accurate to a few nanometers within the UTM zones,
+ * and builds the Universal Transverse Mercator and Military Grid Reference
+ * System coordinates on top of it.
+ *
+ * Coverage is the UTM latitude range (80°S to 84°N); the polar UPS grid is
+ * not supported. Zone exceptions for southwest Norway (32V) and Svalbard
+ * (31X to 37X) are applied.
+ *
+ * References:
+ * - Karney, C. F. F. (2011). "Transverse Mercator with an accuracy of a few
+ *   nanometers". Journal of Geodesy. 85 (8): 475–485.
+ * - NGA.SIG.0012 (2014). "The Universal Grids and the Transverse Mercator and
+ *   Polar Stereographic Map Projections".
+ *
+ * @module UTM
+ * @author ATSEP Toolbox
+ */
+
+const UTM = (function () {
+    // Use shared constants if available, otherwise use local definitions
+    const a = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_A : 6378137.0;
+    const f = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_F : 1 / 298.257223563;
+    const k0 = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.UTM_SCALE_FACTOR : 0.9996;
+    const FALSE_EASTING = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.UTM_FALSE_EASTING : 500000;
+    const FALSE_NORTHING_SOUTH = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.UTM_FALSE_NORTHING_SOUTH : 10000000;
+
+    const toRad = d => d * Math.PI / 180;
+    const toDeg = r => r * 180 / Math.PI;
+
+    const e = Math.sqrt(f * (2 - f));
+    const n = f / (2 - f);
+    const n2 = n * n, n3 = n2 * n, n4 = n3 * n, n5 = n4 * n, n6 = n5 * n;
+
+    /** Radius of the rectifying sphere */
+    const A = a / (1 + n) * (1 + n2 / 4 + n4 / 64 + n6 / 256);
+
+    /** Krüger series coefficients, geographic to grid (alpha) and grid to geographic (beta) */
+    const ALPHA = [
+        n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180 - 127 * n5 / 288 + 7891 * n6 / 37800,
+        13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440 + 281 * n5 / 630 - 1983433 * n6 / 1935360,
+        61 * n3 / 240 - 103 * n4 / 140 + 15061 * n5 / 26880 + 167603 * n6 / 181440,
+        49561 * n4 / 161280 - 179 * n5 / 168 + 6601661 * n6 / 7257600,
+        34729 * n5 / 80640 - 3418889 * n6 / 1995840,
+        212378941 * n6 / 319334400
+    ];
+    const BETA = [
+        n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360 - 81 * n5 / 512 + 96199 * n6 / 604800,
+        n2 / 48 + n3 / 15 - 437 * n4 / 1440 + 46 * n5 / 105 - 1118711 * n6 / 3870720,
+        17 * n3 / 480 - 37 * n4 / 840 - 209 * n5 / 4480 + 5569 * n6 / 90720,
+        4397 * n4 / 161280 - 11 * n5 / 504 - 830251 * n6 / 7257600,
+        4583 * n5 / 161280 - 108847 * n6 / 3991680,
+        20648693 * n6 / 638668800
+    ];
+
+    /** MGRS latitude bands, 8° each from 80°S (band X spans 72°N to 84°N) */
+    const BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+    /** MGRS 100 km column letters, cycling every three zones */
+    const COLUMN_SETS = ['STUVWXYZ', 'ABCDEFGH', 'JKLMNPQR'];
+    /** MGRS 100 km row letters, offset by five in even zones */
+    const ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+
+    /**
+     * Throws an Error with a standard message.
+     * @param {string} key - ERROR_MESSAGES key
+     * @param {string} fallback - Message used when ERROR_MESSAGES is unavailable
+     * @private
+     */
+    function _throw(key, fallback) {
+        const msg = (typeof ERROR_MESSAGES !== 'undefined') ? ERROR_MESSAGES[key] : fallback;
+        throw new Error(msg);
+    }
+
+    /**
+     * Computes the conformal latitude tangent τ' from the geodetic tangent τ.
+     * @param {number} tau - Tangent of the geodetic latitude
+     * @returns {number} Tangent of the conformal latitude
+     * @private
+     */
+    function _tauPrime(tau) {
+        const sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau * tau)));
+        return tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+    }
+
+    /**
+     * Transverse Mercator projection about a central meridian.
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @param {number} lon0 - Central meridian in degrees
+     * @returns {Object} { x, y, convergence, scale } with x, y in meters from the central meridian and equator
+     * @private
+     */
+    function _forward(lat, lon, lon0) {
+        const phi = toRad(lat);
+        const lambda = toRad(lon - lon0);
+        const cosL = Math.cos(lambda), sinL = Math.sin(lambda), tanL = Math.tan(lambda);
+
+        const tau = Math.tan(phi);
+        const tauP = _tauPrime(tau);
+
+        const xiP = Math.atan2(tauP, cosL);
+        const etaP = Math.asinh(sinL / Math.sqrt(tauP * tauP + cosL * cosL));
+
+        let xi = xiP, eta = etaP, p = 1, q = 0;
+        for (let j = 1; j <= 6; j++) {
+            const c = ALPHA[j - 1];
+            xi += c * Math.sin(2 * j * xiP) * Math.cosh(2 * j * etaP);
+            eta += c * Math.cos(2 * j * xiP) * Math.sinh(2 * j * etaP);
+            p += 2 * j * c * Math.cos(2 * j * xiP) * Math.cosh(2 * j * etaP);
+            q += 2 * j * c * Math.sin(2 * j * xiP) * Math.sinh(2 * j * etaP);
+        }
+
+        // Meridian convergence and point scale factor
+        const gammaP = Math.atan(tauP / Math.sqrt(1 + tauP * tauP) * tanL);
+        const gammaPP = Math.atan2(q, p);
+        const sinPhi = Math.sin(phi);
+        const kP = Math.sqrt(1 - e * e * sinPhi * sinPhi) * Math.sqrt(1 + tau * tau)
+            / Math.sqrt(tauP * tauP + cosL * cosL);
+        const kPP = A / a * Math.sqrt(p * p + q * q);
+
+        return {
+            x: k0 * A * eta,
+            y: k0 * A * xi,
+            convergence: toDeg(gammaP + gammaPP),
+            scale: k0 * kP * kPP
+        };
+    }
+
+    /**
+     * Inverse transverse Mercator projection about a central meridian.
+     * @param {number} x - Easting from the central meridian in meters
+     * @param {number} y - Northing from the equator in meters
+     * @param {number} lon0 - Central meridian in degrees
+     * @returns {Object} { lat, lon } in degrees
+     * @private
+     */
+    function _reverse(x, y, lon0) {
+        const eta = x / (k0 * A);
+        const xi = y / (k0 * A);
+
+        let xiP = xi, etaP = eta;
+        for (let j = 1; j <= 6; j++) {
+            const c = BETA[j - 1];
+            xiP -= c * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+            etaP -= c * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+        }
+
+        const sinhEtaP = Math.sinh(etaP);
+        const sinXiP = Math.sin(xiP), cosXiP = Math.cos(xiP);
+        const tauP = sinXiP / Math.sqrt(sinhEtaP * sinhEtaP + cosXiP * cosXiP);
+
+        // Newton iteration for the geodetic latitude tangent
+        let tau = tauP;
+        for (let i = 0; i < 10; i++) {
+            const tauIP = _tauPrime(tau);
+            const delta = (tauP - tauIP) / Math.sqrt(1 + tauIP * tauIP)
+                * (1 + (1 - e * e) * tau * tau) / ((1 - e * e) * Math.sqrt(1 + tau * tau));
+            tau += delta;
+            if (Math.abs(delta) < 1e-12) break;
+        }
+
+        let lon = toDeg(Math.atan2(sinhEtaP, cosXiP)) + lon0;
+        if (lon > 180) lon -= 360;
+        if (lon < -180) lon += 360;
+
+        return { lat: toDeg(Math.atan(tau)), lon: lon };
+    }
+
+    /**
+     * Returns the UTM zone of a position, including the Norway and Svalbard exceptions.
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @returns {number} Zone number (1-60)
+     * @private
+     */
+    function _zoneOf(lat, lon) {
+        const wrapped = lon >= 180 ? lon - 360 : lon;
+        let zone = Math.floor((wrapped + 180) / 6) + 1;
+
+        if (lat >= 56 && lat < 64 && wrapped >= 3 && wrapped < 12) zone = 32;
+        if (lat >= 72) {
+            if (wrapped >= 0 && wrapped < 9) zone = 31;
+            else if (wrapped >= 9 && wrapped < 21) zone = 33;
+            else if (wrapped >= 21 && wrapped < 33) zone = 35;
+            else if (wrapped >= 33 && wrapped < 42) zone = 37;
+        }
+        return zone;
+    }
+
+    /**
+     * Returns the central meridian of a UTM zone.
+     * @param {number} zone - Zone number (1-60)
+     * @returns {number} Central meridian in degrees
+     * @private
+     */
+    function _centralMeridian(zone) {
+        return (zone - 1) * 6 - 180 + 3;
+    }
+
+    /**
+     * Validates a geographic position against the UTM coverage.
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @private
+     */
+    function _checkPosition(lat, lon) {
+        if (typeof lat !== 'number' || typeof lon !== 'number' || isNaN(lat) || isNaN(lon)) {
+            _throw('INVALID_COORDINATE', 'Invalid coordinate value');
+        }
+        if (Math.abs(lon) > 180) _throw('LONGITUDE_RANGE', 'Longitude must be between -180° and +180°');
+        if (lat < -80 || lat > 84) _throw('UTM_OUT_OF_RANGE', 'Outside UTM coverage (80°S to 84°N)');
+    }
+
+    /**
+     * Converts a geographic position to UTM.
+     *
+     * @param {number} lat - Latitude in degrees (-80 to +84)
+     * @param {number} lon - Longitude in degrees (-180 to +180)
+     * @param {number} [zone] - Force a zone (1-60), e.g. to work across a zone boundary
+     * @returns {Object} Result object with properties:
+     *   - zone: Zone number (1-60)
+     *   - hemisphere: 'N' or 'S'
+     *   - easting: Easting in meters (false easting 500 000 m)
+     *   - northing: Northing in meters (false northing 10 000 000 m in the south)
+     *   - convergence: Grid convergence in degrees (grid north clockwise from true north)
+     *   - scale: Point scale factor
+     * @throws {Error} If the position is invalid or outside 80°S to 84°N
+     *
+     * @example
+     * const utm = UTM.toUtm(48.8584, 2.2945); // Eiffel Tower
+     * // { zone: 31, hemisphere: 'N', easting: 448252.0, northing: 5411954.9, ... }
+     */
+    function toUtm(lat, lon, zone) {
+        _checkPosition(lat, lon);
+
+        const z = (zone === undefined) ? _zoneOf(lat, lon) : zone;
+        if (!Number.isInteger(z) || z < 1 || z > 60) _throw('INVALID_UTM', 'Invalid UTM coordinate');
+
+        const tm = _forward(lat, lon, _centralMeridian(z));
+        const hemisphere = lat >= 0 ? 'N' : 'S';
+
+        return {
+            zone: z,
+            hemisphere: hemisphere,
+            easting: tm.x + FALSE_EASTING,
+            northing: hemisphere === 'S' ? tm.y + FALSE_NORTHING_SOUTH : tm.y,
+            convergence: tm.convergence,
+            scale: tm.scale
+        };
+    }
+
+    /**
+     * Converts a UTM coordinate to a geographic position.
+     *
+     * @param {number} zone - Zone number (1-60)
+     * @param {string} hemisphere - 'N' or 'S'
+     * @param {number} easting - Easting in meters
+     * @param {number} northing - Northing in meters
+     * @returns {Object} { lat, lon } in degrees
+     * @throws {Error} If the coordinate is invalid
+     *
+     * @example
+     * const pos = UTM.fromUtm(31, 'N', 448252.0, 5411954.9);
+     * // { lat: 48.8584, lon: 2.2945 }
+     */
+    function fromUtm(zone, hemisphere, easting, northing) {
+        const hemi = String(hemisphere).toUpperCase();
+        if (!Number.isInteger(zone) || zone < 1 || zone > 60 || (hemi !== 'N' && hemi !== 'S')
+            || typeof easting !== 'number' || typeof northing !== 'number'
+            || !(easting > 0 && easting < 1000000) || !(northing >= 0 && northing <= FALSE_NORTHING_SOUTH)) {
+            _throw('INVALID_UTM', 'Invalid UTM coordinate');
+        }
+
+        const y = hemi === 'S' ? northing - FALSE_NORTHING_SOUTH : northing;
+        return _reverse(easting - FALSE_EASTING, y, _centralMeridian(zone));
+    }
+
+    /**
+     * Converts a geographic position to an MGRS reference.
+     *
+     * Grid values are truncated, as MGRS references designate the square
+     * containing the point.
+     *
+     * @param {number} lat - Latitude in degrees (-80 to +84)
+     * @param {number} lon - Longitude in degrees (-180 to +180)
+     * @param {number} [digits=5] - Digits per easting/northing (0-5; 5 = 1 m)
+     * @returns {string} MGRS reference, e.g. '31U DQ 48252 11954'
+     * @throws {Error} If the position is invalid or outside 80°S to 84°N
+     *
+     * @example
+     * UTM.toMgrs(48.8584, 2.2945); // '31U DQ 48252 11954'
+     */
+    function toMgrs(lat, lon, digits = 5) {
+        const utm = toUtm(lat, lon);
+        const band = BANDS[Math.min(Math.floor((lat + 80) / 8), BANDS.length - 1)];
+
+        const e100k = Math.floor(utm.easting / 100000);
+        const n100k = Math.floor(utm.northing / 100000);
+        const column = COLUMN_SETS[utm.zone % 3][e100k - 1];
+        const row = ROWS[(n100k + (utm.zone % 2 === 0 ? 5 : 0)) % 20];
+
+        const unit = Math.pow(10, 5 - digits);
+        const pad = v => String(Math.floor((v % 100000) / unit)).padStart(digits, '0');
+
+        return digits > 0
+            ? `${utm.zone}${band} ${column}${row} ${pad(utm.easting)} ${pad(utm.northing)}`
+            : `${utm.zone}${band} ${column}${row}`;
+    }
+
+    /**
+     * Converts an MGRS reference to a geographic position.
+     *
+     * Spaces are optional. The position returned is the centre of the square
+     * designated by the reference.
+     *
+     * @param {string} mgrs - MGRS reference, e.g. '31U DQ 48252 11954'
+     * @returns {Object} { lat, lon } in degrees
+     * @throws {Error} If the reference is malformed
+     *
+     * @example
+     * const pos = UTM.fromMgrs('31UDQ4825211954');
+     * // { lat: 48.8584, lon: 2.2945 }
+     */
+    function fromMgrs(mgrs) {
+        const text = String(mgrs).replace(/\s+/g, '').toUpperCase();
+        const match = /^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/.exec(text);
+        if (!match || match[5].length % 2 !== 0 || match[5].length > 10) {
+            _throw('INVALID_MGRS', 'Invalid MGRS reference');
+        }
+
+        const zone = parseInt(match[1], 10);
+        const bandIndex = BANDS.indexOf(match[2]);
+        const colIndex = COLUMN_SETS[zone % 3].indexOf(match[3]);
+        if (zone < 1 || zone > 60 || colIndex < 0) _throw('INVALID_MGRS', 'Invalid MGRS reference');
+
+        // Grid offsets within the 100 km square, to the centre of the designated square
+        const digits = match[5].length / 2;
+        const unit = Math.pow(10, 5 - digits);
+        const eOffset = digits > 0 ? parseInt(match[5].slice(0, digits), 10) * unit : 0;
+        const nOffset = digits > 0 ? parseInt(match[5].slice(digits), 10) * unit : 0;
+
+        const easting = (colIndex + 1) * 100000 + eOffset + unit / 2;
+        let northing = ((ROWS.indexOf(match[4]) - (zone % 2 === 0 ? 5 : 0) + 20) % 20) * 100000
+            + nOffset + unit / 2;
+
+        // The row letters repeat every 2000 km: pick the cycle that falls in the latitude band
+        const hemisphere = bandIndex >= BANDS.indexOf('N') ? 'N' : 'S';
+        const bandSouth = -80 + bandIndex * 8;
+        let bandNorthing = _forward(bandSouth, _centralMeridian(zone), _centralMeridian(zone)).y;
+        if (hemisphere === 'S') bandNorthing += FALSE_NORTHING_SOUTH;
+        const cycles = Math.max(0, Math.ceil((bandNorthing - 500000 - northing) / 2000000));
+        northing += cycles * 2000000;
+
+        return fromUtm(zone, hemisphere, easting, northing);
+    }
+
+    return {
+        toUtm,
+        fromUtm,
+        toMgrs,
+        fromMgrs
+    };
+})();
@@ -6,25 +6,66 @@
  * calculating geodesic distances and bearings on the WGS-84 ellipsoid.
  * Accuracy is typically within a few millimeters.
  * 
+ * Vincenty's iteration fails to converge for nearly antipodal points. When
+ * Karney.js is loaded, the public functions fall back to Karney's algorithm
+ * in that case, or use it directly when the 'karney' solver is selected.
+ * 
+ * Route tools (densification, cross-track distance and intersections) are
+ * built on the direct and inverse solutions, iterated on the ellipsoid from
+ * spherical starting estimates.
+ * 
+ * Rhumb lines (loxodromes, constant true track) are solved exactly on the
+ * ellipsoid from the meridian arc length and the isometric latitude.
+ * 
+ * The module works on WGS-84; withEllipsoid() returns the same API on
+ * another ellipsoid, falling back to Karney's algorithm on that ellipsoid.
+ * 
  * References:
  * - Vincenty, T. (1975). "Direct and Inverse Solutions of Geodesics on the
  *   Ellipsoid with application of nested equations". Survey Review. 23 (176): 88–93.
+ * - Karney, C. F. F. (2013). "Algorithms for geodesics". Journal of Geodesy. 87 (1): 43–55.
+ * - Baselga, S. & Martínez-Llario, J. C. (2018). "Intersection and point-to-line
+ *   solutions for geodesics on the ellipsoid". Studia Geophysica et Geodaetica. 62: 353–363.
+ * - Karney, C. F. F. (2024). "The area of rhumb polygons". Stud. Geophys. Geod.
+ *   68: 99–120 (ellipsoidal rhumb line solution).
  * - WGS-84 ellipsoid parameters from NIMA TR8350.2
  * 
  * @module Vincenty
  * @author ATSEP Toolbox
  */
 
-const Vincenty = (function () {
-    // Use shared constants if available, otherwise use local definitions
-    const a = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_A : 6378137.0;
-    const b = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_B : 6356752.314245;
-    const f = (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_F : 1 / 298.257223563;
+const Vincenty = (function create(ellipsoid) {
+    // Use the given ellipsoid, otherwise shared constants or local definitions
+    const a = ellipsoid ? ellipsoid.a
+        : (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_A : 6378137.0;
+    const b = ellipsoid ? ellipsoid.a * (1 - ellipsoid.f)
+        : (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_B : 6356752.314245;
+    const f = ellipsoid ? ellipsoid.f
+        : (typeof ATSEP_CONSTANTS !== 'undefined') ? ATSEP_CONSTANTS.WGS84_F : 1 / 298.257223563;
+
+    /** Karney's algorithm on the same ellipsoid, if Karney.js is loaded */
+    const geodesic = (typeof Karney === 'undefined') ? null
+        : ellipsoid ? Karney.withEllipsoid(ellipsoid) : Karney;
 
     const CONVERGENCE_THRESHOLD = (typeof ATSEP_CONSTANTS !== 'undefined')
         ? ATSEP_CONSTANTS.VINCENTY_CONVERGENCE : 1e-12;
     const MAX_ITERATIONS = (typeof ATSEP_CONSTANTS !== 'undefined')
         ? ATSEP_CONSTANTS.VINCENTY_MAX_ITERATIONS : 100;
+    const DENSIFY_MAX_POINTS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.DENSIFY_MAX_POINTS : 1000;
+
+    /** Mean Earth radius, used for spherical starting estimates and corrections */
+    const R = (2 * a + b) / 3;
+    /** Distance tolerance of the iterative solvers in meters (0.1 mm) */
+    const TOLERANCE_M = 1e-4;
+    /** Third flattening and first eccentricity, for the rhumb line series */
+    const n = f / (2 - f);
+    const e = Math.sqrt(f * (2 - f));
+    /**
+     * Latitude difference in radians (about 6 m) below which a rhumb line is
+     * treated as running along its mean parallel
+     */
+    const RHUMB_PARALLEL_RAD = 1e-6;
 
     /**
      * Vincenty's expansion coefficients (Helmert's series).
@@ -58,25 +99,1057 @@ const Vincenty = (function () {
      */
     const toDeg = r => r * 180 / Math.PI;
 
+    /**
+     * Normalizes a longitude to the range -180 to +180.
+     * @param {number} lon - Longitude in degrees
+     * @returns {number} Longitude in degrees (-180 to +180)
+     * @private
+     */
+    const _wrapLon = lon => ((lon + 540) % 360) - 180;
+
+    /**
+     * Runs the selected geodesic solver.
+     * 
+     * - 'vincenty': Vincenty only; convergence failures are thrown
+     * - 'karney': Karney's algorithm only
+     * - 'auto': Vincenty, falling back to Karney if Vincenty throws
+     * 
+     * @param {string} solver - 'auto', 'vincenty' or 'karney'
+     * @param {Function} vincentyFn - Computes the Vincenty result
+     * @param {Function} karneyFn - Computes the Karney result
+     * @returns {Object} The result, with solver ('vincenty' or 'karney') and
+     *   fallback (true if Vincenty failed) properties added. Karney results
+     *   also carry finalBearing, backBearing and reducedLength.
+     * @throws {Error} If Vincenty fails and Karney is not available
+     * @private
+     */
+    function _solve(solver, vincentyFn, karneyFn) {
+        const hasKarney = geodesic !== null;
+
+        if (solver === 'karney' && hasKarney) {
+            return Object.assign(karneyFn(), { solver: 'karney', fallback: false });
+        }
+
+        try {
+            return Object.assign(vincentyFn(), { solver: 'vincenty', fallback: false });
+        } catch (e) {
+            if (solver === 'vincenty' || !hasKarney) throw e;
+            return Object.assign(karneyFn(), { solver: 'karney', fallback: true });
+        }
+    }
+
     /**
      * Projects a destination point given a starting point, distance, and bearing.
-     * This implements Vincenty's "direct" geodesic problem.
+     * This solves the "direct" geodesic problem.
      * 
      * @param {number} lat1 - Latitude of start point in degrees (-90 to +90)
      * @param {number} lon1 - Longitude of start point in degrees (-180 to +180)
      * @param {number} distanceMeters - Distance to travel in meters
      * @param {number} bearingDegrees - Initial bearing in degrees (0-360, true north)
+     * @param {string} [solver='auto'] - 'auto', 'vincenty' or 'karney'
      * @returns {Object} Result object with properties:
      *   - lat: Latitude of destination in degrees
      *   - lon: Longitude of destination in degrees
-     * @throws {Error} If the formula fails to converge
+     *   - finalBearing: Forward azimuth at the destination in degrees (0-360)
+     *   - backBearing: Bearing from the destination back along the geodesic (0-360)
+     *   - solver: Solver used ('vincenty' or 'karney')
+     *   - fallback: True if Vincenty failed and Karney was used instead
+     * @throws {Error} If the formula fails to converge and no fallback is available
      * 
      * @example
      * // Project 100km east from London
      * const dest = Vincenty.calculateDestination(51.5, -0.1, 100000, 90);
      * console.log(dest.lat, dest.lon);
      */
-    function calculateDestination(lat1, lon1, distanceMeters, bearingDegrees) {
+    function calculateDestination(lat1, lon1, distanceMeters, bearingDegrees, solver = 'auto') {
+        return _solve(solver,
+            () => _vincentyDirect(lat1, lon1, distanceMeters, bearingDegrees),
+            () => geodesic.direct(lat1, lon1, distanceMeters, bearingDegrees));
+    }
+
+    /**
+     * Calculates the geodesic distance and bearings between two points.
+     * This solves the "inverse" geodesic problem.
+     * 
+     * @param {number} lat1 - Latitude of first point in degrees (-90 to +90)
+     * @param {number} lon1 - Longitude of first point in degrees (-180 to +180)
+     * @param {number} lat2 - Latitude of second point in degrees (-90 to +90)
+     * @param {number} lon2 - Longitude of second point in degrees (-180 to +180)
+     * @param {string} [solver='auto'] - 'auto', 'vincenty' or 'karney'
+     * @returns {Object} Result object with properties:
+     *   - distance: Geodesic distance in meters
+     *   - initialBearing: Initial bearing from point 1 to point 2 in degrees (0-360)
+     *   - finalBearing: Final (arrival) bearing at point 2 in degrees (0-360)
+     *   - backBearing: Reciprocal bearing from point 2 back to point 1 in degrees (0-360)
+     *   - midpoint: Geodesic midpoint { lat, lon } in degrees
+     *   - isCoincident: True if points are the same location
+     *   - solver: Solver used ('vincenty' or 'karney')
+     *   - fallback: True if Vincenty failed and Karney was used instead
+     * @throws {Error} If points are antipodal and no fallback is available
+     * 
+     * @example
+     * // Calculate distance from London to Paris
+     * const result = Vincenty.calculateDistance(51.5074, -0.1278, 48.8566, 2.3522);
+     * console.log(result.distance / 1000 + ' km'); // ~343 km
+     */
+    function calculateDistance(lat1, lon1, lat2, lon2, solver = 'auto') {
+        const res = _inverse(lat1, lon1, lat2, lon2, solver);
+
+        // Midpoint: half the distance along the geodesic, with the same solver
+        if (res.isCoincident) {
+            res.midpoint = { lat: lat1, lon: lon1 };
+        } else {
+            const mid = calculateDestination(lat1, lon1, res.distance / 2, res.initialBearing,
+                res.solver === 'karney' ? 'karney' : solver);
+            res.midpoint = { lat: mid.lat, lon: _wrapLon(mid.lon) };
+        }
+
+        return res;
+    }
+
+    /**
+     * Solves the inverse problem with the selected solver, without the
+     * midpoint added by calculateDistance.
+     * @param {number} lat1 - Latitude of first point in degrees
+     * @param {number} lon1 - Longitude of first point in degrees
+     * @param {number} lat2 - Latitude of second point in degrees
+     * @param {number} lon2 - Longitude of second point in degrees
+     * @param {string} solver - 'auto', 'vincenty' or 'karney'
+     * @returns {Object} Inverse result with solver and fallback properties
+     * @private
+     */
+    function _inverse(lat1, lon1, lat2, lon2, solver) {
+        return _solve(solver,
+            () => _vincentyInverse(lat1, lon1, lat2, lon2),
+            () => geodesic.inverse(lat1, lon1, lat2, lon2));
+    }
+
+    /**
+     * Generates points along the geodesic between two coordinates.
+     * 
+     * Intermediate points are projected from the start point along the
+     * initial bearing of the inverse solution, so they lie exactly on the
+     * geodesic. The returned list always includes both end points, and holds
+     * at most DENSIFY_MAX_POINTS (1000) points in either mode.
+     * 
+     * @param {number} lat1 - Latitude of start point in degrees (-90 to +90)
+     * @param {number} lon1 - Longitude of start point in degrees (-180 to +180)
+     * @param {number} lat2 - Latitude of end point in degrees (-90 to +90)
+     * @param {number} lon2 - Longitude of end point in degrees (-180 to +180)
+     * @param {Object} options - Densification mode, one of:
+     *   - count: Number of equally spaced intermediate points
+     *   - spacing: Distance between points in meters; the last leg is shorter
+     * @param {string} [solver='auto'] - 'auto', 'vincenty' or 'karney'
+     * @returns {Object} Result object with properties:
+     *   - points: Array of { lat, lon, distance } from start to end, where
+     *     distance is measured from the start point in meters
+     *   - distance: Total geodesic distance in meters
+     *   - initialBearing: Initial bearing in degrees (0-360)
+     * @throws {Error} If the options are invalid or more than DENSIFY_MAX_POINTS
+     *   points, end points included, would be returned
+     * 
+     * @example
+     * // Three intermediate points between London and Paris
+     * const route = Vincenty.densify(51.5074, -0.1278, 48.8566, 2.3522, { count: 3 });
+     * // route.points.length === 5
+     */
+    function densify(lat1, lon1, lat2, lon2, options, solver = 'auto') {
+        const opts = options || {};
+        const inv = calculateDistance(lat1, lon1, lat2, lon2, solver);
+        const pathSolver = inv.solver === 'karney' ? 'karney' : solver;
+
+        // Distances of the intermediate points from the start
+        const offsets = [];
+        if (opts.spacing !== undefined) {
+            if (typeof opts.spacing !== 'number' || !(opts.spacing > 0)) {
+                const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                    ? ERROR_MESSAGES.INVALID_WAYPOINT_SPACING
+                    : "Waypoint spacing must be a positive distance";
+                throw new Error(msg);
+            }
+            // Points at each spacing short of the end, plus both end points
+            if (Math.ceil(inv.distance / opts.spacing) + 1 > DENSIFY_MAX_POINTS) {
+                const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                    ? ERROR_MESSAGES.TOO_MANY_WAYPOINTS
+                    : "Too many waypoints";
+                throw new Error(msg);
+            }
+            for (let d = opts.spacing; d < inv.distance; d += opts.spacing) offsets.push(d);
+        } else {
+            const count = opts.count;
+            if (!Number.isInteger(count) || count < 1) {
+                const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                    ? ERROR_MESSAGES.INVALID_WAYPOINT_COUNT
+                    : "Number of intermediate points must be a whole number of at least 1";
+                throw new Error(msg);
+            }
+            if (count + 2 > DENSIFY_MAX_POINTS) {
+                const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                    ? ERROR_MESSAGES.TOO_MANY_WAYPOINTS
+                    : "Too many waypoints";
+                throw new Error(msg);
+            }
+            for (let i = 1; i <= count; i++) offsets.push(inv.distance * i / (count + 1));
+        }
+
+        const points = [{ lat: lat1, lon: lon1, distance: 0 }];
+        offsets.forEach(d => {
+            const p = calculateDestination(lat1, lon1, d, inv.initialBearing, pathSolver);
+            points.push({ lat: p.lat, lon: _wrapLon(p.lon), distance: d });
+        });
+        points.push({ lat: lat2, lon: lon2, distance: inv.distance });
+
+        return {
+            points: points,
+            distance: inv.distance,
+            initialBearing: inv.initialBearing
+        };
+    }
+
+    /**
+     * Finds the foot of the perpendicular geodesic from a point to the
+     * geodesic through a start point with a given initial bearing.
+     * 
+     * The foot is found by iterating along the geodesic: at each step the
+     * offset to the point is solved on the ellipsoid and the next along-track
+     * correction is taken from the spherical right triangle, which converges
+     * in a few steps.
+     * 
+     * @param {number} lat1 - Latitude of the start point in degrees
+     * @param {number} lon1 - Longitude of the start point in degrees
+     * @param {number} bearing - Initial bearing of the geodesic in degrees
+     * @param {number} lat3 - Latitude of the point in degrees
+     * @param {number} lon3 - Longitude of the point in degrees
+     * @param {string} solver - 'auto', 'vincenty' or 'karney'
+     * @returns {Object} { crossTrack, alongTrack, foot, fallback } where foot
+     *   is { lat, lon, finalBearing } and finalBearing is the geodesic azimuth there
+     * @throws {Error} If the iteration fails to converge
+     * @private
+     */
+    function _perpendicular(lat1, lon1, bearing, lat3, lon3, solver) {
+        let fallback = false;
+        let along = 0;
+        let foot = { lat: lat1, lon: lon1, finalBearing: bearing };
+
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const toPoint = _inverse(foot.lat, foot.lon, lat3, lon3, solver);
+            fallback = fallback || toPoint.fallback;
+
+            // Angle between the track and the direction to the point
+            const angle = toRad(toPoint.initialBearing - foot.finalBearing);
+            const sigma = toPoint.distance / R;
+            const step = R * Math.atan2(Math.cos(angle) * Math.sin(sigma), Math.cos(sigma));
+
+            if (Math.abs(step) < TOLERANCE_M) {
+                return {
+                    crossTrack: Math.sin(angle) < 0 ? -toPoint.distance : toPoint.distance,
+                    alongTrack: along,
+                    foot: foot,
+                    fallback: fallback
+                };
+            }
+
+            // Project from the start so the foot stays exactly on the geodesic
+            along += step;
+            foot = calculateDestination(lat1, lon1, along, bearing, solver);
+            fallback = fallback || foot.fallback;
+        }
+
+        _throwConvergence();
+    }
+
+    /**
+     * Computes the cross-track and along-track distances of a point relative
+     * to a route leg.
+     * 
+     * @param {number} lat1 - Latitude of leg start in degrees (-90 to +90)
+     * @param {number} lon1 - Longitude of leg start in degrees (-180 to +180)
+     * @param {number} lat2 - Latitude of leg end in degrees (-90 to +90)
+     * @param {number} lon2 - Longitude of leg end in degrees (-180 to +180)
+     * @param {number} lat3 - Latitude of the point in degrees (-90 to +90)
+     * @param {number} lon3 - Longitude of the point in degrees (-180 to +180)
+     * @param {string} [solver='auto'] - 'auto', 'vincenty' or 'karney'
+     * @returns {Object} Result object with properties:
+     *   - crossTrack: Distance from the leg in meters, positive right of track
+     *   - alongTrack: Distance from the leg start to the abeam point in meters,
+     *     negative before the start
+     *   - legDistance: Length of the leg in meters
+     *   - isAbeam: True if the abeam point lies between the leg end points
+     *   - abeamPoint: { lat, lon } of the foot of the perpendicular
+     *   - solver: Solver used ('vincenty' or 'karney')
+     *   - fallback: True if Vincenty failed and Karney was used instead
+     * @throws {Error} If the leg end points coincide or the iteration fails to converge
+     * 
+     * @example
+     * // Radar plot 5 NM right of a northbound leg
+     * const xt = Vincenty.crossTrack(50, 0, 51, 0, 50.5, 0.13);
+     * console.log(xt.crossTrack / 1852, xt.alongTrack / 1852, xt.isAbeam);
+     */
+    function crossTrack(lat1, lon1, lat2, lon2, lat3, lon3, solver = 'auto') {
+        const leg = _inverse(lat1, lon1, lat2, lon2, solver);
+        if (leg.isCoincident) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.COINCIDENT_LEG
+                : "Route leg start and end points must differ";
+            throw new Error(msg);
+        }
+
+        const pathSolver = leg.solver === 'karney' ? 'karney' : solver;
+        const res = _perpendicular(lat1, lon1, leg.initialBearing, lat3, lon3, pathSolver);
+
+        return {
+            crossTrack: res.crossTrack,
+            alongTrack: res.alongTrack,
+            legDistance: leg.distance,
+            isAbeam: res.alongTrack >= 0 && res.alongTrack <= leg.distance,
+            abeamPoint: { lat: res.foot.lat, lon: _wrapLon(res.foot.lon) },
+            solver: pathSolver === 'karney' ? 'karney' : 'vincenty',
+            fallback: leg.fallback || res.fallback
+        };
+    }
+
+    /**
+     * Intersects two geodesics, each defined by a point and a bearing
+     * (e.g. two VOR radials).
+     * 
+     * Both crossings of the full geodesics are returned, nearest first. The
+     * distances are signed: a negative distance means the crossing lies on
+     * the reciprocal of that bearing. Each returned point is checked to lie
+     * on both geodesics at the given distances; a far crossing that cannot
+     * be solved to that accuracy is left out and flagged.
+     * 
+     * @param {number} lat1 - Latitude of the first point in degrees (-90 to +90)
+     * @param {number} lon1 - Longitude of the first point in degrees (-180 to +180)
+     * @param {number} bearing1 - Bearing from the first point in degrees (true north)
+     * @param {number} lat2 - Latitude of the second point in degrees (-90 to +90)
+     * @param {number} lon2 - Longitude of the second point in degrees (-180 to +180)
+     * @param {number} bearing2 - Bearing from the second point in degrees (true north)
+     * @param {string} [solver='auto'] - 'auto', 'vincenty' or 'karney'
+     * @returns {Object} Result object with properties:
+     *   - solutions: Array of { lat, lon, distance1, distance2 }, distances in meters
+     *   - farDropped: True if the far crossing could not be solved and is missing
+     *   - solver: Solver used ('vincenty' or 'karney')
+     *   - fallback: True if Vincenty failed and Karney was used instead
+     * @throws {Error} If both bearings lie on the same geodesic or the near
+     *   crossing fails to converge
+     * 
+     * @example
+     * // Fix on two radials
+     * const fix = Vincenty.intersectBearings(51.0, 0.0, 45, 51.0, 1.0, 315);
+     * console.log(fix.solutions[0].lat, fix.solutions[0].lon);
+     */
+    function intersectBearings(lat1, lon1, bearing1, lat2, lon2, bearing2, solver = 'auto') {
+        const p1 = _toVector(lat1, lon1), p2 = _toVector(lat2, lon2);
+        const d1 = _direction(lat1, lon1, bearing1), d2 = _direction(lat2, lon2, bearing2);
+        const x = _cross(_cross(p1, d1), _cross(p2, d2));
+        const len = Math.sqrt(_dot(x, x));
+
+        if (len < 1e-12) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INTERSECTION_COLLINEAR
+                : "Both bearings lie on the same geodesic";
+            throw new Error(msg);
+        }
+
+        // Spherical estimates of both crossings, nearest first
+        const estimates = [1, -1].map(sign => {
+            const xs = x.map(v => sign * v / len);
+            return {
+                xs: xs,
+                s1: R * Math.atan2(_dot(xs, d1), _dot(xs, p1)),
+                s2: R * Math.atan2(_dot(xs, d2), _dot(xs, p2))
+            };
+        }).sort((p, q) => (Math.abs(p.s1) + Math.abs(p.s2)) - (Math.abs(q.s1) + Math.abs(q.s2)));
+
+        const state = { solver: solver, fallback: false };
+        const line1 = { lat: lat1, lon: lon1, bearing: bearing1 };
+        const line2 = { lat: lat2, lon: lon2, bearing: bearing2 };
+
+        // The near crossing is solved on its own so that a failed far crossing cannot hide it
+        const near = _bearingCrossing(line1, line2, estimates[0], state);
+        if (!_onBearings(line1, line2, near, state)) _throwConvergence();
+
+        // Near the antipode of both points the far crossing is poorly conditioned:
+        // it is dropped rather than returned at the wrong place
+        let far = null;
+        try {
+            far = _bearingCrossing(line1, line2, estimates[1], state);
+            if (!_onBearings(line1, line2, far, state)) far = null;
+        } catch (e) {
+            far = null;
+        }
+
+        const res = _withSolver(far ? [near, far] : [near], state);
+        res.farDropped = far === null;
+        return res;
+    }
+
+    /**
+     * Intersects a geodesic defined by a point and a bearing with a circle of
+     * given geodesic radius (e.g. a VOR radial and a DME arc).
+     * 
+     * Returns zero, one or two crossings of the full geodesic, ordered along
+     * the bearing. A negative distance1 means the crossing lies on the
+     * reciprocal bearing. Each crossing is bracketed between the point abeam
+     * the centre and the far side of the geodesic; a crossing near the
+     * antipode of the abeam point that cannot be bracketed is left out and
+     * flagged.
+     * 
+     * @param {number} lat1 - Latitude of the bearing origin in degrees (-90 to +90)
+     * @param {number} lon1 - Longitude of the bearing origin in degrees (-180 to +180)
+     * @param {number} bearing1 - Bearing from the origin in degrees (true north)
+     * @param {number} lat2 - Latitude of the circle centre in degrees (-90 to +90)
+     * @param {number} lon2 - Longitude of the circle centre in degrees (-180 to +180)
+     * @param {number} distance2 - Circle radius in meters
+     * @param {string} [solver='auto'] - 'auto', 'vincenty' or 'karney'
+     * @returns {Object} Result object with properties:
+     *   - solutions: Array of { lat, lon, distance1, bearing2 } where distance1
+     *     is measured along the bearing in meters and bearing2 is the bearing
+     *     from the circle centre in degrees (0-360)
+     *   - farDropped: True if a crossing near the antipode could not be solved and is missing
+     *   - solver: Solver used ('vincenty' or 'karney')
+     *   - fallback: True if Vincenty failed and Karney was used instead
+     * @throws {Error} If the radius is not above zero or the iteration fails to converge
+     * 
+     * @example
+     * // Where does the 090 radial cross the 20 NM arc of another DME?
+     * const fix = Vincenty.intersectBearingDistance(51.0, 0.0, 90, 51.2, 0.5, 20 * 1852);
+     */
+    function intersectBearingDistance(lat1, lon1, bearing1, lat2, lon2, distance2, solver = 'auto') {
+        _checkRadii([distance2]);
+
+        const state = { solver: solver, fallback: false };
+        const abeam = _track(state, () => _perpendicular(lat1, lon1, bearing1, lat2, lon2, state.solver));
+        const offset = Math.abs(abeam.crossTrack);
+
+        if (offset > distance2 + TOLERANCE_M) return _withSolver([], state);
+
+        const line = { lat: lat1, lon: lon1, bearing: bearing1 };
+        const centre = { lat: lat2, lon: lon2, distance: distance2 };
+        const nearest = _fromCentre(line, centre, abeam.alongTrack, state);
+
+        // The geodesic touches the circle
+        if (Math.abs(nearest.err) < TOLERANCE_M) {
+            const res = _withSolver([nearest.solution], state);
+            res.farDropped = false;
+            return res;
+        }
+
+        // Spherical half chord from the abeam point; beyond -1 the circle covers the whole geodesic
+        const ratio = Math.cos(distance2 / R) / Math.cos(offset / R);
+        const half = R * Math.acos(Math.max(-1, Math.min(1, ratio)));
+
+        // On each side the distance from the centre grows from the abeam point
+        // to the far side of the geodesic, half a circumference away. Twice
+        // the half chord is tried first to keep the bracket short.
+        const reaches = [Math.min(2 * half, R * Math.PI), R * Math.PI];
+        const solutions = [];
+        let dropped = false;
+        [-1, 1].forEach(side => {
+            let end, far;
+            for (const reach of reaches) {
+                end = abeam.alongTrack + side * reach;
+                far = _fromCentre(line, centre, end, state);
+                if (far.err > -TOLERANCE_M) break;
+            }
+
+            if (Math.abs(far.err) < TOLERANCE_M) {
+                solutions.push(far.solution);
+            } else if (far.err > 0) {
+                solutions.push(_circleCrossing(line, centre, abeam.alongTrack, end, abeam.alongTrack + side * half, state));
+            } else if (ratio >= -1) {
+                // The crossing lies too close to the antipode of the abeam point to be bracketed
+                dropped = true;
+            }
+        });
+
+        const res = _withSolver(solutions, state);
+        res.farDropped = dropped;
+        return res;
+    }
+
+    /**
+     * Intersects two circles of given geodesic radius (e.g. two DME arcs).
+     * 
+     * Returns zero, one or two crossings, the first one lying to the left of
+     * the geodesic from the first centre to the second.
+     * 
+     * @param {number} lat1 - Latitude of the first centre in degrees (-90 to +90)
+     * @param {number} lon1 - Longitude of the first centre in degrees (-180 to +180)
+     * @param {number} distance1 - Radius around the first centre in meters
+     * @param {number} lat2 - Latitude of the second centre in degrees (-90 to +90)
+     * @param {number} lon2 - Longitude of the second centre in degrees (-180 to +180)
+     * @param {number} distance2 - Radius around the second centre in meters
+     * @param {string} [solver='auto'] - 'auto', 'vincenty' or 'karney'
+     * @returns {Object} Result object with properties:
+     *   - solutions: Array of { lat, lon, bearing1, bearing2 } where the
+     *     bearings are measured from each centre in degrees (0-360)
+     *   - solver: Solver used ('vincenty' or 'karney')
+     *   - fallback: True if Vincenty failed and Karney was used instead
+     * @throws {Error} If a radius is not above zero, the two centres coincide
+     *   or the iteration fails to converge
+     * 
+     * @example
+     * // DME/DME fix
+     * const fix = Vincenty.intersectDistances(51.0, 0.0, 30 * 1852, 51.5, 1.0, 25 * 1852);
+     */
+    function intersectDistances(lat1, lon1, distance1, lat2, lon2, distance2, solver = 'auto') {
+        _checkRadii([distance1, distance2]);
+
+        const state = { solver: solver, fallback: false };
+        const base = _track(state, () => _inverse(lat1, lon1, lat2, lon2, state.solver));
+
+        if (base.isCoincident) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INTERSECTION_COINCIDENT
+                : "Circle centres must be different points";
+            throw new Error(msg);
+        }
+
+        // Spherical triangle: angle at the first centre between the baseline and the crossing
+        const r1 = distance1 / R, r2 = distance2 / R, d = base.distance / R;
+        const cosAlpha = (Math.cos(r2) - Math.cos(r1) * Math.cos(d)) / (Math.sin(r1) * Math.sin(d));
+        if (!(Math.abs(cosAlpha) <= 1 + 1e-9)) return _withSolver([], state);
+
+        const alpha = toDeg(Math.acos(Math.max(-1, Math.min(1, cosAlpha))));
+        const starts = alpha < 1e-9 ? [base.initialBearing]
+            : [base.initialBearing - alpha, base.initialBearing + alpha];
+
+        const solutions = starts.map(start => {
+            let theta = start;
+            for (let i = 0; i < MAX_ITERATIONS; i++) {
+                const pt = _track(state, () => calculateDestination(lat1, lon1, distance1, theta, state.solver));
+                const fromSecond = _track(state, () => _inverse(lat2, lon2, pt.lat, pt.lon, state.solver));
+                const err = fromSecond.distance - distance2;
+
+                // Turning the bearing moves the point across the first circle
+                const slope = R * Math.sin(r1) * Math.sin(toRad(fromSecond.finalBearing - pt.finalBearing));
+
+                if (Math.abs(err) < TOLERANCE_M) {
+                    return {
+                        lat: pt.lat,
+                        lon: _wrapLon(pt.lon),
+                        bearing1: (theta % 360 + 360) % 360,
+                        bearing2: fromSecond.initialBearing
+                    };
+                }
+                // The circles run side by side here: no turn can reduce the error
+                if (Math.abs(slope) < 1e-9) break;
+                theta -= toDeg(err / slope);
+            }
+
+            _throwConvergence();
+        });
+
+        return _withSolver(solutions, state);
+    }
+
+    /**
+     * Computes the perimeter and area of a polygon whose edges are geodesics.
+     * 
+     * The area is the sum of Karney's exact area terms between each edge and
+     * the equator, corrected for polygons that encircle a pole. Vincenty's
+     * formulae have no area integral, so Karney.js is always used here.
+     * Longitudes may be given in any range; edges crossing the antimeridian
+     * are followed the short way round.
+     * 
+     * @param {Array<Object>} points - Vertices as { lat, lon } in degrees, in
+     *   order; a closing vertex equal to the first one is ignored
+     * @returns {Object} Result object with properties:
+     *   - area: Enclosed area in m²
+     *   - perimeter: Perimeter in meters
+     *   - vertices: Number of distinct vertices used
+     *   - isClockwise: True if the vertices are listed clockwise
+     * @throws {Error} If fewer than 3 vertices are given or Karney.js is not loaded
+     * 
+     * @example
+     * // One-degree square at the equator
+     * const poly = Vincenty.polygonArea([
+     *     { lat: 0, lon: 0 }, { lat: 0, lon: 1 }, { lat: 1, lon: 1 }, { lat: 1, lon: 0 }
+     * ]);
+     * console.log(poly.area / 1e6 + ' km²'); // ~12308 km²
+     */
+    function polygonArea(points) {
+        const pts = Array.isArray(points) ? points.slice() : [];
+        if (pts.length > 1) {
+            const first = pts[0], last = pts[pts.length - 1];
+            if (first.lat === last.lat && first.lon === last.lon) pts.pop();
+        }
+
+        if (pts.length < 3) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.POLYGON_TOO_FEW
+                : "A polygon needs at least 3 vertices";
+            throw new Error(msg);
+        }
+        if (!geodesic) {
+            throw new Error("Polygon area requires Karney.js");
+        }
+
+        const area0 = 4 * Math.PI * geodesic.AUTHALIC_RADIUS_SQ;
+        let sum = 0, perimeter = 0, crossings = 0;
+
+        pts.forEach((p1, i) => {
+            const p2 = pts[(i + 1) % pts.length];
+            const edge = geodesic.inverse(p1.lat, p1.lon, p2.lat, p2.lon);
+            sum += edge.area;
+            perimeter += edge.distance;
+            crossings += _transit(p1.lon, p2.lon);
+        });
+
+        // Reduce to (-area0/2, area0/2], counter-clockwise positive
+        let area = sum % area0;
+        if (area < -area0 / 2) area += area0;
+        else if (area >= area0 / 2) area -= area0;
+        // An odd number of prime meridian crossings means a pole is enclosed
+        if (crossings & 1) area += (area < 0 ? 1 : -1) * area0 / 2;
+        area = -area;
+        if (area > area0 / 2) area -= area0;
+        else if (area <= -area0 / 2) area += area0;
+
+        return {
+            area: Math.abs(area),
+            perimeter: perimeter,
+            vertices: pts.length,
+            isClockwise: area < 0
+        };
+    }
+
+    /**
+     * Calculates the rhumb line (loxodrome) distance and constant track
+     * between two points. The shorter way round in longitude is used.
+     * 
+     * The track follows from the isometric latitude difference Δψ and the
+     * longitude difference Δλ (tan α = Δλ / Δψ), and the distance from the
+     * meridian arc length difference Δm (s = Δm / cos α). A line along a
+     * parallel uses the parallel radius instead.
+     * 
+     * @param {number} lat1 - Latitude of first point in degrees (-90 to +90)
+     * @param {number} lon1 - Longitude of first point in degrees
+     * @param {number} lat2 - Latitude of second point in degrees (-90 to +90)
+     * @param {number} lon2 - Longitude of second point in degrees
+     * @returns {Object} Result object with properties:
+     *   - distance: Rhumb line distance in meters
+     *   - bearing: Constant true track in degrees (0-360)
+     *   - backBearing: Reciprocal track from point 2 in degrees (0-360)
+     * 
+     * @example
+     * // JFK to Heathrow along a constant track
+     * const rhumb = Vincenty.rhumbDistance(40.6, -73.8, 51.6, -0.5);
+     * console.log(rhumb.distance, rhumb.bearing); // ≈ 5771083 m, 077.77°
+     */
+    function rhumbDistance(lat1, lon1, lat2, lon2) {
+        const phi1 = toRad(lat1), phi2 = toRad(lat2);
+        const dLambda = toRad(_wrapLon(lon2 - lon1));
+        const dm = _meridianArc(phi2) - _meridianArc(phi1);
+
+        let distance, bearing;
+        if (Math.abs(lat1) === 90 || Math.abs(lat2) === 90) {
+            // A rhumb line to or from a pole is a meridian
+            distance = Math.abs(dm);
+            bearing = dm < 0 ? 180 : 0;
+        } else {
+            const ratio = _arcPerIsometric(phi1, phi2);
+            const dPsi = Math.abs(phi2 - phi1) < RHUMB_PARALLEL_RAD
+                ? (phi2 - phi1) * _isometricRate((phi1 + phi2) / 2)
+                : _isometric(phi2) - _isometric(phi1);
+            distance = ratio * Math.hypot(dPsi, dLambda);
+            bearing = (toDeg(Math.atan2(dLambda, dPsi)) + 360) % 360;
+        }
+
+        return {
+            distance: distance,
+            bearing: bearing,
+            backBearing: (bearing + 180) % 360
+        };
+    }
+
+    /**
+     * Projects a destination point along a rhumb line (constant track).
+     * 
+     * @param {number} lat1 - Latitude of start point in degrees (-90 to +90)
+     * @param {number} lon1 - Longitude of start point in degrees
+     * @param {number} distanceMeters - Distance to travel in meters
+     * @param {number} bearingDegrees - Constant true track in degrees
+     * @returns {Object} Result object with properties:
+     *   - lat: Latitude of destination in degrees
+     *   - lon: Longitude of destination in degrees (-180 to +180)
+     *   - bearing: Constant true track in degrees (0-360)
+     * @throws {Error} If the rhumb line would go past a pole
+     * 
+     * @example
+     * const dest = Vincenty.rhumbDestination(40.6, -73.8, 5.5e6, 51);
+     * console.log(dest.lat, dest.lon); // ≈ 71.689, 0.256
+     */
+    function rhumbDestination(lat1, lon1, distanceMeters, bearingDegrees) {
+        const alpha = toRad(bearingDegrees);
+        const phi1 = toRad(lat1);
+        const m2 = _meridianArc(phi1) + distanceMeters * Math.cos(alpha);
+        const quarter = _meridianArc(Math.PI / 2);
+
+        if (Math.abs(m2) > quarter * (1 + 1e-15)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.RHUMB_PAST_POLE
+                : "Rhumb line would go past a pole";
+            throw new Error(msg);
+        }
+
+        const phi2 = _fromMeridianArc(Math.max(-quarter, Math.min(quarter, m2)));
+        const dLambda = distanceMeters * Math.sin(alpha) / _arcPerIsometric(phi1, phi2);
+
+        return {
+            lat: toDeg(phi2),
+            lon: _wrapLon(lon1 + toDeg(dLambda)),
+            bearing: ((bearingDegrees % 360) + 360) % 360
+        };
+    }
+
+    /**
+     * Returns 1 or -1 if an edge crosses the prime meridian eastwards or
+     * westwards, otherwise 0 (as in GeographicLib's PolygonArea).
+     * @param {number} lon1 - Longitude of the edge start in degrees
+     * @param {number} lon2 - Longitude of the edge end in degrees
+     * @returns {number} 1, -1 or 0
+     * @private
+     */
+    function _transit(lon1, lon2) {
+        const norm = x => {
+            const y = ((x % 360) + 360) % 360;
+            return y > 180 ? y - 360 : y;
+        };
+        const lon12 = norm(lon2 - lon1);
+        lon1 = norm(lon1);
+        lon2 = norm(lon2);
+        if (lon12 > 0 && ((lon1 < 0 && lon2 >= 0) || (lon1 > 0 && lon2 === 0))) return 1;
+        return (lon12 < 0 && lon1 >= 0 && lon2 < 0) ? -1 : 0;
+    }
+
+    /**
+     * Meridian arc length from the equator (Helmert's series in n).
+     * @param {number} phi - Latitude in radians
+     * @returns {number} Arc length in meters
+     * @private
+     */
+    function _meridianArc(phi) {
+        const n2 = n * n, n3 = n2 * n, n4 = n3 * n;
+        return a / (1 + n) * ((1 + n2 / 4 + n4 / 64) * phi
+            - (3 / 2 * n - 3 / 16 * n3) * Math.sin(2 * phi)
+            + (15 / 16 * n2 - 15 / 64 * n4) * Math.sin(4 * phi)
+            - (35 / 48 * n3) * Math.sin(6 * phi)
+            + (315 / 512 * n4) * Math.sin(8 * phi));
+    }
+
+    /**
+     * Latitude of a meridian arc length (inverse of _meridianArc, through the
+     * rectifying latitude).
+     * @param {number} m - Arc length from the equator in meters
+     * @returns {number} Latitude in radians
+     * @private
+     */
+    function _fromMeridianArc(m) {
+        const n2 = n * n, n3 = n2 * n, n4 = n3 * n;
+        const mu = m / (a / (1 + n) * (1 + n2 / 4 + n4 / 64));
+        return mu
+            + (3 / 2 * n - 27 / 32 * n3) * Math.sin(2 * mu)
+            + (21 / 16 * n2 - 55 / 32 * n4) * Math.sin(4 * mu)
+            + (151 / 96 * n3) * Math.sin(6 * mu)
+            + (1097 / 512 * n4) * Math.sin(8 * mu);
+    }
+
+    /**
+     * Isometric latitude ψ, the Mercator ordinate on the unit sphere.
+     * @param {number} phi - Latitude in radians
+     * @returns {number} Isometric latitude
+     * @private
+     */
+    function _isometric(phi) {
+        const sinPhi = Math.sin(phi);
+        return Math.atanh(sinPhi) - e * Math.atanh(e * sinPhi);
+    }
+
+    /**
+     * Rate of change dψ/dφ of the isometric latitude (meridian radius
+     * over parallel radius).
+     * @param {number} phi - Latitude in radians
+     * @returns {number} dψ/dφ
+     * @private
+     */
+    function _isometricRate(phi) {
+        const sinPhi = Math.sin(phi);
+        return (1 - e * e) / ((1 - e * e * sinPhi * sinPhi) * Math.cos(phi));
+    }
+
+    /**
+     * Meridian arc per unit of isometric latitude between two latitudes,
+     * Δm / Δψ. Along a parallel this is the parallel radius N·cos φ.
+     * @param {number} phi1 - First latitude in radians
+     * @param {number} phi2 - Second latitude in radians
+     * @returns {number} Δm / Δψ in meters
+     * @private
+     */
+    function _arcPerIsometric(phi1, phi2) {
+        if (Math.abs(phi2 - phi1) < RHUMB_PARALLEL_RAD) {
+            const phi = (phi1 + phi2) / 2;
+            const sinPhi = Math.sin(phi);
+            return a * Math.cos(phi) / Math.sqrt(1 - e * e * sinPhi * sinPhi);
+        }
+        return (_meridianArc(phi2) - _meridianArc(phi1)) / (_isometric(phi2) - _isometric(phi1));
+    }
+
+    /**
+     * Runs a geodesic step for an iterative solver, switching the remaining
+     * steps to Karney once Vincenty has fallen back.
+     * @param {Object} state - { solver, fallback } shared by the iteration
+     * @param {Function} fn - Step to run with state.solver
+     * @returns {Object} The step result
+     * @private
+     */
+    function _track(state, fn) {
+        const res = fn();
+        if (res.fallback) {
+            state.fallback = true;
+            state.solver = 'karney';
+        }
+        return res;
+    }
+
+    /**
+     * Wraps intersection solutions with the solver information.
+     * @param {Array<Object>} solutions - Solutions found
+     * @param {Object} state - { solver, fallback } of the iteration
+     * @returns {Object} { solutions, solver, fallback }
+     * @private
+     */
+    function _withSolver(solutions, state) {
+        return {
+            solutions: solutions,
+            solver: state.solver === 'karney' ? 'karney' : 'vincenty',
+            fallback: state.fallback
+        };
+    }
+
+    /**
+     * Throws the convergence failure error.
+     * @throws {Error} Always
+     * @private
+     */
+    function _throwConvergence() {
+        const msg = (typeof ERROR_MESSAGES !== 'undefined')
+            ? ERROR_MESSAGES.CONVERGENCE_FAILED
+            : "Formula failed to converge";
+        throw new Error(msg);
+    }
+
+    /**
+     * Checks that circle radii are positive distances.
+     * @param {number[]} radii - Radii in meters
+     * @throws {Error} If a radius is not a number above zero
+     * @private
+     */
+    function _checkRadii(radii) {
+        if (radii.some(r => typeof r !== 'number' || !(r > 0))) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_FIX_RANGE
+                : "Ranges must be greater than zero";
+            throw new Error(msg);
+        }
+    }
+
+    /**
+     * Moves the start of a geodesic to at most a quarter circle before a
+     * point on it, where offsets from the geodesic are well conditioned.
+     * @param {Object} line - { lat, lon, bearing } of the geodesic start
+     * @param {number} s - Estimated distance of the point from the start in meters
+     * @param {Object} state - { solver, fallback } shared by the solution
+     * @returns {Object} { lat, lon, bearing, shift } where shift is the
+     *   distance of the new start from the original one in meters
+     * @private
+     */
+    function _quarterBefore(line, s, state) {
+        const quarter = R * Math.PI / 2;
+        if (Math.abs(s) <= quarter) return { lat: line.lat, lon: line.lon, bearing: line.bearing, shift: 0 };
+
+        const shift = s - Math.sign(s) * quarter;
+        const start = _track(state, () => calculateDestination(line.lat, line.lon, shift, line.bearing, state.solver));
+        return { lat: start.lat, lon: start.lon, bearing: start.finalBearing, shift: shift };
+    }
+
+    /**
+     * Solves one crossing of two geodesics given by a point and a bearing,
+     * by Newton's method on the distance along the first geodesic.
+     * @param {Object} line1 - { lat, lon, bearing } of the first geodesic
+     * @param {Object} line2 - { lat, lon, bearing } of the second geodesic
+     * @param {Object} estimate - Spherical estimate { xs, s1, s2 } of the crossing
+     * @param {Object} state - { solver, fallback } shared by the solution
+     * @returns {Object} { lat, lon, distance1, distance2 }
+     * @throws {Error} If the iteration fails to converge
+     * @private
+     */
+    function _bearingCrossing(line1, line2, estimate, state) {
+        // Two meridians meet exactly at the pole, where the azimuth is undefined
+        if (Math.abs(estimate.xs[2]) > 1 - 1e-12) {
+            const pole = estimate.xs[2] > 0 ? 90 : -90;
+            const s1 = _track(state, () => _inverse(line1.lat, line1.lon, pole, 0, state.solver)).distance;
+            const s2 = _track(state, () => _inverse(line2.lat, line2.lon, pole, 0, state.solver)).distance;
+            return {
+                lat: pole,
+                lon: 0,
+                distance1: Math.cos(toRad(line1.bearing)) * pole > 0 ? s1 : -s1,
+                distance2: Math.cos(toRad(line2.bearing)) * pole > 0 ? s2 : -s2
+            };
+        }
+
+        const ref1 = _quarterBefore(line1, estimate.s1, state);
+        const ref2 = _quarterBefore(line2, estimate.s2, state);
+        // Damp the steps of shallow crossings so that they cannot jump to the other crossing
+        const maxStep = R / 4;
+
+        let s = estimate.s1 - ref1.shift;
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const pt = _track(state, () => calculateDestination(ref1.lat, ref1.lon, s, ref1.bearing, state.solver));
+            const off = _track(state, () => _perpendicular(ref2.lat, ref2.lon, ref2.bearing, pt.lat, pt.lon, state.solver));
+
+            if (Math.abs(off.crossTrack) < TOLERANCE_M) {
+                return {
+                    lat: pt.lat,
+                    lon: _wrapLon(pt.lon),
+                    distance1: ref1.shift + s,
+                    distance2: ref2.shift + off.alongTrack
+                };
+            }
+
+            // Moving along the first geodesic changes the offset by sin(crossing angle)
+            const gamma = toRad(pt.finalBearing - off.foot.finalBearing);
+            const step = off.crossTrack / Math.sin(gamma);
+            s -= Math.max(-maxStep, Math.min(maxStep, step));
+        }
+
+        _throwConvergence();
+    }
+
+    /**
+     * Measures how far a point along a geodesic lies from a circle.
+     * @param {Object} line - { lat, lon, bearing } of the geodesic start
+     * @param {Object} centre - { lat, lon, distance } of the circle
+     * @param {number} s - Distance along the geodesic in meters
+     * @param {Object} state - { solver, fallback } shared by the solution
+     * @returns {Object} { err, slope, solution } where err is the distance
+     *   from the centre less the radius, slope its rate of change along the
+     *   geodesic and solution the point as { lat, lon, distance1, bearing2 }
+     * @private
+     */
+    function _fromCentre(line, centre, s, state) {
+        const pt = _track(state, () => calculateDestination(line.lat, line.lon, s, line.bearing, state.solver));
+        const back = _track(state, () => _inverse(centre.lat, centre.lon, pt.lat, pt.lon, state.solver));
+        return {
+            err: back.distance - centre.distance,
+            slope: Math.cos(toRad(pt.finalBearing - back.finalBearing)),
+            solution: {
+                lat: pt.lat,
+                lon: _wrapLon(pt.lon),
+                distance1: s,
+                bearing2: back.initialBearing
+            }
+        };
+    }
+
+    /**
+     * Solves the crossing of a geodesic and a circle bracketed between a
+     * point inside the circle and a point outside it, by Newton's method
+     * falling back to bisection when a step leaves the bracket.
+     * @param {Object} line - { lat, lon, bearing } of the geodesic start
+     * @param {Object} centre - { lat, lon, distance } of the circle
+     * @param {number} inside - Distance along the geodesic of a point inside the circle
+     * @param {number} outside - Distance along the geodesic of a point outside the circle
+     * @param {number} estimate - Starting distance along the geodesic
+     * @param {Object} state - { solver, fallback } shared by the solution
+     * @returns {Object} { lat, lon, distance1, bearing2 }
+     * @throws {Error} If the iteration fails to converge
+     * @private
+     */
+    function _circleCrossing(line, centre, inside, outside, estimate, state) {
+        const within = s => (s - inside) * (s - outside) < 0;
+        let s = within(estimate) ? estimate : (inside + outside) / 2;
+
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const here = _fromCentre(line, centre, s, state);
+            if (Math.abs(here.err) < TOLERANCE_M) return here.solution;
+
+            if (here.err < 0) inside = s;
+            else outside = s;
+
+            const next = s - here.err / here.slope;
+            s = within(next) ? next : (inside + outside) / 2;
+        }
+
+        _throwConvergence();
+    }
+
+    /**
+     * Checks that a crossing lies on both geodesics at its distances.
+     * @param {Object} line1 - { lat, lon, bearing } of the first geodesic
+     * @param {Object} line2 - { lat, lon, bearing } of the second geodesic
+     * @param {Object} sol - Crossing { lat, lon, distance1, distance2 }
+     * @param {Object} state - { solver, fallback } shared by the solution
+     * @returns {boolean} True if both projections land within 1 cm of the crossing
+     * @private
+     */
+    function _onBearings(line1, line2, sol, state) {
+        return [[line1, sol.distance1], [line2, sol.distance2]].every(([line, s]) => {
+            const pt = _track(state, () => calculateDestination(line.lat, line.lon, s, line.bearing, state.solver));
+            const gap = _track(state, () => _inverse(pt.lat, pt.lon, sol.lat, sol.lon, state.solver));
+            return gap.distance < 0.01;
+        });
+    }
+
+    /**
+     * Unit vector of a point on the sphere, used for starting estimates.
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @returns {Array<number>} [x, y, z]
+     * @private
+     */
+    function _toVector(lat, lon) {
+        const phi = toRad(lat), lambda = toRad(lon);
+        return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+    }
+
+    /**
+     * Unit vector of a bearing at a point on the sphere.
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @param {number} bearing - Bearing in degrees (true north)
+     * @returns {Array<number>} [x, y, z] tangent to the sphere
+     * @private
+     */
+    function _direction(lat, lon, bearing) {
+        const phi = toRad(lat), lambda = toRad(lon), theta = toRad(bearing);
+        const north = [-Math.sin(phi) * Math.cos(lambda), -Math.sin(phi) * Math.sin(lambda), Math.cos(phi)];
+        const east = [-Math.sin(lambda), Math.cos(lambda), 0];
+        return north.map((n, i) => n * Math.cos(theta) + east[i] * Math.sin(theta));
+    }
+
+    /** @private */
+    const _dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+
+    /** @private */
+    const _cross = (u, v) => [
+        u[1] * v[2] - u[2] * v[1],
+        u[2] * v[0] - u[0] * v[2],
+        u[0] * v[1] - u[1] * v[0]
+    ];
+
+    /**
+     * Vincenty's "direct" geodesic problem.
+     * @param {number} lat1 - Latitude of start point in degrees
+     * @param {number} lon1 - Longitude of start point in degrees
+     * @param {number} distanceMeters - Distance to travel in meters
+     * @param {number} bearingDegrees - Initial bearing in degrees
+     * @returns {Object} { lat, lon, finalBearing, backBearing } in degrees
+     * @throws {Error} If the formula fails to converge
+     * @private
+     */
+    function _vincentyDirect(lat1, lon1, distanceMeters, bearingDegrees) {
         // === Step 1: Convert inputs to radians ===
         const phi1 = toRad(lat1);
         const L1 = toRad(lon1);
@@ -145,32 +1218,28 @@ const Vincenty = (function () {
 
         const L2 = L1 + L;
 
+        // Forward azimuth at the destination
+        const finalBearing = (toDeg(Math.atan2(sinAlpha, -tmp)) + 360) % 360;
+
         return {
             lat: toDeg(phi2),
-            lon: toDeg(L2)
+            lon: toDeg(L2),
+            finalBearing: finalBearing,
+            backBearing: (finalBearing + 180) % 360
         };
     }
 
     /**
-     * Calculates the geodesic distance and bearings between two points.
-     * This implements Vincenty's "inverse" geodesic problem.
-     * 
-     * @param {number} lat1 - Latitude of first point in degrees (-90 to +90)
-     * @param {number} lon1 - Longitude of first point in degrees (-180 to +180)
-     * @param {number} lat2 - Latitude of second point in degrees (-90 to +90)
-     * @param {number} lon2 - Longitude of second point in degrees (-180 to +180)
-     * @returns {Object} Result object with properties:
-     *   - distance: Geodesic distance in meters
-     *   - initialBearing: Initial bearing from point 1 to point 2 in degrees (0-360)
-     *   - isCoincident: True if points are the same location
+     * Vincenty's "inverse" geodesic problem.
+     * @param {number} lat1 - Latitude of first point in degrees
+     * @param {number} lon1 - Longitude of first point in degrees
+     * @param {number} lat2 - Latitude of second point in degrees
+     * @param {number} lon2 - Longitude of second point in degrees
+     * @returns {Object} { distance, initialBearing, finalBearing, backBearing, isCoincident }
      * @throws {Error} If points are antipodal (opposite sides of Earth)
-     * 
-     * @example
-     * // Calculate distance from London to Paris
-     * const result = Vincenty.calculateDistance(51.5074, -0.1278, 48.8566, 2.3522);
-     * console.log(result.distance / 1000 + ' km'); // ~343 km
+     * @private
      */
-    function calculateDistance(lat1, lon1, lat2, lon2) {
+    function _vincentyInverse(lat1, lon1, lat2, lon2) {
         // === Step 1: Convert to radians and compute reduced latitudes ===
         const phi1 = toRad(lat1), L1 = toRad(lon1);
         const phi2 = toRad(lat2), L2 = toRad(lon2);
@@ -204,7 +1273,7 @@ const Vincenty = (function () {
 
             // Check for coincident points (zero distance)
             if (sinSigma === 0) {
-                return { isCoincident: true, distance: 0, initialBearing: 0 };
+                return { isCoincident: true, distance: 0, initialBearing: 0, finalBearing: 0, backBearing: 180 };
             }
 
             // Calculate cos(σ), σ, sin(α), cos²(α), cos(2σm)
@@ -250,16 +1319,47 @@ const Vincenty = (function () {
         const fwdAz = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
         const initialBearing = (toDeg(fwdAz) + 360) % 360;
 
+        // === Step 6: Calculate final bearing (forward azimuth at point 2) ===
+        const finalAz = Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda);
+        const finalBearing = (toDeg(finalAz) + 360) % 360;
+
         return {
             distance: s,
             initialBearing: initialBearing,
+            finalBearing: finalBearing,
+            backBearing: (finalBearing + 180) % 360,
             isCoincident: false
         };
     }
 
+    /**
+     * Returns the geodesic functions on another ellipsoid.
+     * 
+     * @param {Object} other - Ellipsoid { a, f } with the semi-major axis in
+     *   meters and the flattening
+     * @returns {Object} The Vincenty API on that ellipsoid
+     * 
+     * @example
+     * // Distance between two ED50 positions on the International 1924 ellipsoid
+     * const intl = Vincenty.withEllipsoid({ a: 6378388, f: 1 / 297 });
+     * const res = intl.calculateDistance(51.5, -0.1, 48.85, 2.35);
+     */
+    function withEllipsoid(other) {
+        return create(other);
+    }
+
     // Public API
     return {
         calculateDestination,
-        calculateDistance
+        calculateDistance,
+        densify,
+        crossTrack,
+        intersectBearings,
+        intersectBearingDistance,
+        intersectDistances,
+        polygonArea,
+        rhumbDistance,
+        rhumbDestination,
+        withEllipsoid
     };
 })();
@@ -12,12 +12,31 @@ const ATSEP_CONSTANTS = Object.freeze({
     INHG_TO_HPA: 33.86389,
     /** Standard conversion factor: hectopascals to inches of mercury */
     HPA_TO_INHG: 1 / 33.86389,
+    /** Standard conversion factor: hectopascals to millimeters of mercury */
+    HPA_TO_MMHG: 0.750061683,
+    /**
+     * Supported pressure units: hPa per unit and default display decimals.
+     * Key order is the order shown in the unit selectors.
+     */
+    PRESSURE_UNITS: Object.freeze({
+        hPa: Object.freeze({ label: 'hPa', hpaPerUnit: 1, decimals: 1 }),
+        mbar: Object.freeze({ label: 'mbar', hpaPerUnit: 1, decimals: 1 }),
+        inHg: Object.freeze({ label: 'inHg', hpaPerUnit: 33.86389, decimals: 2 }),
+        mmHg: Object.freeze({ label: 'mmHg', hpaPerUnit: 1 / 0.750061683, decimals: 1 }),
+        kPa: Object.freeze({ label: 'kPa', hpaPerUnit: 10, decimals: 2 }),
+        psi: Object.freeze({ label: 'psi', hpaPerUnit: 68.94757293, decimals: 3 }),
+        Pa: Object.freeze({ label: 'Pa', hpaPerUnit: 0.01, decimals: 0 })
+    }),
     
     // === Distance Conversion ===
     /** Meters per nautical mile (international definition) */
     METERS_PER_NM: 1852,
     /** Nautical miles per meter */
     NM_PER_METER: 1 / 1852,
+
+    // === Speed Conversion ===
+    /** Meters per second in one knot */
+    MPS_PER_KNOT: 1852 / 3600,
     
     // === Altitude Conversion ===
     /** Feet to meters conversion factor */
@@ -36,6 +55,28 @@ const ATSEP_CONSTANTS = Object.freeze({
     GRAVITY: 9.80665,
     /** Specific gas constant for dry air in J/(kg·K) */
     GAS_CONSTANT_DRY_AIR: 287.05287,
+    /** Ratio of specific heats for air (adiabatic index) */
+    ADIABATIC_INDEX_AIR: 1.4,
+    /** Nominal Earth radius used for geopotential altitude conversion in meters */
+    ISA_EARTH_RADIUS_M: 6356766,
+    /**
+     * ISA layers as base geopotential altitude (m) and temperature gradient (K/m).
+     * The troposphere formula is extended down to the lower limit of the table.
+     */
+    ISA_LAYERS: Object.freeze([
+        Object.freeze({ name: 'Troposphere', base: 0, gradient: -0.0065 }),
+        Object.freeze({ name: 'Tropopause', base: 11000, gradient: 0 }),
+        Object.freeze({ name: 'Stratosphere', base: 20000, gradient: 0.0010 }),
+        Object.freeze({ name: 'Stratosphere', base: 32000, gradient: 0.0028 }),
+        Object.freeze({ name: 'Stratopause', base: 47000, gradient: 0 }),
+        Object.freeze({ name: 'Mesosphere', base: 51000, gradient: -0.0028 }),
+        Object.freeze({ name: 'Mesosphere', base: 71000, gradient: -0.0020 })
+    ]),
+    /** Geopotential altitude limits of the ISA tables in meters */
+    ISA_LIMITS_M: Object.freeze({
+        min: -5000,
+        max: 80000
+    }),
     
     // === WGS-84 Ellipsoid Constants ===
     /** Semi-major axis (equatorial radius) in meters */
@@ -50,6 +91,8 @@ const ATSEP_CONSTANTS = Object.freeze({
     VINCENTY_CONVERGENCE: 1e-12,
     /** Maximum iterations before declaring non-convergence */
     VINCENTY_MAX_ITERATIONS: 100,
+    /** Maximum number of points returned by route densification, end points included */
+    DENSIFY_MAX_POINTS: 1000,
     
     // === Vincenty Expansion Coefficients (Helmert's series) ===
     /** These are numerators of the Taylor series expansion for geodesic distance */
@@ -64,6 +107,38 @@ const ATSEP_CONSTANTS = Object.freeze({
     VINCENTY_B_C3: 74,
     VINCENTY_B_C4: -47,
     
+    // === UTM Grid (NGA.SIG.0012) ===
+    /** Central meridian scale factor */
+    UTM_SCALE_FACTOR: 0.9996,
+    /** False easting in meters */
+    UTM_FALSE_EASTING: 500000,
+    /** False northing in the southern hemisphere in meters */
+    UTM_FALSE_NORTHING_SOUTH: 10000000,
+    
+    // === Radio/Radar Horizon ===
+    /** Standard atmosphere effective earth radius factor */
+    HORIZON_K_FACTOR: 4 / 3,
+    /** Maximum number of rows in a coverage floor table */
+    HORIZON_TABLE_MAX_ROWS: 200,
+    
+    // === Point Library ===
+    /** Point type tags, id → label, in display order */
+    POINT_TAGS: Object.freeze({ VOR: 'VOR', DME: 'DME', RADAR: 'Radar site', FIX: 'Fix' }),
+    /** Maximum number of points listed at once in the library panel */
+    POINT_LIST_MAX_ROWS: 100,
+    
+    // === GIS Export ===
+    /** Maximum length of an exported path segment in meters (1 NM) */
+    EXPORT_SEGMENT_LENGTH_M: 1852,
+    /** Maximum number of segments of an exported path */
+    EXPORT_MAX_SEGMENTS: 500,
+    
+    // === World Magnetic Model ===
+    /** Geomagnetic reference radius in meters */
+    WMM_REFERENCE_RADIUS_M: 6371200,
+    /** Model validity period after its epoch, in years */
+    WMM_VALIDITY_YEARS: 5,
+    
     // === Pressure Limits for QNH ===
     PRESSURE_LIMITS_HPA: Object.freeze({
         hardMin: 850,
@@ -72,6 +147,26 @@ const ATSEP_CONSTANTS = Object.freeze({
         warningMax: 1060
     }),
     
+    // === SSR Altitude Encoding (ICAO Annex 10 Vol IV) ===
+    /** Mode C (Gillham, 100 ft) altitude range in feet */
+    MODE_C_LIMITS_FT: Object.freeze({
+        min: -1000,
+        max: 126700
+    }),
+    /** Highest altitude encodable with the Mode S 25 ft (Q-bit) encoding */
+    MODE_S_Q_MAX_FT: 50175,
+
+    // === Transition Level Defaults ===
+    TRANSITION_DEFAULTS: Object.freeze({
+        /** Minimum transition layer depth in feet */
+        minLayerFt: 1000,
+        /** Flight level increment used for the transition level */
+        flStep: 5,
+        /** Default QNH range of the lookup table in hPa */
+        tableMinHpa: 940,
+        tableMaxHpa: 1060
+    }),
+
     // === UI Constants ===
     /** Debounce delay for input saving in milliseconds */
     DEBOUNCE_DELAY_MS: 300,
@@ -85,12 +180,72 @@ const ATSEP_CONSTANTS = Object.freeze({
 const ERROR_MESSAGES = Object.freeze({
     INVALID_PRESSURE: 'Please enter a valid positive pressure value.',
     PRESSURE_OUT_OF_RANGE: 'Pressure outside realistic limits (850-1100 hPa).',
+    INVALID_ALTITUDE: 'Please enter a valid altitude value.',
+    ALTITUDE_OUT_OF_RANGE: 'Altitude outside the ISA tables (-5 km to 80 km geopotential).',
+    INVALID_TEMPERATURE: 'Please enter a valid temperature value.',
+    INVALID_TRANSITION_ALTITUDE: 'Please enter a valid transition altitude and transition layer.',
+    INVALID_SPEED: 'Please enter a valid positive speed.',
+    INVALID_WIND: 'Wind direction, wind speed and track must all be valid numbers.',
+    WIND_EXCEEDS_TAS: 'Crosswind component exceeds the true airspeed.',
+    WIND_ZERO_TAS: 'True airspeed must be above zero to apply a wind.',
+    MODE_C_RANGE: 'Altitude outside the Mode C range (-1000 to 126700 ft).',
+    ILLEGAL_GILLHAM: 'Illegal Gillham code: not a valid Mode C altitude.',
+    INVALID_SSR_CODE: 'Enter a 4-digit octal code or a 13-bit pattern.',
+    MODE_S_METRIC: 'Metric (M-bit) Mode S altitudes are not supported.',
+    ALTITUDE_UNAVAILABLE: 'Altitude not available (all-zero code).',
+    INVALID_ALTITUDE_LIST: 'Please enter at least one valid altitude or height.',
     INVALID_COORDINATE: 'Invalid coordinate value.',
     INVALID_NUMBER: 'Must be a number.',
     ANTIPODAL_POINTS: 'Calculation failed: Points are nearly antipodal (opposite sides of Earth).',
     CONVERGENCE_FAILED: 'Calculation failed: Formula did not converge.',
     NEGATIVE_RANGE: 'Range cannot be negative.',
     INVALID_BEARING: 'Bearing must be between -360° and +360°.',
+    INVALID_WAYPOINT_COUNT: 'Number of intermediate points must be a whole number of at least 1.',
+    INVALID_WAYPOINT_SPACING: 'Waypoint spacing must be a positive distance.',
+    TOO_MANY_WAYPOINTS: `Too many waypoints (maximum ${ATSEP_CONSTANTS.DENSIFY_MAX_POINTS} points, end points included).`,
+    COINCIDENT_LEG: 'Route leg start and end points must be different.',
+    INTERSECTION_COLLINEAR: 'Both bearings lie on the same geodesic: no unique intersection.',
+    INTERSECTION_COINCIDENT: 'The two circle centres must be different points.',
+    NO_INTERSECTION: 'No intersection: the lines of position do not cross.',
+    INVALID_FIX_RANGE: 'Ranges must be greater than zero.',
+    POLYGON_TOO_FEW: 'A polygon needs at least 3 distinct vertices.',
+    UTM_OUT_OF_RANGE: 'Outside UTM coverage (80°S to 84°N): polar UPS grid is not supported.',
+    INVALID_UTM: 'Invalid UTM coordinate: zone 1-60, N/S, easting and northing in meters.',
+    INVALID_MGRS: 'Invalid MGRS reference (e.g. 31U DQ 48252 11954).',
+    INVALID_SYSTEM_CENTRE: 'System centre cannot be at a pole.',
+    STEREO_ANTIPODE: 'Point is the antipode of the system centre.',
+    INVALID_RADAR_PLOT: 'Slant range must be positive; azimuth and heights must be valid numbers.',
+    SLANT_RANGE_TOO_SHORT: 'Slant range is shorter than the height difference between radar and target.',
+    INVALID_K_FACTOR: 'K-factor must be a positive number.',
+    NEGATIVE_HEIGHT: 'Heights must be at or above mean sea level.',
+    HORIZON_RANGE_TOO_LONG: 'Range too long: no line of sight at any altitude.',
+    INVALID_TABLE_STEP: 'Table step must be a positive distance.',
+    TOO_MANY_ROWS: `Too many table rows (maximum ${ATSEP_CONSTANTS.HORIZON_TABLE_MAX_ROWS}).`,
+    UNKNOWN_DATUM: 'Unknown geodetic datum.',
+    RHUMB_PAST_POLE: 'Rhumb line would go past a pole.',
+    COORD_UNRECOGNIZED: 'Coordinate text not recognized.',
+    COORD_AMBIGUOUS_GROUPS: 'Ambiguous coordinate text: separate latitude and longitude with a comma or N/S and E/W letters.',
+    COORD_AMBIGUOUS_COMPACT: 'Ambiguous compact coordinate: use DDMM(SS) for latitude and DDDMM(SS) for longitude, with the hemisphere letter.',
+    COORD_AMBIGUOUS_DECIMAL: 'Ambiguous comma: use a point as decimal separator, or a space after the comma between values.',
+    COORD_LON_LAT_ORDER: 'First value is beyond 90°: enter latitude first, or add N/S and E/W letters.',
+    COORD_DUPLICATE_AXIS: 'Two latitudes or two longitudes found.',
+    COORD_TOO_MANY: 'More than one position found.',
+    INVALID_MINUTES: 'Minutes and seconds must be less than 60.',
+    INVALID_IDENT: 'Identifier must be 1-16 letters, digits, spaces or . _ / -.',
+    UNKNOWN_POINT_TAG: 'Unknown point type: use VOR, DME, RADAR or FIX.',
+    DUPLICATE_IDENT: 'A point with this identifier already exists.',
+    POINT_NOT_FOUND: 'Point not found in the library.',
+    POINT_LIBRARY_UNAVAILABLE: 'Point library unavailable: this browser does not support IndexedDB storage.',
+    IMPORT_EMPTY: 'No points found to import.',
+    CSV_COLUMNS: 'CSV header must name ident, lat and lon columns.',
+    CSV_LAT_HEMISPHERE: 'The lat column holds a longitude: use an N or S hemisphere letter.',
+    CSV_LON_HEMISPHERE: 'The lon column holds a latitude: use an E or W hemisphere letter.',
+    CSV_POSITION_IN_CELL: 'A lat or lon cell holds a full position: put latitude and longitude in their own columns.',
+    INVALID_GEOJSON: 'Invalid GeoJSON: expected a Feature or FeatureCollection of Points.',
+    EXPORT_NOTHING: 'Calculate a result before exporting.',
+    EXPORT_EMPTY: 'Nothing to export.',
+    UNKNOWN_EXPORT_FORMAT: 'Unknown export format.',
+    MAGNETIC_MODEL_UNAVAILABLE: 'Magnetic model coefficients not loaded.',
     LATITUDE_RANGE: 'Latitude must be between -90° and +90°.',
     LONGITUDE_RANGE: 'Longitude must be between -180° and +180°.',
     STORAGE_UNAVAILABLE: 'Local storage is unavailable. Settings will not persist.'
@@ -4,10 +4,10 @@
  * Implements a cache-first strategy with background updates.
  * All assets are cached for offline use.
  * 
- * @version 10
+ * @version 35
  */
 
-const CACHE_NAME = 'atsep-calc-v1.10';
+const CACHE_NAME = 'atsep-calc-v1.35';
 
 /**
  * List of assets to cache for offline use.
@@ -18,8 +18,22 @@ const ASSETS_TO_CACHE = [
     './index.html',
     './style.css',
     './constants.js',
+    './Karney.js',
     './Vincenty.js',
+    './Pressure.js',
     './QNH.js',
+    './Airspeed.js',
+    './SSR.js',
+    './UTM.js',
+    './ECEF.js',
+    './Stereographic.js',
+    './Horizon.js',
+    './Datum.js',
+    './CoordinateParser.js',
+    './PointLibrary.js',
+    './GeoExport.js',
+    './wmm-coefficients.js',
+    './Magnetic.js',
     './ui.js',
     './app.js',
     './manifest.json',
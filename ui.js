@@ -3,7 +3,7 @@
  * 
  * Centralizes DOM manipulation, event listeners, input validation,
  * and user interaction handling. All computation logic is delegated
- * to the QNH and Vincenty modules.
+ * to the computation modules (QNH, Airspeed, SSR, Vincenty).
  * 
  * @module UI
  * @author ATSEP Toolbox
@@ -22,12 +22,16 @@ const UI = (function () {
         ? ATSEP_CONSTANTS.EASTER_EGG_DELAY_MS : 10000;
 
     /** Conversion factors - use shared constants if available */
-    const INHG_TO_HPA = (typeof ATSEP_CONSTANTS !== 'undefined')
-        ? ATSEP_CONSTANTS.INHG_TO_HPA : 33.86389;
-    const HPA_TO_INHG = (typeof ATSEP_CONSTANTS !== 'undefined')
-        ? ATSEP_CONSTANTS.HPA_TO_INHG : 1 / 33.86389;
     const METERS_PER_NM = (typeof ATSEP_CONSTANTS !== 'undefined')
         ? ATSEP_CONSTANTS.METERS_PER_NM : 1852;
+    const FEET_TO_METERS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.FEET_TO_METERS : 0.3048;
+
+    /** Point library type tags and list length */
+    const POINT_TAGS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.POINT_TAGS : { VOR: 'VOR', DME: 'DME', RADAR: 'Radar site', FIX: 'Fix' };
+    const POINT_LIST_MAX_ROWS = (typeof ATSEP_CONSTANTS !== 'undefined')
+        ? ATSEP_CONSTANTS.POINT_LIST_MAX_ROWS : 100;
 
     /** Storage keys for localStorage */
     const STORAGE_KEYS = (typeof window.STORAGE_KEYS !== 'undefined')
@@ -103,6 +107,21 @@ const UI = (function () {
     /** Cached references to frequently accessed DOM elements */
     let elements = {};
 
+    /** Parse errors of grid (UTM/MGRS) coordinate inputs, keyed by prefix */
+    const gridErrors = {};
+
+    /** Points of the point library, as last read from storage */
+    let libraryPoints = [];
+
+    /** Storage id of the point being edited in the library panel, or null for a new point */
+    let editingPointId = null;
+
+    /** Inputs and solution of the last Range calculation, for export, or null */
+    let lastRange = null;
+
+    /** Inputs and solution of the last Destination calculation, for export, or null */
+    let lastDest = null;
+
     /**
      * Initialize the UI Controller.
      * This is the main entry point called on DOMContentLoaded.
@@ -113,6 +132,14 @@ const UI = (function () {
         _inputRestoration();
         _initTabs();
         _updateDependentUI();
+        _updateQnhMode();
+        _syncPressureUnits();
+        _updateWaypointLabel();
+        _updateDestBearingLabel();
+        _updateFixLabels();
+        _updatePlaneMode();
+        _updateHorizonLabels();
+        _refreshPointLibrary();
         _initEasterEgg();
     }
 
@@ -127,12 +154,139 @@ const UI = (function () {
             destFmtSel: document.getElementById('dest_fmt_sel'),
             pressureInput: document.getElementById('pressureInput'),
             pressureUnit: document.getElementById('pressureUnit'),
+            pressurePrecision: document.getElementById('pressure_precision'),
             correctionUnit: document.getElementById('correctionUnit'),
             resultDisplay: document.getElementById('resultDisplay'),
+            qnhMode: document.getElementById('qnh_mode'),
+            qnhInverseInputs: document.getElementById('qnh_inverse_inputs'),
+            qnhCorrectionInputs: document.getElementById('qnh_correction_inputs'),
+            invAlt: document.getElementById('inv_alt'),
+            invAltUnit: document.getElementById('inv_alt_unit'),
+            invRef: document.getElementById('inv_ref'),
+            qnhBtn: document.getElementById('calculateButton'),
+            qfeMode: document.getElementById('qfe_mode'),
+            qfeValue: document.getElementById('qfe_value'),
+            qfeElev: document.getElementById('qfe_elev'),
+            qfeElevUnit: document.getElementById('qfe_elev_unit'),
+            qfeTemp: document.getElementById('qfe_temp'),
+            qfeRes: document.getElementById('qfe_res'),
+            isaAlt: document.getElementById('isa_alt'),
+            isaAltUnit: document.getElementById('isa_alt_unit'),
+            isaHeightType: document.getElementById('isa_height_type'),
+            isaRes: document.getElementById('isa_res'),
+            coldElev: document.getElementById('cold_elev'),
+            coldTemp: document.getElementById('cold_temp'),
+            coldUnit: document.getElementById('cold_unit'),
+            coldRef: document.getElementById('cold_ref'),
+            coldValues: document.getElementById('cold_values'),
+            coldRes: document.getElementById('cold_res'),
+            daPressure: document.getElementById('da_pressure'),
+            daPressureUnit: document.getElementById('da_pressure_unit'),
+            daElev: document.getElementById('da_elev'),
+            daTemp: document.getElementById('da_temp'),
+            daUnit: document.getElementById('da_unit'),
+            daRes: document.getElementById('da_res'),
+            tlTa: document.getElementById('tl_ta'),
+            tlLayer: document.getElementById('tl_layer'),
+            tlPressure: document.getElementById('tl_pressure'),
+            tlPressureUnit: document.getElementById('tl_pressure_unit'),
+            tlStep: document.getElementById('tl_step'),
+            tlRes: document.getElementById('tl_res'),
+            asValue: document.getElementById('as_value'),
+            asType: document.getElementById('as_type'),
+            asAlt: document.getElementById('as_alt'),
+            asAltUnit: document.getElementById('as_alt_unit'),
+            asTemp: document.getElementById('as_temp'),
+            asWindDir: document.getElementById('as_wind_dir'),
+            asWindSpd: document.getElementById('as_wind_spd'),
+            asTrack: document.getElementById('as_track'),
+            asRes: document.getElementById('as_res'),
+            ssrMode: document.getElementById('ssr_mode'),
+            ssrInput: document.getElementById('ssr_input'),
+            ssrUnit: document.getElementById('ssr_unit'),
+            ssrRes: document.getElementById('ssr_res'),
             rangeRes: document.getElementById('range_res'),
             destRes: document.getElementById('dest_res'),
             rangeUnitType: document.getElementById('range_unit_type'),
             destUnit: document.getElementById('d_unit'),
+            rangeSolver: document.getElementById('range_solver'),
+            rangeDatum: document.getElementById('range_datum'),
+            rangePath: document.getElementById('range_path'),
+            rangePrec: document.getElementById('range_prec'),
+            rangeNorth: document.getElementById('range_north'),
+            rangeWptMode: document.getElementById('range_wpt_mode'),
+            rangeWptValue: document.getElementById('range_wpt_value'),
+            rangeWptValueLabel: document.getElementById('range_wpt_value_label'),
+            rangeWptRes: document.getElementById('range_wpt_res'),
+            rangeExportFmt: document.getElementById('range_export_fmt'),
+            xtkUnit: document.getElementById('xtk_unit'),
+            xtkSolver: document.getElementById('xtk_solver'),
+            xtkDatum: document.getElementById('xtk_datum'),
+            xtkRes: document.getElementById('xtk_res'),
+            fixMode: document.getElementById('fix_mode'),
+            fixUnit: document.getElementById('fix_unit'),
+            fixSolver: document.getElementById('fix_solver'),
+            fixDatum: document.getElementById('fix_datum'),
+            fixVal1: document.getElementById('fix_val1'),
+            fixVal2: document.getElementById('fix_val2'),
+            fixVal1Label: document.getElementById('fix_val1_label'),
+            fixVal2Label: document.getElementById('fix_val2_label'),
+            fixRes: document.getElementById('fix_res'),
+            polyVertices: document.getElementById('poly_vertices'),
+            polyDatum: document.getElementById('poly_datum'),
+            polyRes: document.getElementById('poly_res'),
+            slantUnit: document.getElementById('slant_unit'),
+            slantHeightUnit: document.getElementById('slant_height_unit'),
+            slantSiteH: document.getElementById('slant_site_h'),
+            slantTargetH: document.getElementById('slant_target_h'),
+            slantRes: document.getElementById('slant_res'),
+            planeMode: document.getElementById('plane_mode'),
+            planeUnit: document.getElementById('plane_unit'),
+            planeGeoInputs: document.getElementById('plane_geo_inputs'),
+            planeXyInputs: document.getElementById('plane_xy_inputs'),
+            planeRadarInputs: document.getElementById('plane_radar_inputs'),
+            planeX: document.getElementById('plane_x'),
+            planeY: document.getElementById('plane_y'),
+            planeXLabel: document.getElementById('plane_x_label'),
+            planeYLabel: document.getElementById('plane_y_label'),
+            planeRange: document.getElementById('plane_range'),
+            planeRangeLabel: document.getElementById('plane_range_label'),
+            planeAzimuth: document.getElementById('plane_azimuth'),
+            planeHeightUnit: document.getElementById('plane_height_unit'),
+            planeRadarH: document.getElementById('plane_radar_h'),
+            planeTargetH: document.getElementById('plane_target_h'),
+            planeRes: document.getElementById('plane_res'),
+            hzHeightUnit: document.getElementById('hz_height_unit'),
+            hzRangeUnit: document.getElementById('hz_range_unit'),
+            hzAntennaH: document.getElementById('hz_antenna_h'),
+            hzTargetH: document.getElementById('hz_target_h'),
+            hzRange: document.getElementById('hz_range'),
+            hzRangeLabel: document.getElementById('hz_range_label'),
+            hzStep: document.getElementById('hz_step'),
+            hzStepLabel: document.getElementById('hz_step_label'),
+            hzK: document.getElementById('hz_k'),
+            hzRes: document.getElementById('hz_res'),
+            datumFrom: document.getElementById('datum_from'),
+            datumTo: document.getElementById('datum_to'),
+            datumMethod: document.getElementById('datum_method'),
+            datumHeight: document.getElementById('datum_height'),
+            datumHeightUnit: document.getElementById('datum_height_unit'),
+            datumRes: document.getElementById('datum_res'),
+            ptIdent: document.getElementById('pt_ident'),
+            ptName: document.getElementById('pt_name'),
+            ptRes: document.getElementById('points_res'),
+            ptSearch: document.getElementById('pt_search'),
+            ptTagFilter: document.getElementById('pt_tag_filter'),
+            ptList: document.getElementById('pt_list'),
+            ptImportFile: document.getElementById('pt_import_file'),
+            ptExportFmt: document.getElementById('pt_export_fmt'),
+            pointDatalist: document.getElementById('point_library_list'),
+            destSolver: document.getElementById('dest_solver'),
+            destDatum: document.getElementById('dest_datum'),
+            destPath: document.getElementById('dest_path'),
+            destExportFmt: document.getElementById('dest_export_fmt'),
+            destNorth: document.getElementById('d_north'),
+            brngLabel: document.getElementById('d_brng_label'),
             distInput: document.getElementById('d_dist'),
             brngInput: document.getElementById('d_brng')
         };
@@ -179,14 +333,14 @@ const UI = (function () {
         });
 
         // Coordinate Format Selection
-        const fmtSelectors = ['coord_fmt', 'range_fmt_sel', 'dest_fmt_sel'];
+        const fmtSelectors = ['coord_fmt', 'range_fmt_sel', 'dest_fmt_sel', 'xtk_fmt_sel', 'fix_fmt_sel', 'poly_fmt_sel', 'slant_fmt_sel', 'plane_fmt_sel', 'datum_fmt_sel', 'pt_fmt_sel'];
         fmtSelectors.forEach(id => {
             const el = document.getElementById(id);
             if (el) el.addEventListener('change', (e) => _updateFmt(e.target.value));
         });
 
         // Unit Selection
-        const unitSelectors = ['range_unit_type', 'd_unit'];
+        const unitSelectors = ['range_unit_type', 'd_unit', 'xtk_unit', 'fix_unit', 'slant_unit', 'plane_unit'];
         unitSelectors.forEach(id => {
             const el = document.getElementById(id);
             if (el) el.addEventListener('change', (e) => _updateDistUnit(e.target.value));
@@ -209,30 +363,136 @@ const UI = (function () {
 
         // QNH Module Listeners
         const qnhBtn = document.getElementById('calculateButton');
-        if (qnhBtn) qnhBtn.addEventListener('click', _calculateQnhCorrectionUI);
+        if (qnhBtn) qnhBtn.addEventListener('click', _runQnhPanel);
 
         if (elements.pressureInput) {
             elements.pressureInput.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter') {
                     e.preventDefault();
-                    _calculateQnhCorrectionUI();
+                    _runQnhPanel();
                 }
             });
         }
 
-        if (elements.pressureUnit) {
-            elements.pressureUnit.dataset.prev = elements.pressureUnit.value;
-            elements.pressureUnit.addEventListener('change', _handlePressureUnitChange);
-            _updatePressureInputAttributes();
-        }
+        if (elements.qnhMode) elements.qnhMode.addEventListener('change', _updateQnhMode);
+
+        const qfeBtn = document.getElementById('qfeButton');
+        if (qfeBtn) qfeBtn.addEventListener('click', _runPressureSettings);
+
+        document.querySelectorAll('.pressure-unit-select').forEach(el => {
+            el.addEventListener('change', _handlePressureUnitChange);
+        });
+
+        // Standard Atmosphere Listeners
+        const isaBtn = document.querySelector('#isa-panel .calculate-btn');
+        if (isaBtn) isaBtn.addEventListener('click', _runIsa);
+
+        // Cold Temperature Correction Listeners
+        const coldBtn = document.querySelector('#cold-panel .calculate-btn');
+        if (coldBtn) coldBtn.addEventListener('click', _runColdCorrection);
+
+        // Density Altitude Listeners
+        const daBtn = document.querySelector('#da-panel .calculate-btn');
+        if (daBtn) daBtn.addEventListener('click', _runDensityAltitude);
+
+        // Transition Level Listeners
+        const tlBtn = document.getElementById('tlBtn');
+        if (tlBtn) tlBtn.addEventListener('click', _runTransitionLevel);
+
+        const tlTableBtn = document.getElementById('tlTableBtn');
+        if (tlTableBtn) tlTableBtn.addEventListener('click', _runTransitionTable);
+
+        // Airspeed Module Listeners
+        const speedBtn = document.querySelector('#speed-panel .calculate-btn');
+        if (speedBtn) speedBtn.addEventListener('click', _runAirspeed);
+
+        // SSR Module Listeners
+        const ssrBtn = document.querySelector('#ssr-panel .calculate-btn');
+        if (ssrBtn) ssrBtn.addEventListener('click', _runSsr);
 
         // Vincenty Module Listeners
-        const rangeBtn = document.querySelector('#range-panel .calculate-btn');
+        const rangeBtn = document.getElementById('rangeBtn');
         if (rangeBtn) rangeBtn.addEventListener('click', _runRange);
 
-        const destBtn = document.querySelector('#dest-panel .calculate-btn');
+        const rangeWptBtn = document.getElementById('rangeWptBtn');
+        if (rangeWptBtn) rangeWptBtn.addEventListener('click', _runRangeWaypoints);
+
+        const rangeExportBtn = document.getElementById('rangeExportBtn');
+        if (rangeExportBtn) rangeExportBtn.addEventListener('click', _exportRange);
+
+        if (elements.rangeWptMode) elements.rangeWptMode.addEventListener('change', _updateWaypointLabel);
+        if (elements.rangeUnitType) elements.rangeUnitType.addEventListener('change', _updateWaypointLabel);
+
+        const destBtn = document.getElementById('destBtn');
         if (destBtn) destBtn.addEventListener('click', _runDest);
 
+        const destExportBtn = document.getElementById('destExportBtn');
+        if (destExportBtn) destExportBtn.addEventListener('click', _exportDest);
+
+        if (elements.destNorth) elements.destNorth.addEventListener('change', _updateDestBearingLabel);
+
+        const xtkBtn = document.querySelector('#xtk-panel .calculate-btn');
+        if (xtkBtn) xtkBtn.addEventListener('click', _runCrossTrack);
+
+        const fixBtn = document.querySelector('#fix-panel .calculate-btn');
+        if (fixBtn) fixBtn.addEventListener('click', _runIntersection);
+
+        if (elements.fixMode) elements.fixMode.addEventListener('change', _updateFixLabels);
+
+        const polyBtn = document.getElementById('polyBtn');
+        if (polyBtn) polyBtn.addEventListener('click', _runPolygon);
+
+        const slantBtn = document.querySelector('#slant-panel .calculate-btn');
+        if (slantBtn) slantBtn.addEventListener('click', _runSlantRange);
+
+        const planeBtn = document.querySelector('#plane-panel .calculate-btn');
+        if (planeBtn) planeBtn.addEventListener('click', _runSystemPlane);
+
+        if (elements.planeMode) elements.planeMode.addEventListener('change', _updatePlaneMode);
+
+        const hzBtn = document.getElementById('hzBtn');
+        if (hzBtn) hzBtn.addEventListener('click', _runHorizon);
+
+        const hzTableBtn = document.getElementById('hzTableBtn');
+        if (hzTableBtn) hzTableBtn.addEventListener('click', _runCoverageTable);
+
+        if (elements.hzRangeUnit) elements.hzRangeUnit.addEventListener('change', _updateHorizonLabels);
+
+        const datumBtn = document.querySelector('#datum-panel .calculate-btn');
+        if (datumBtn) datumBtn.addEventListener('click', _runDatum);
+
+        const polyAddBtn = document.getElementById('polyAddBtn');
+        if (polyAddBtn) polyAddBtn.addEventListener('click', _addPolygonVertex);
+
+        // Point Library Listeners
+        const ptSaveBtn = document.getElementById('ptSaveBtn');
+        if (ptSaveBtn) ptSaveBtn.addEventListener('click', _savePoint);
+
+        const ptNewBtn = document.getElementById('ptNewBtn');
+        if (ptNewBtn) ptNewBtn.addEventListener('click', _newPoint);
+
+        if (elements.ptSearch) elements.ptSearch.addEventListener('input', _renderPointList);
+        if (elements.ptTagFilter) elements.ptTagFilter.addEventListener('change', _renderPointList);
+        if (elements.ptImportFile) elements.ptImportFile.addEventListener('change', _importPointFile);
+
+        const ptExportBtn = document.getElementById('ptExportBtn');
+        if (ptExportBtn) ptExportBtn.addEventListener('click', _exportPoints);
+
+        if (elements.ptList) {
+            elements.ptList.addEventListener('click', (e) => {
+                const btn = e.target.closest('.row-action-btn');
+                if (!btn) return;
+                const id = Number(btn.dataset.id);
+                if (btn.dataset.action === 'edit') _editPoint(id);
+                else _deletePoint(id);
+            });
+        }
+
+        // Pickers are re-rendered with the coordinate inputs, so listen on the document
+        document.addEventListener('change', (e) => {
+            if (e.target.classList.contains('point-picker')) _pickPoint(e.target);
+        });
+
         // Copy Buttons
         document.querySelectorAll('.copy-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -288,20 +548,28 @@ const UI = (function () {
 
     /**
      * Update coordinate format across all selectors.
-     * @param {string} val - The format value ('DD', 'DDM', 'DMS')
+     * @param {string} val - The format value ('DD', 'DDM', 'DMS', 'UTM', 'MGRS')
      * @private
      */
     function _updateFmt(val) {
         // Sync all selectors
-        document.querySelectorAll('#coord_fmt, #range_fmt_sel, #dest_fmt_sel').forEach(el => {
+        document.querySelectorAll('#coord_fmt, #range_fmt_sel, #dest_fmt_sel, #xtk_fmt_sel, #fix_fmt_sel, #poly_fmt_sel, #slant_fmt_sel, #plane_fmt_sel, #datum_fmt_sel, #pt_fmt_sel').forEach(el => {
             el.value = val;
         });
 
         SafeStorage.setItem(STORAGE_KEYS.COORD_FMT, val);
         SafeStorage.setItem('range_fmt_sel', val);
         SafeStorage.setItem('dest_fmt_sel', val);
+        SafeStorage.setItem('xtk_fmt_sel', val);
+        SafeStorage.setItem('fix_fmt_sel', val);
+        SafeStorage.setItem('poly_fmt_sel', val);
+        SafeStorage.setItem('slant_fmt_sel', val);
+        SafeStorage.setItem('plane_fmt_sel', val);
+        SafeStorage.setItem('datum_fmt_sel', val);
+        SafeStorage.setItem('pt_fmt_sel', val);
 
         _updateDependentUI();
+        _renderPointList();
     }
 
     /**
@@ -310,11 +578,17 @@ const UI = (function () {
      * @private
      */
     function _updateDistUnit(val) {
-        document.querySelectorAll('#range_unit_type, #d_unit').forEach(el => {
+        document.querySelectorAll('#range_unit_type, #d_unit, #xtk_unit, #fix_unit, #slant_unit, #plane_unit').forEach(el => {
             el.value = val;
         });
         SafeStorage.setItem(STORAGE_KEYS.RANGE_UNIT, val);
         SafeStorage.setItem(STORAGE_KEYS.DEST_UNIT, val);
+        SafeStorage.setItem('xtk_unit', val);
+        SafeStorage.setItem('fix_unit', val);
+        SafeStorage.setItem('slant_unit', val);
+        SafeStorage.setItem('plane_unit', val);
+        _updateFixLabels();
+        _updatePlaneMode();
     }
 
     /**
@@ -324,14 +598,25 @@ const UI = (function () {
      */
     function _updateDependentUI() {
         // Re-render coordinate inputs based on format
-        ['r_origin', 'r_dest', 'd_start'].forEach(prefix => {
+        const fmt = (elements.coordFmt ? elements.coordFmt.value : null) || 'DD';
+        const isGrid = (fmt === 'UTM' || fmt === 'MGRS');
+
+        ['r_origin', 'r_dest', 'd_start', 'x_start', 'x_end', 'x_point', 'f_p1', 'f_p2', 'p_vertex', 's_site', 's_target', 'sp_centre', 'sp_point', 'sp_radar', 'dt_point', 'pt_point'].forEach(prefix => {
+            delete gridErrors[prefix];
             const container = document.getElementById(prefix + '_inputs');
             if (container) {
-                container.innerHTML = _createCoordRow(prefix, 'lat') + _createCoordRow(prefix, 'lon');
+                container.innerHTML = (isGrid
+                    ? _createGridRow(prefix, fmt)
+                    : _createCoordRow(prefix, 'lat') + _createCoordRow(prefix, 'lon'))
+                    + _createPointPicker(prefix);
             }
             // Load values from DD storage
-            _loadCoordsFromStorage(prefix, 'lat');
-            _loadCoordsFromStorage(prefix, 'lon');
+            if (isGrid) {
+                _loadGridFromStorage(prefix);
+            } else {
+                _loadCoordsFromStorage(prefix, 'lat');
+                _loadCoordsFromStorage(prefix, 'lon');
+            }
         });
 
         // Attach listeners to the newly created inputs
@@ -393,6 +678,36 @@ const UI = (function () {
         return html;
     }
 
+    /**
+     * Creates HTML for a grid (UTM or MGRS) coordinate input row.
+     * A single row holds the whole position.
+     * @param {string} prefix - Input group prefix (e.g., 'r_origin', 'd_start')
+     * @param {string} fmt - Grid format ('UTM' or 'MGRS')
+     * @returns {string} HTML string for the grid row
+     * @private
+     */
+    function _createGridRow(prefix, fmt) {
+        let html = `<div class="coord-row" data-prefix="${prefix}" data-type="grid" role="group" aria-label="${fmt} input">`;
+
+        if (fmt === 'MGRS') {
+            html += `<input type="text" class="input-field coord-input" data-part="mgrs" 
+                    autocapitalize="characters" autocomplete="off" spellcheck="false"
+                    placeholder="31U DQ 48252 11954" aria-label="MGRS reference">`;
+        } else {
+            html += `<input type="number" class="num-input coord-input" data-part="zone" 
+                    inputmode="numeric" min="1" max="60" step="1" placeholder="Zone" aria-label="UTM zone">`;
+            html += `<select class="hem-select coord-input" data-part="hemi" aria-label="UTM hemisphere">`;
+            html += `<option value="N">N</option><option value="S">S</option></select>`;
+            html += `<input type="number" class="num-input coord-input" data-part="e" 
+                    inputmode="decimal" min="0" step="any" placeholder="E (m)" aria-label="Easting in meters">`;
+            html += `<input type="number" class="num-input coord-input" data-part="n" 
+                    inputmode="decimal" min="0" step="any" placeholder="N (m)" aria-label="Northing in meters">`;
+        }
+
+        html += `</div>`;
+        return html;
+    }
+
     /**
      * Copies result text to clipboard.
      * @param {string} elementId - ID of the element containing text to copy
@@ -420,43 +735,56 @@ const UI = (function () {
 
             input.addEventListener('input', _handleCoordInput);
 
-            // Paste handling for degrees
-            if (input.dataset.part === 'd') {
+            // Paste handling for latitude and longitude values
+            if (['d', 'm', 's'].includes(input.dataset.part)) {
                 input.addEventListener('paste', _handlePaste);
             }
         });
     }
 
     /**
-     * Handles paste events on degree inputs.
-     * Supports pasting decimal degrees with automatic hemisphere detection.
+     * Handles paste events on latitude and longitude inputs.
+     * Reads AIP compact, DMS, DDM and decimal text with CoordinateParser: a
+     * position fills both rows of the group, a value with a hemisphere letter
+     * fills its own row and a value without one fills the pasted row.
+     * Text that cannot be read unambiguously is reported in the panel result.
      * @param {ClipboardEvent} e - The paste event
      * @private
      */
     function _handlePaste(e) {
-        e.preventDefault();
         const text = (e.clipboardData || window.clipboardData).getData('text');
         if (!text) return;
 
         const row = e.target.closest('.coord-row');
         const prefix = row.dataset.prefix;
         const type = row.dataset.type;
+        const parsed = CoordinateParser.parse(text);
+
+        // A plain number pasted into minutes or seconds is left to the browser
+        if (!parsed.error && parsed.value !== null && e.target.dataset.part !== 'd') return;
+        e.preventDefault();
 
-        let val = parseFloat(text);
-        if (isNaN(val)) return;
+        const values = { lat: parsed.lat, lon: parsed.lon };
+        if (!parsed.error && parsed.value !== null) values[type] = parsed.value;
 
-        // If negative, set sign to -1 (S/W) and use abs value
-        if (val < 0) {
-            const hemSelect = row.querySelector('[data-part="h"]');
-            if (hemSelect) hemSelect.value = "-1";
-            val = Math.abs(val);
+        let msg = parsed.error ? parsed.msg : null;
+        if (!msg && Math.abs(values.lat) > 90) {
+            msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.LATITUDE_RANGE
+                : 'Latitude must be between -90° and +90°';
+        }
+        if (msg) {
+            const panel = row.closest('.tab-panel');
+            const display = panel ? panel.querySelector('.result-box') : null;
+            if (display) display.innerHTML = `<span class="result-error">⚠️ Paste: ${msg}</span>`;
+            return;
         }
 
-        // Set the degree input value
-        e.target.value = val;
-
-        // Trigger save
-        _saveCoordsToStorage(prefix, type);
+        ['lat', 'lon'].forEach(axis => {
+            if (values[axis] === null) return;
+            SafeStorage.setItem(`${prefix}_${axis}_dd`, values[axis]);
+            _loadCoordsFromStorage(prefix, axis);
+        });
     }
 
     /**
@@ -486,6 +814,11 @@ const UI = (function () {
      * @private
      */
     function _saveCoordsToStorage(prefix, type) {
+        if (type === 'grid') {
+            _saveGridToStorage(prefix);
+            return;
+        }
+
         const row = document.querySelector(`.coord-row[data-prefix="${prefix}"][data-type="${type}"]`);
         if (!row) return;
 
@@ -503,6 +836,67 @@ const UI = (function () {
         SafeStorage.setItem(`${prefix}_${type}_dd`, dd);
     }
 
+    /**
+     * Converts a grid (UTM or MGRS) input row to decimal degrees and saves it.
+     * Parse errors are kept for _validateAndGetCoords to report.
+     * @param {string} prefix - Input group prefix
+     * @private
+     */
+    function _saveGridToStorage(prefix) {
+        const row = document.querySelector(`.coord-row[data-prefix="${prefix}"][data-type="grid"]`);
+        if (!row) return;
+
+        const getVal = (part) => {
+            const el = row.querySelector(`[data-part="${part}"]`);
+            return el ? el.value.trim() : '';
+        };
+
+        try {
+            const pos = row.querySelector('[data-part="mgrs"]')
+                ? UTM.fromMgrs(getVal('mgrs'))
+                : UTM.fromUtm(Number(getVal('zone')), getVal('hemi'), parseFloat(getVal('e')), parseFloat(getVal('n')));
+            delete gridErrors[prefix];
+            SafeStorage.setItem(`${prefix}_lat_dd`, pos.lat);
+            SafeStorage.setItem(`${prefix}_lon_dd`, pos.lon);
+        } catch (e) {
+            gridErrors[prefix] = e.message;
+        }
+    }
+
+    /**
+     * Loads a stored position into a grid (UTM or MGRS) input row.
+     * @param {string} prefix - Input group prefix
+     * @private
+     */
+    function _loadGridFromStorage(prefix) {
+        const lat = parseFloat(SafeStorage.getItem(`${prefix}_lat_dd`));
+        const lon = parseFloat(SafeStorage.getItem(`${prefix}_lon_dd`));
+        if (isNaN(lat) || isNaN(lon)) return;
+
+        const row = document.querySelector(`.coord-row[data-prefix="${prefix}"][data-type="grid"]`);
+        if (!row) return;
+
+        const setVal = (part, val) => {
+            const el = row.querySelector(`[data-part="${part}"]`);
+            if (el) el.value = val;
+        };
+
+        try {
+            if (row.querySelector('[data-part="mgrs"]')) {
+                setVal('mgrs', UTM.toMgrs(lat, lon));
+            } else {
+                const utm = UTM.toUtm(lat, lon);
+                setVal('zone', utm.zone);
+                setVal('hemi', utm.hemisphere);
+                setVal('e', parseFloat(utm.easting.toFixed(1)));
+                setVal('n', parseFloat(utm.northing.toFixed(1)));
+            }
+        } catch (e) {
+            // Stored position cannot be shown on the grid (e.g. polar)
+            gridErrors[prefix] = e.message;
+        }
+    }
+
     /**
      * Loads coordinate values from localStorage and populates input fields.
      * Converts from stored DD to current display format (DD/DDM/DMS).
@@ -576,8 +970,59 @@ const UI = (function () {
 
     // --- QNH Logic ---
 
+    /**
+     * Shows the inputs of the selected QNH panel mode.
+     * @private
+     */
+    function _updateQnhMode() {
+        const inverse = elements.qnhMode && elements.qnhMode.value === 'inverse';
+
+        if (elements.qnhInverseInputs) elements.qnhInverseInputs.classList.toggle('hidden', !inverse);
+        if (elements.qnhCorrectionInputs) elements.qnhCorrectionInputs.classList.toggle('hidden', inverse);
+        if (elements.qnhBtn) elements.qnhBtn.textContent = inverse ? 'Calculate Pressure' : 'Calculate Correction';
+    }
+
+    /**
+     * Runs the QNH panel calculation for the selected mode.
+     * @private
+     */
+    function _runQnhPanel() {
+        if (elements.qnhMode && elements.qnhMode.value === 'inverse') {
+            _calculateStaticPressureUI();
+        } else {
+            _calculateQnhCorrectionUI();
+        }
+    }
+
+    /**
+     * Returns the pressure inputs driven by a pressure unit selector.
+     * The input ids are listed in the selector's data-inputs attribute.
+     * @param {HTMLSelectElement} el - The unit selector
+     * @returns {Array<HTMLInputElement>} The linked inputs
+     * @private
+     */
+    function _pressureInputsFor(el) {
+        return (el.dataset.inputs || '').split(' ')
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Records the restored unit of every pressure selector and updates the
+     * linked inputs. Called once the saved values have been restored.
+     * @private
+     */
+    function _syncPressureUnits() {
+        document.querySelectorAll('.pressure-unit-select').forEach(el => {
+            el.dataset.prev = el.value;
+            _updatePressureInputAttributes(el);
+        });
+    }
+
     /**
      * Handles pressure unit change with value conversion.
+     * Converted values keep six significant digits so that switching back and
+     * forth between units does not drift.
      * @param {Event} e - The change event
      * @private
      */
@@ -585,43 +1030,50 @@ const UI = (function () {
         const el = e.target;
         const newUnit = el.value;
         const oldUnit = el.dataset.prev;
-        const input = elements.pressureInput;
-
-        if (input.value && oldUnit && newUnit !== oldUnit) {
-            let val = parseFloat(input.value);
-            if (!isNaN(val)) {
-                if (newUnit === 'inHg' && oldUnit === 'hPa') {
-                    // hPa -> inHg
-                    val = val * HPA_TO_INHG;
-                    input.value = val.toFixed(2);
-                } else if (newUnit === 'hPa' && oldUnit === 'inHg') {
-                    // inHg -> hPa
-                    val = val * INHG_TO_HPA;
-                    input.value = Math.round(val);
-                }
-            }
-        }
+
+        _pressureInputsFor(el).forEach(field => {
+            if (!field.value || !oldUnit || newUnit === oldUnit) return;
+            const val = Pressure.convert(parseFloat(field.value), oldUnit, newUnit);
+            if (isNaN(val)) return;
+
+            field.value = Number(val.toPrecision(6));
+            SafeStorage.setItem(field.id, field.value);
+        });
 
         el.dataset.prev = newUnit;
-        _updatePressureInputAttributes();
+        _updatePressureInputAttributes(el);
     }
 
     /**
-     * Updates pressure input attributes based on selected unit.
+     * Updates the placeholder of the inputs linked to a pressure selector.
+     * @param {HTMLSelectElement} el - The unit selector
      * @private
      */
-    function _updatePressureInputAttributes() {
-        const unit = elements.pressureUnit ? elements.pressureUnit.value : 'hPa';
-        const input = elements.pressureInput;
-        if (!input) return;
+    function _updatePressureInputAttributes(el) {
+        const unit = el.value;
+        const example = Pressure.fromHpa(QNH.STANDARD_PRESSURE_HPA, unit).toFixed(Pressure.decimals(unit));
 
-        if (unit === 'inHg') {
-            input.step = "0.01";
-            input.placeholder = "e.g., 29.92";
-        } else {
-            input.step = "1";
-            input.placeholder = "e.g., 1013";
-        }
+        _pressureInputsFor(el).forEach(input => {
+            input.step = 'any';
+            input.placeholder = `e.g., ${example}`;
+        });
+    }
+
+    /**
+     * Formats a pressure with the selected display precision.
+     * @param {number} hpa - Pressure in hPa
+     * @param {Array<string>} units - Units to show; duplicates are skipped
+     * @returns {string} Formatted pressures joined with ' / '
+     * @private
+     */
+    function _formatPressure(hpa, units) {
+        const raw = elements.pressurePrecision ? elements.pressurePrecision.value : 'auto';
+        const precision = (raw === 'auto') ? undefined : parseInt(raw, 10);
+
+        return units
+            .filter((unit, i) => units.indexOf(unit) === i)
+            .map(unit => Pressure.format(hpa, unit, precision))
+            .join(' / ');
     }
 
     /**
@@ -666,149 +1118,1903 @@ const UI = (function () {
 
         html += `<span class="pa-value" style="display:block; margin-bottom: 4px;">Pressure Altitude: ${res.pressureAltitude} ${res.unit}</span>`;
         html += `<span class="correction-value ${colorClass}" style="opacity: 0.9; font-size: 0.9em;">(Correction: ${prefix}${res.correction} ${res.unit})</span>`;
+        html += `<div class="result-note">QNH ${_formatPressure(res.qnh, [pUnit, 'hPa'])}</div>`;
 
         display.innerHTML = html;
     }
 
-    // --- Vincenty Helpers ---
-
     /**
-     * Validates coordinate inputs and returns decimal degrees.
-     * @param {string} prefix - The input group prefix (e.g., 'r_origin', 'd_start')
-     * @param {string} errorContainerId - ID of the element to display errors
-     * @returns {Object|null} Object with lat/lon properties, or null if validation fails
+     * Calculates and displays the static pressure for a target altitude.
+     * The QNH input is used when the altitude is referenced to QNH.
      * @private
      */
-    function _validateAndGetCoords(prefix, errorContainerId) {
-        const getDD = (type, max, name) => {
-            const val = parseFloat(SafeStorage.getItem(`${prefix}_${type}_dd`));
+    function _calculateStaticPressureUI() {
+        const display = elements.resultDisplay;
+        if (!display) return;
 
-            if (isNaN(val)) {
-                return { err: `${name}: Invalid number` };
-            }
-            if (Math.abs(val) > max) {
-                return { err: `${name}: Must be ≤ ${max}°` };
-            }
-            return { val };
-        };
+        display.innerHTML = '';
+        display.removeAttribute('data-warning');
 
-        const latObj = getDD('lat', 90, 'Lat');
-        const lonObj = getDD('lon', 180, 'Lon');
+        const raw = parseFloat(elements.invAlt ? elements.invAlt.value : NaN);
+        const unit = elements.invAltUnit ? elements.invAltUnit.value : 'FL';
+        const ref = elements.invRef ? elements.invRef.value : 'pressure';
+        const qnhRaw = parseFloat(elements.pressureInput ? elements.pressureInput.value : NaN);
+        const pUnit = elements.pressureUnit ? elements.pressureUnit.value : 'hPa';
 
-        if (latObj.err || lonObj.err) {
-            const errDiv = document.getElementById(errorContainerId);
-            const msg = latObj.err || lonObj.err;
-            errDiv.innerHTML = `<span class="result-error">⚠️ ${msg}</span>`;
-            return null;
+        const reference = (ref === 'pressure') ? 'pressure' : 'qnh';
+        const heightType = (ref === 'geometric') ? 'geometric' : 'geopotential';
+
+        const res = QNH.staticPressure(raw, unit, reference, qnhRaw, pUnit, heightType);
+
+        if (res.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${res.msg}</span>`;
+            return;
         }
 
-        return { lat: latObj.val, lon: lonObj.val };
+        let html = '';
+        if (res.warning) {
+            html += `<span class="warning-text">⚠️ Warning: Abnormal pressure range.</span>`;
+            display.setAttribute('data-warning', 'true');
+        }
+
+        html += `
+            <div class="result-row"><span class="label">Pressure:</span> <span class="val">${_formatPressure(res.pressure, [pUnit])}</span></div>
+            <div class="result-row"><span class="label"></span> <span class="val">${_formatPressure(res.pressure, ['hPa', 'inHg', 'mmHg'].filter(u => u !== pUnit))}</span></div>
+            <div class="result-row"><span class="label">Pressure Altitude:</span> <span class="val">${Math.round(res.pressureAltitude / FEET_TO_METERS)} ft</span></div>
+        `;
+
+        display.innerHTML = html;
     }
 
     /**
-     * Formats coordinates for display based on current format setting.
-     * @param {number} lat - Latitude in decimal degrees
-     * @param {number} lon - Longitude in decimal degrees
-     * @returns {string} HTML string with formatted coordinates
+     * Converts between QNH and QFE and displays the threshold altimeter readings.
+     * The temperature is optional; when empty the ISA reduction is used.
      * @private
      */
-    function _formatCoords(lat, lon) {
-        const fmt = elements.coordFmt ? elements.coordFmt.value : 'DD';
+    function _runPressureSettings() {
+        const display = elements.qfeRes;
+        if (!display) return;
+
+        display.removeAttribute('data-warning');
 
-        const formatSingle = (val, isLat) => {
-            const abs = Math.abs(val);
-            const deg = Math.floor(abs);
-            const hemi = isLat ? (val >= 0 ? 'N' : 'S') : (val >= 0 ? 'E' : 'W');
+        const raw = parseFloat(elements.qfeValue ? elements.qfeValue.value : NaN);
+        const pUnit = elements.pressureUnit ? elements.pressureUnit.value : 'hPa';
+        const mode = elements.qfeMode ? elements.qfeMode.value : 'qnh';
+        const elevation = parseFloat(elements.qfeElev ? elements.qfeElev.value : NaN);
+        const elevUnit = elements.qfeElevUnit ? elements.qfeElevUnit.value : 'feet';
+        const tempRaw = elements.qfeTemp ? elements.qfeTemp.value.trim() : '';
+        const temperature = (tempRaw === '') ? undefined : parseFloat(tempRaw);
 
-            if (fmt === 'DD') return `${hemi} ${abs.toFixed(5)}°`;
+        const res = (mode === 'qfe')
+            ? QNH.qfeToQnh(raw, pUnit, elevation, elevUnit, temperature)
+            : QNH.altimeterReading(raw, pUnit, elevation, elevUnit, temperature);
 
-            const minFull = (abs - deg) * 60;
-            if (fmt === 'DDM') return `${hemi} ${deg}° ${minFull.toFixed(4)}'`;
+        if (res.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${res.msg}</span>`;
+            return;
+        }
 
-            const min = Math.floor(minFull);
-            const sec = ((minFull - min) * 60).toFixed(2);
-            return `${hemi} ${deg}° ${min}' ${sec}"`;
-        };
+        let html = '';
+        if (res.warning) {
+            html += `<span class="warning-text">⚠️ Warning: Abnormal pressure range.</span>`;
+            display.setAttribute('data-warning', 'true');
+        }
+
+        const fmtP = hpa => _formatPressure(hpa, [pUnit, 'hPa', 'inHg']);
 
-        return `<span class="coord-val">${formatSingle(lat, true)}</span><span class="coord-val">${formatSingle(lon, false)}</span>`;
+        html += `
+            <div class="result-row"><span class="label">QNH:</span> <span class="val">${fmtP(res.qnh)}</span></div>
+            <div class="result-row"><span class="label">QFE:</span> <span class="val">${fmtP(res.qfe)}</span></div>
+            <div class="result-row"><span class="label">QNE Reading:</span> <span class="val">${Math.round(res.qne)} ${res.unit}</span></div>
+        `;
+        html += `<div class="result-note">${temperature === undefined ? 'ISA reduction' : 'Reduced with ' + temperature + ' °C'}</div>`;
+
+        display.innerHTML = html;
     }
 
-    // --- Vincenty Calculation ---
+    // --- Standard Atmosphere Logic ---
 
     /**
-     * Runs the Range (inverse) calculation.
-     * Calculates distance and bearing between two points.
+     * Calculates and displays the ISA state at the entered altitude.
      * @private
      */
-    function _runRange() {
-        const p1 = _validateAndGetCoords('r_origin', 'range_res');
-        const p2 = _validateAndGetCoords('r_dest', 'range_res');
+    function _runIsa() {
+        const display = elements.isaRes;
+        if (!display) return;
 
-        if (!p1 || !p2) return;
+        const raw = parseFloat(elements.isaAlt ? elements.isaAlt.value : NaN);
+        const unit = elements.isaAltUnit ? elements.isaAltUnit.value : 'feet';
+        const heightType = elements.isaHeightType ? elements.isaHeightType.value : 'geopotential';
 
-        try {
-            const res = Vincenty.calculateDistance(p1.lat, p1.lon, p2.lat, p2.lon);
-            const unit = elements.rangeUnitType ? elements.rangeUnitType.value : 'NM';
+        const res = QNH.standardAtmosphere(raw, unit, heightType);
 
-            let distDisplay = res.distance;
-            if (unit === 'NM') distDisplay = res.distance / METERS_PER_NM;
+        if (res.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${res.msg}</span>`;
+            return;
+        }
 
-            const html = `
-                <div class="result-row"><span class="label">Range:</span> <span class="val">${distDisplay.toFixed(2)} ${unit}</span></div>
-                <div class="result-row"><span class="label">Bearing:</span> <span class="val">${Math.round(res.initialBearing)}° (T)</span></div>
-            `;
-            elements.rangeRes.innerHTML = html;
-        } catch (e) {
-            elements.rangeRes.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+        const toFt = m => Math.round(m / FEET_TO_METERS);
+        const sig = (val, digits) => Number(val.toPrecision(digits)).toString();
+
+        display.innerHTML = `
+            <div class="result-row"><span class="label">Layer:</span> <span class="val">${res.layer}</span></div>
+            <div class="result-row"><span class="label">Geopotential:</span> <span class="val">${Math.round(res.geopotentialAltitude)} m / ${toFt(res.geopotentialAltitude)} ft</span></div>
+            <div class="result-row"><span class="label">Geometric:</span> <span class="val">${Math.round(res.geometricAltitude)} m / ${toFt(res.geometricAltitude)} ft</span></div>
+            <div class="result-row"><span class="label">Temperature:</span> <span class="val">${res.temperatureC.toFixed(2)} °C</span></div>
+            <div class="result-row"><span class="label">Pressure:</span> <span class="val">${sig(res.pressure, 6)} hPa</span></div>
+            <div class="result-row"><span class="label">Density:</span> <span class="val">${sig(res.density, 5)} kg/m³</span></div>
+            <div class="result-row"><span class="label">δ (P/P0):</span> <span class="val">${sig(res.pressureRatio, 5)}</span></div>
+            <div class="result-row"><span class="label">σ (ρ/ρ0):</span> <span class="val">${sig(res.densityRatio, 5)}</span></div>
+            <div class="result-row"><span class="label">Speed of Sound:</span> <span class="val">${res.speedOfSound.toFixed(1)} m/s</span></div>
+        `;
+    }
+
+    /**
+     * Calculates and displays cold temperature corrections as a table.
+     * Corrections are rounded up, as they are added to safety altitudes.
+     * @private
+     */
+    function _runColdCorrection() {
+        const display = elements.coldRes;
+        if (!display) return;
+
+        const elevation = parseFloat(elements.coldElev ? elements.coldElev.value : NaN);
+        const temperature = parseFloat(elements.coldTemp ? elements.coldTemp.value : NaN);
+        const unit = elements.coldUnit ? elements.coldUnit.value : 'feet';
+        const reference = elements.coldRef ? elements.coldRef.value : 'altitude';
+        const values = (elements.coldValues ? elements.coldValues.value : '')
+            .split(/[\s,;]+/)
+            .filter(v => v !== '')
+            .map(Number);
+
+        const res = QNH.coldTemperatureCorrection(elevation, temperature, values, unit, reference);
+
+        if (res.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${res.msg}</span>`;
+            return;
         }
+
+        const up = v => Math.ceil(v);
+        let html = `<div class="result-row"><span class="label">ISA Deviation:</span> <span class="val">${res.isaDeviation.toFixed(1)} °C</span></div>`;
+        html += `<table class="result-table">
+            <thead><tr><th>Published</th><th>Simplified</th><th>Precise</th></tr></thead><tbody>`;
+        res.rows.forEach(row => {
+            html += `<tr>
+                <td>${row.value} ${res.unit}</td>
+                <td>${up(row.simplified.corrected)} (+${up(row.simplified.correction)})</td>
+                <td>${up(row.precise.corrected)} (+${up(row.precise.correction)})</td>
+            </tr>`;
+        });
+        html += `</tbody></table>`;
+        html += `<div class="result-note">Doc 8168 corrections, rounded up (${res.unit}).</div>`;
+
+        display.innerHTML = html;
     }
 
     /**
-     * Runs the Destination (direct) calculation.
-     * Projects a point given start, distance, and bearing.
+     * Calculates and displays density altitude and ISA deviation.
      * @private
      */
-    function _runDest() {
-        const start = _validateAndGetCoords('d_start', 'dest_res');
-        if (!start) return;
+    function _runDensityAltitude() {
+        const display = elements.daRes;
+        if (!display) return;
 
-        const distEl = elements.distInput;
-        const brngEl = elements.brngInput;
+        display.removeAttribute('data-warning');
 
-        if (!distEl || !brngEl) return;
+        const pressure = parseFloat(elements.daPressure ? elements.daPressure.value : NaN);
+        const pUnit = elements.daPressureUnit ? elements.daPressureUnit.value : 'hPa';
+        const temperature = parseFloat(elements.daTemp ? elements.daTemp.value : NaN);
+        const elevation = parseFloat(elements.daElev ? elements.daElev.value : NaN);
+        const unit = elements.daUnit ? elements.daUnit.value : 'feet';
 
-        const dist = parseFloat(distEl.value);
-        const brng = parseFloat(brngEl.value);
+        const res = QNH.densityAltitude(pressure, pUnit, temperature, elevation, unit);
 
-        if (isNaN(dist) || isNaN(brng)) {
-            elements.destRes.innerHTML = '<span class="result-error">Invalid Range or Bearing</span>';
+        if (res.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${res.msg}</span>`;
+            return;
+        }
+
+        let html = '';
+        if (res.warning) {
+            html += `<span class="warning-text">⚠️ Warning: Abnormal pressure range.</span>`;
+            display.setAttribute('data-warning', 'true');
+        }
+
+        const devPrefix = res.isaDeviation > 0 ? '+' : '';
+
+        html += `
+            <div class="result-row"><span class="label">Pressure Altitude:</span> <span class="val">${Math.round(res.pressureAltitude)} ${res.unit}</span></div>
+            <div class="result-row"><span class="label">ISA Temperature:</span> <span class="val">${res.isaTemperature.toFixed(1)} °C</span></div>
+            <div class="result-row"><span class="label">ISA Deviation:</span> <span class="val">ISA${devPrefix}${res.isaDeviation.toFixed(1)}</span></div>
+            <div class="result-row"><span class="label">Density Altitude:</span> <span class="val">${Math.round(res.densityAltitude)} ${res.unit}</span></div>
+            <div class="result-row"><span class="label">σ (ρ/ρ0):</span> <span class="val">${res.densityRatio.toFixed(4)}</span></div>
+        `;
+
+        display.innerHTML = html;
+    }
+
+    /**
+     * Reads the transition altitude, layer and step inputs.
+     * An empty layer field uses the default minimum layer.
+     * @returns {Object} { ta, layer, step }
+     * @private
+     */
+    function _getTransitionInputs() {
+        const layerRaw = elements.tlLayer ? elements.tlLayer.value.trim() : '';
+        return {
+            ta: parseFloat(elements.tlTa ? elements.tlTa.value : NaN),
+            layer: (layerRaw === '') ? undefined : parseFloat(layerRaw),
+            step: parseFloat(elements.tlStep ? elements.tlStep.value : 5)
+        };
+    }
+
+    /**
+     * Calculates and displays the transition level for the current QNH.
+     * @private
+     */
+    function _runTransitionLevel() {
+        const display = elements.tlRes;
+        if (!display) return;
+
+        display.removeAttribute('data-warning');
+
+        const inputs = _getTransitionInputs();
+        const pressure = parseFloat(elements.tlPressure ? elements.tlPressure.value : NaN);
+        const pUnit = elements.tlPressureUnit ? elements.tlPressureUnit.value : 'hPa';
+
+        const res = QNH.transitionLevel(inputs.ta, pressure, pUnit, inputs.layer, inputs.step);
+
+        if (res.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${res.msg}</span>`;
+            return;
+        }
+
+        let html = '';
+        if (res.warning) {
+            html += `<span class="warning-text">⚠️ Warning: Abnormal pressure range.</span>`;
+            display.setAttribute('data-warning', 'true');
+        }
+
+        html += `
+            <div class="result-row"><span class="label">Transition Level:</span> <span class="val">FL${res.transitionLevel}</span></div>
+            <div class="result-row"><span class="label">Lowest Usable FL:</span> <span class="val">FL${res.lowestUsableFlightLevel}</span></div>
+            <div class="result-row"><span class="label">Transition Layer:</span> <span class="val">${Math.round(res.transitionLayer)} ft</span></div>
+        `;
+
+        display.innerHTML = html;
+    }
+
+    /**
+     * Displays the QNH → transition level lookup table.
+     * Consecutive QNH values with the same transition level are grouped.
+     * @private
+     */
+    function _runTransitionTable() {
+        const display = elements.tlRes;
+        if (!display) return;
+
+        display.removeAttribute('data-warning');
+
+        const inputs = _getTransitionInputs();
+        const pUnit = elements.tlPressureUnit ? elements.tlPressureUnit.value : 'hPa';
+        const res = QNH.transitionLevelTable(inputs.ta, inputs.layer, inputs.step);
+
+        if (res.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${res.msg}</span>`;
+            return;
+        }
+
+        const groups = [];
+        res.rows.forEach(row => {
+            const last = groups[groups.length - 1];
+            if (last && last.transitionLevel === row.transitionLevel) {
+                last.to = row.qnh;
+            } else {
+                groups.push({ from: row.qnh, to: row.qnh, transitionLevel: row.transitionLevel });
+            }
+        });
+
+        const fmtQnh = hpa => Pressure.fromHpa(hpa, pUnit).toFixed(Pressure.decimals(pUnit));
+
+        let html = `<table class="result-table">
+            <thead><tr><th>QNH (${pUnit})</th><th>TL</th></tr></thead><tbody>`;
+        groups.reverse().forEach(group => {
+            html += `<tr><td>${fmtQnh(group.from)} – ${fmtQnh(group.to)}</td><td>FL${group.transitionLevel}</td></tr>`;
+        });
+        html += `</tbody></table>`;
+
+        display.innerHTML = html;
+    }
+
+    // --- Airspeed Logic ---
+
+    /**
+     * Converts and displays all airspeeds for the entered speed.
+     * Empty temperature and wind fields fall back to ISA and no wind.
+     * @private
+     */
+    function _runAirspeed() {
+        const display = elements.asRes;
+        if (!display) return;
+
+        const field = el => (el ? el.value.trim() : '');
+        const value = parseFloat(field(elements.asValue));
+        const type = elements.asType ? elements.asType.value : 'CAS';
+        const altitude = parseFloat(field(elements.asAlt));
+        const altUnit = elements.asAltUnit ? elements.asAltUnit.value : 'FL';
+        const temperature = field(elements.asTemp) === '' ? undefined : parseFloat(field(elements.asTemp));
+
+        const windFields = [elements.asWindDir, elements.asWindSpd, elements.asTrack].map(field);
+        const wind = windFields.every(v => v === '')
+            ? undefined
+            : { direction: parseFloat(windFields[0]), speed: parseFloat(windFields[1]), track: parseFloat(windFields[2]) };
+
+        const res = Airspeed.convert(value, type, altitude, altUnit, temperature, wind);
+
+        if (res.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${res.msg}</span>`;
+            return;
+        }
+
+        const devPrefix = res.isaDeviation >= 0 ? '+' : '';
+        let html = `
+            <div class="result-row"><span class="label">CAS / IAS:</span> <span class="val">${res.cas.toFixed(1)} kt</span></div>
+            <div class="result-row"><span class="label">EAS:</span> <span class="val">${res.eas.toFixed(1)} kt</span></div>
+            <div class="result-row"><span class="label">TAS:</span> <span class="val">${res.tas.toFixed(1)} kt</span></div>
+            <div class="result-row"><span class="label">Mach:</span> <span class="val">${res.mach.toFixed(3)}</span></div>
+            <div class="result-row"><span class="label">GS:</span> <span class="val">${res.gs.toFixed(1)} kt</span></div>
+        `;
+        if (res.heading !== null) {
+            html += `<div class="result-row"><span class="label">Heading:</span> <span class="val">${Math.round(res.heading)}° (T)</span></div>`;
+        }
+        html += `<div class="result-note">SAT ${res.temperatureC.toFixed(1)} °C (ISA${devPrefix}${res.isaDeviation.toFixed(1)}), a = ${res.speedOfSound.toFixed(1)} kt</div>`;
+
+        display.innerHTML = html;
+    }
+
+    // --- SSR Logic ---
+
+    /**
+     * Encodes or decodes an SSR altitude and displays both the Mode C and
+     * Mode S representations, with a pulse-level view of the Mode C reply.
+     * @private
+     */
+    function _runSsr() {
+        const display = elements.ssrRes;
+        if (!display) return;
+
+        const mode = elements.ssrMode ? elements.ssrMode.value : 'encode';
+        const input = elements.ssrInput ? elements.ssrInput.value.trim() : '';
+        const unit = elements.ssrUnit ? elements.ssrUnit.value : 'feet';
+
+        let modeC;
+        let modeS;
+
+        if (mode === 'encode') {
+            const alt = (input === '') ? NaN : Number(input);
+            modeC = SSR.encodeModeC(alt, unit);
+            modeS = SSR.encodeModeS(alt, unit);
+        } else if (mode === 'modeS') {
+            modeS = SSR.decodeModeS(input);
+            modeC = modeS.error ? modeS : SSR.encodeModeC(modeS.altitude);
+        } else {
+            modeC = SSR.decodeModeC(input, mode);
+            modeS = modeC.error ? modeC : SSR.encodeModeS(modeC.altitude);
+        }
+
+        const primary = (mode === 'modeS') ? modeS : modeC;
+        if (primary.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${primary.msg}</span>`;
+            return;
+        }
+
+        const altitude = primary.altitude;
+        let html = `<div class="result-row"><span class="label">Altitude:</span> <span class="val">${altitude} ft</span></div>`;
+
+        if (modeS.error) {
+            html += `<div class="result-row"><span class="label">Mode S AC:</span> <span class="val">—</span></div>`;
+        } else {
+            html += `<div class="result-row"><span class="label">Mode S AC:</span> <span class="val">${modeS.bits}</span></div>`;
+            html += `<div class="result-row"><span class="label">Q-bit:</span> <span class="val">${modeS.qBit} (${modeS.resolution} ft)</span></div>`;
+        }
+
+        if (modeC.error) {
+            html += `<div class="result-row"><span class="label">Mode C:</span> <span class="val">—</span></div>`;
+        } else {
+            html += `<div class="result-row"><span class="label">Mode C:</span> <span class="val">${modeC.octal} (${modeC.altitude} ft)</span></div>`;
+            html += `<div class="pulse-train" aria-label="Mode C reply pulse train">`;
+            modeC.pulseTrain.forEach(p => {
+                const framing = (p.name === 'F1' || p.name === 'F2') ? ' framing' : '';
+                html += `<div class="pulse${p.value ? ' on' : ''}${framing}"><span class="pulse-bar"></span><span class="pulse-label">${p.name}</span></div>`;
+            });
+            html += `</div>`;
+        }
+
+        display.innerHTML = html;
+    }
+
+    // --- Vincenty Helpers ---
+
+    /**
+     * Validates coordinate inputs and returns decimal degrees.
+     * @param {string} prefix - The input group prefix (e.g., 'r_origin', 'd_start')
+     * @param {string} errorContainerId - ID of the element to display errors
+     * @returns {Object|null} Object with lat/lon properties, or null if validation fails
+     * @private
+     */
+    function _validateAndGetCoords(prefix, errorContainerId) {
+        if (gridErrors[prefix]) {
+            const errDiv = document.getElementById(errorContainerId);
+            errDiv.innerHTML = `<span class="result-error">⚠️ ${gridErrors[prefix]}</span>`;
+            return null;
+        }
+
+        const getDD = (type, max, name) => {
+            const val = parseFloat(SafeStorage.getItem(`${prefix}_${type}_dd`));
+
+            if (isNaN(val)) {
+                return { err: `${name}: Invalid number` };
+            }
+            if (Math.abs(val) > max) {
+                return { err: `${name}: Must be ≤ ${max}°` };
+            }
+            return { val };
+        };
+
+        const latObj = getDD('lat', 90, 'Lat');
+        const lonObj = getDD('lon', 180, 'Lon');
+
+        if (latObj.err || lonObj.err) {
+            const errDiv = document.getElementById(errorContainerId);
+            const msg = latObj.err || lonObj.err;
+            errDiv.innerHTML = `<span class="result-error">⚠️ ${msg}</span>`;
+            return null;
+        }
+
+        return { lat: latObj.val, lon: lonObj.val };
+    }
+
+    /**
+     * Formats coordinates for display based on current format setting.
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @returns {string} HTML string with formatted coordinates
+     * @private
+     */
+    function _formatCoords(lat, lon) {
+        const fmt = elements.coordFmt ? elements.coordFmt.value : 'DD';
+        if (fmt === 'UTM' || fmt === 'MGRS') {
+            const grid = _formatGrid(lat, lon, fmt);
+            if (grid) return `<span class="coord-val">${grid}</span>`;
+        }
+        return `<span class="coord-val">${_formatCoordValue(lat, true)}</span><span class="coord-val">${_formatCoordValue(lon, false)}</span>`;
+    }
+
+    /**
+     * Formats a position as a UTM coordinate or an MGRS reference.
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {string} fmt - Grid format ('UTM' or 'MGRS')
+     * @returns {string|null} Formatted position, or null outside the UTM coverage
+     * @private
+     */
+    function _formatGrid(lat, lon, fmt) {
+        try {
+            if (fmt === 'MGRS') return UTM.toMgrs(lat, lon);
+            const utm = UTM.toUtm(lat, lon);
+            return `${utm.zone}${utm.hemisphere} ${utm.easting.toFixed(1)} mE ${utm.northing.toFixed(1)} mN`;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Formats a single latitude or longitude in the current format setting.
+     * Grid formats cannot split a position, so they fall back to DD.
+     * @param {number} val - Value in decimal degrees
+     * @param {boolean} isLat - True for latitude, false for longitude
+     * @returns {string} Formatted value with hemisphere letter
+     * @private
+     */
+    function _formatCoordValue(val, isLat) {
+        const fmt = elements.coordFmt ? elements.coordFmt.value : 'DD';
+        const abs = Math.abs(val);
+        const deg = Math.floor(abs);
+        const hemi = isLat ? (val >= 0 ? 'N' : 'S') : (val >= 0 ? 'E' : 'W');
+
+        if (fmt === 'DD' || fmt === 'UTM' || fmt === 'MGRS') return `${hemi} ${abs.toFixed(5)}°`;
+
+        const minFull = (abs - deg) * 60;
+        if (fmt === 'DDM') return `${hemi} ${deg}° ${minFull.toFixed(4)}'`;
+
+        const min = Math.floor(minFull);
+        const sec = ((minFull - min) * 60).toFixed(2);
+        return `${hemi} ${deg}° ${min}' ${sec}"`;
+    }
+
+    // --- Vincenty Calculation ---
+
+    /**
+     * Formats a bearing with the given number of decimals, wrapping values
+     * that round up to 360 back to 0.
+     * @param {number} deg - Bearing in degrees (0-360)
+     * @param {number} decimals - Number of decimals
+     * @returns {string} Formatted bearing without the degree sign
+     * @private
+     */
+    function _formatBearing(deg, decimals) {
+        const rounded = Number(deg.toFixed(decimals)) % 360;
+        return rounded.toFixed(decimals);
+    }
+
+    /**
+     * Returns a note for geodesic results that had to fall back to Karney.
+     * @param {Object} res - Result of a Vincenty module calculation
+     * @returns {string} HTML note, or an empty string
+     * @private
+     */
+    function _solverNote(res) {
+        return res.fallback
+            ? '<div class="result-note">Karney solver used: Vincenty did not converge</div>'
+            : '';
+    }
+
+    /**
+     * Looks up the magnetic variation at a point for today's date.
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @returns {Object} Magnetic.calculate result
+     * @private
+     */
+    function _variationAt(lat, lon) {
+        return Magnetic.calculate(lat, lon, 0, new Date());
+    }
+
+    /**
+     * Formats a magnetic variation as degrees east or west (e.g. "2.3°E").
+     * @param {number} dec - Declination in degrees, positive east
+     * @returns {string} Formatted variation
+     * @private
+     */
+    function _formatVariation(dec) {
+        const rounded = Math.abs(dec).toFixed(1);
+        if (Number(rounded) === 0) return '0.0°';
+        return `${rounded}°${dec > 0 ? 'E' : 'W'}`;
+    }
+
+    /**
+     * Returns a warning for magnetic results dated outside the model validity period.
+     * @param {Object} mag - Magnetic.calculate result
+     * @returns {string} HTML note, or an empty string
+     * @private
+     */
+    function _magneticNote(mag) {
+        return mag.isValid
+            ? ''
+            : `<div class="result-note">⚠️ Date outside the ${mag.model} validity period: variation is approximate</div>`;
+    }
+
+    /**
+     * Returns the geodesic module for the datum selected on a panel.
+     * Coordinates on a legacy datum are solved on that datum's ellipsoid.
+     * @param {HTMLSelectElement} datumEl - Datum selector
+     * @returns {Object} { geodesic, note } with the Vincenty API to use and a
+     *   result note naming the ellipsoid (empty for WGS-84)
+     * @private
+     */
+    function _geodesicFor(datumEl) {
+        const id = datumEl ? datumEl.value : 'WGS84';
+        if (id === 'WGS84' || typeof Datum === 'undefined') return { geodesic: Vincenty, note: '' };
+
+        const ellipsoid = Datum.ellipsoidOf(id);
+        return {
+            geodesic: Vincenty.withEllipsoid(ellipsoid),
+            note: `<div class="result-note">${id} coordinates: geodesic on the ${ellipsoid.name} ellipsoid.</div>`
+        };
+    }
+
+    /**
+     * Runs the Range (inverse) calculation.
+     * Calculates distance and bearing between two points.
+     * @private
+     */
+    function _runRange() {
+        lastRange = null;
+        const p1 = _validateAndGetCoords('r_origin', 'range_res');
+        const p2 = _validateAndGetCoords('r_dest', 'range_res');
+
+        if (!p1 || !p2) return;
+
+        try {
+            const solver = elements.rangeSolver ? elements.rangeSolver.value : 'auto';
+            const path = elements.rangePath ? elements.rangePath.value : 'geodesic';
+            const datum = _geodesicFor(elements.rangeDatum);
+            const unit = elements.rangeUnitType ? elements.rangeUnitType.value : 'NM';
+            const toUnit = m => (unit === 'NM' ? m / METERS_PER_NM : m).toFixed(2);
+
+            const decimals = elements.rangePrec ? parseInt(elements.rangePrec.value, 10) : 0;
+            const north = elements.rangeNorth ? elements.rangeNorth.value : 'T';
+
+            // The initial bearing is measured at the origin, final and back bearings at the destination
+            let varOrigin = null, varDest = null;
+            if (north !== 'T') {
+                varOrigin = _variationAt(p1.lat, p1.lon);
+                varDest = _variationAt(p2.lat, p2.lon);
+                if (varOrigin.error || varDest.error) {
+                    elements.rangeRes.innerHTML = `<span class="result-error">⚠️ ${(varOrigin.error ? varOrigin : varDest).msg}</span>`;
+                    return;
+                }
+            }
+
+            const fmtBrng = (deg, mag) => {
+                const trueStr = `${_formatBearing(deg, decimals)}° (T)`;
+                if (north === 'T') return trueStr;
+                const magStr = `${_formatBearing(Magnetic.toMagnetic(deg, mag.declination), decimals)}° (M)`;
+                return north === 'M' ? magStr : `${trueStr} / ${magStr}`;
+            };
+
+            let html = '';
+            let res = null;
+            let rhumb = null;
+            if (path !== 'rhumb') {
+                res = datum.geodesic.calculateDistance(p1.lat, p1.lon, p2.lat, p2.lon, solver);
+                const label = path === 'both' ? 'Geodesic ' : '';
+                html += `
+                    <div class="result-row"><span class="label">${label}Range:</span> <span class="val">${toUnit(res.distance)} ${unit}</span></div>
+                    <div class="result-row"><span class="label">${label}Initial Bearing:</span> <span class="val">${fmtBrng(res.initialBearing, varOrigin)}</span></div>
+                    <div class="result-row"><span class="label">${label}Final Bearing:</span> <span class="val">${fmtBrng(res.finalBearing, varDest)}</span></div>
+                    <div class="result-row"><span class="label">${label}Back Bearing:</span> <span class="val">${fmtBrng(res.backBearing, varDest)}</span></div>
+                    <div class="result-row"><span class="label">${label}Midpoint:</span> <span class="val">${_formatCoords(res.midpoint.lat, res.midpoint.lon)}</span></div>
+                `;
+            }
+            if (path !== 'geodesic') {
+                rhumb = datum.geodesic.rhumbDistance(p1.lat, p1.lon, p2.lat, p2.lon);
+                const mid = datum.geodesic.rhumbDestination(p1.lat, p1.lon, rhumb.distance / 2, rhumb.bearing);
+                const label = path === 'both' ? 'Rhumb ' : '';
+                html += `
+                    <div class="result-row"><span class="label">${label}Range:</span> <span class="val">${toUnit(rhumb.distance)} ${unit}</span></div>
+                    <div class="result-row"><span class="label">${label}Track:</span> <span class="val">${fmtBrng(rhumb.bearing, varOrigin)}</span></div>
+                    <div class="result-row"><span class="label">${label}Back Track:</span> <span class="val">${fmtBrng(rhumb.backBearing, varDest)}</span></div>
+                `;
+                if (path === 'both') {
+                    html += `<div class="result-row"><span class="label">Rhumb − Geodesic:</span> <span class="val">+${toUnit(rhumb.distance - res.distance)} ${unit}</span></div>`;
+                } else {
+                    html += `<div class="result-row"><span class="label">Midpoint:</span> <span class="val">${_formatCoords(mid.lat, mid.lon)}</span></div>`;
+                }
+                html += `<div class="result-note">Rhumb line: constant true track on the ellipsoid.</div>`;
+            }
+            if (north !== 'T') {
+                html += `<div class="result-row"><span class="label">Variation:</span> <span class="val">${_formatVariation(varOrigin.declination)} / ${_formatVariation(varDest.declination)}</span></div>`;
+                html += `<div class="result-note">Origin / destination variation (${varOrigin.model}, today's date)</div>`;
+                html += _magneticNote(varOrigin);
+            }
+            html += (res ? _solverNote(res) : '') + datum.note;
+            elements.rangeRes.innerHTML = html;
+            lastRange = { p1, p2, solver, datumId: elements.rangeDatum ? elements.rangeDatum.value : 'WGS84', geodesic: datum.geodesic, res, rhumb };
+        } catch (e) {
+            elements.rangeRes.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+        }
+    }
+
+    /**
+     * Updates the waypoint value label to match the selected mode and unit.
+     * @private
+     */
+    function _updateWaypointLabel() {
+        if (!elements.rangeWptValueLabel || !elements.rangeWptMode) return;
+        const unit = elements.rangeUnitType ? elements.rangeUnitType.value : 'NM';
+        elements.rangeWptValueLabel.textContent = elements.rangeWptMode.value === 'spacing'
+            ? `Spacing (${unit})`
+            : 'Number of points';
+    }
+
+    /**
+     * Lists intermediate waypoints along the Range geodesic, either a fixed
+     * number of equally spaced points or one point every given distance.
+     * @private
+     */
+    function _runRangeWaypoints() {
+        const display = elements.rangeWptRes;
+        if (!display) return;
+
+        const p1 = _validateAndGetCoords('r_origin', 'range_wpt_res');
+        const p2 = _validateAndGetCoords('r_dest', 'range_wpt_res');
+
+        if (!p1 || !p2) return;
+
+        const mode = elements.rangeWptMode ? elements.rangeWptMode.value : 'count';
+        const unit = elements.rangeUnitType ? elements.rangeUnitType.value : 'NM';
+        const toMeters = unit === 'NM' ? METERS_PER_NM : 1;
+        const value = parseFloat(elements.rangeWptValue ? elements.rangeWptValue.value : NaN);
+
+        try {
+            const solver = elements.rangeSolver ? elements.rangeSolver.value : 'auto';
+            const options = mode === 'spacing' ? { spacing: value * toMeters } : { count: value };
+            const res = _geodesicFor(elements.rangeDatum).geodesic.densify(p1.lat, p1.lon, p2.lat, p2.lon, options, solver);
+
+            const fmt = elements.coordFmt ? elements.coordFmt.value : 'DD';
+            const isGrid = (fmt === 'UTM' || fmt === 'MGRS');
+            const posHeader = isGrid ? '<th>Position</th>' : '<th>Latitude</th><th>Longitude</th>';
+
+            let html = `<table class="result-table">
+                <thead><tr><th>#</th>${posHeader}<th>Dist (${unit})</th></tr></thead><tbody>`;
+            res.points.forEach((pt, i) => {
+                const posCells = isGrid
+                    ? `<td>${_formatCoords(pt.lat, pt.lon)}</td>`
+                    : `<td>${_formatCoordValue(pt.lat, true)}</td>
+                    <td>${_formatCoordValue(pt.lon, false)}</td>`;
+                html += `<tr>
+                    <td>${i}</td>
+                    ${posCells}
+                    <td>${(pt.distance / toMeters).toFixed(2)}</td>
+                </tr>`;
+            });
+            html += `</tbody></table>`;
+            html += `<div class="result-note">${res.points.length} points along the geodesic, end points included.</div>`;
+
+            display.innerHTML = html;
+        } catch (e) {
+            display.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+        }
+    }
+
+    /**
+     * Updates the Destination bearing label to the selected north reference.
+     * @private
+     */
+    function _updateDestBearingLabel() {
+        if (!elements.brngLabel || !elements.destNorth) return;
+        elements.brngLabel.textContent = `Bearing (°${elements.destNorth.value})`;
+    }
+
+    /**
+     * Runs the Destination (direct) calculation.
+     * Projects a point given start, distance, and bearing.
+     * @private
+     */
+    function _runDest() {
+        lastDest = null;
+        const start = _validateAndGetCoords('d_start', 'dest_res');
+        if (!start) return;
+
+        const distEl = elements.distInput;
+        const brngEl = elements.brngInput;
+
+        if (!distEl || !brngEl) return;
+
+        const dist = parseFloat(distEl.value);
+        const brng = parseFloat(brngEl.value);
+
+        if (isNaN(dist) || isNaN(brng)) {
+            elements.destRes.innerHTML = '<span class="result-error">Invalid Range or Bearing</span>';
             return;
         }
 
         if (dist < 0) {
             const msg = (typeof ERROR_MESSAGES !== 'undefined')
-                ? ERROR_MESSAGES.NEGATIVE_RANGE
-                : 'Range cannot be negative';
-            elements.destRes.innerHTML = `<span class="result-error">${msg}</span>`;
+                ? ERROR_MESSAGES.NEGATIVE_RANGE
+                : 'Range cannot be negative';
+            elements.destRes.innerHTML = `<span class="result-error">${msg}</span>`;
+            return;
+        }
+
+        if (brng < -360 || brng > 360) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_BEARING
+                : 'Bearing must be between -360° and +360°';
+            elements.destRes.innerHTML = `<span class="result-error">${msg}</span>`;
+            return;
+        }
+
+        const unit = elements.destUnit ? elements.destUnit.value : 'NM';
+        const distMeters = (unit === 'NM') ? dist * METERS_PER_NM : dist;
+
+        // Magnetic bearings are converted to true with the variation at the origin
+        const north = elements.destNorth ? elements.destNorth.value : 'T';
+        let trueBrng = brng;
+        let magNote = '';
+        if (north === 'M') {
+            const mag = _variationAt(start.lat, start.lon);
+            if (mag.error) {
+                elements.destRes.innerHTML = `<span class="result-error">⚠️ ${mag.msg}</span>`;
+                return;
+            }
+            trueBrng = Magnetic.toTrue(brng, mag.declination);
+            magNote = `<div class="result-note">Bearing ${_formatBearing(trueBrng, 1)}° (T), variation ${_formatVariation(mag.declination)} (${mag.model}, today's date)</div>`
+                + _magneticNote(mag);
+        }
+
+        try {
+            const solver = elements.destSolver ? elements.destSolver.value : 'auto';
+            const path = elements.destPath ? elements.destPath.value : 'geodesic';
+            const datum = _geodesicFor(elements.destDatum);
+            const datumId = elements.destDatum ? elements.destDatum.value : 'WGS84';
+
+            if (path === 'rhumb') {
+                const dest = datum.geodesic.rhumbDestination(start.lat, start.lon, distMeters, trueBrng);
+                elements.destRes.innerHTML = `<span class="result-success">${_formatCoords(dest.lat, dest.lon)}</span>`
+                    + `<div class="result-note">Rhumb line: constant true track on the ellipsoid.</div>${magNote}${datum.note}`;
+                lastDest = { start, distMeters, trueBrng, solver, datumId, geodesic: datum.geodesic, dest: null, rhumb: dest };
+                return;
+            }
+
+            const dest = datum.geodesic.calculateDestination(start.lat, start.lon, distMeters, trueBrng, solver);
+            let rhumbRows = '';
+            let rhumb = null;
+            if (path === 'both') {
+                rhumb = datum.geodesic.rhumbDestination(start.lat, start.lon, distMeters, trueBrng);
+                const gap = datum.geodesic.calculateDistance(dest.lat, dest.lon, rhumb.lat, rhumb.lon, 'karney');
+                const toUnit = m => (unit === 'NM' ? m / METERS_PER_NM : m).toFixed(2);
+                rhumbRows = `
+                    <div class="result-row"><span class="label">Rhumb Line:</span> <span class="val">${_formatCoords(rhumb.lat, rhumb.lon)}</span></div>
+                    <div class="result-row"><span class="label">Separation:</span> <span class="val">${toUnit(gap.distance)} ${unit}</span></div>
+                `;
+            }
+            const label = path === 'both' ? 'Geodesic: ' : '';
+            elements.destRes.innerHTML = `<span class="result-success">${label}${_formatCoords(dest.lat, dest.lon)}</span>${rhumbRows}${magNote}${_solverNote(dest)}${datum.note}`;
+            lastDest = { start, distMeters, trueBrng, solver, datumId, geodesic: datum.geodesic, dest, rhumb };
+        } catch (e) {
+            elements.destRes.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+        }
+    }
+
+    /**
+     * Runs the cross-track calculation.
+     * Measures the deviation of a point from a route leg.
+     * @private
+     */
+    function _runCrossTrack() {
+        const display = elements.xtkRes;
+        if (!display) return;
+
+        const p1 = _validateAndGetCoords('x_start', 'xtk_res');
+        const p2 = _validateAndGetCoords('x_end', 'xtk_res');
+        const p3 = _validateAndGetCoords('x_point', 'xtk_res');
+
+        if (!p1 || !p2 || !p3) return;
+
+        try {
+            const solver = elements.xtkSolver ? elements.xtkSolver.value : 'auto';
+            const datum = _geodesicFor(elements.xtkDatum);
+            const res = datum.geodesic.crossTrack(p1.lat, p1.lon, p2.lat, p2.lon, p3.lat, p3.lon, solver);
+            const unit = elements.xtkUnit ? elements.xtkUnit.value : 'NM';
+            const toUnit = m => (unit === 'NM' ? m / METERS_PER_NM : m).toFixed(2);
+
+            const side = res.crossTrack > 0 ? 'Right' : (res.crossTrack < 0 ? 'Left' : 'On track');
+            let position = 'Abeam the leg';
+            if (res.alongTrack < 0) position = 'Before the leg start';
+            else if (res.alongTrack > res.legDistance) position = 'Beyond the leg end';
+
+            display.innerHTML = `
+                <div class="result-row"><span class="label">Cross-Track:</span> <span class="val">${toUnit(Math.abs(res.crossTrack))} ${unit} ${side}</span></div>
+                <div class="result-row"><span class="label">Along-Track:</span> <span class="val">${toUnit(res.alongTrack)} ${unit}</span></div>
+                <div class="result-row"><span class="label">Leg Length:</span> <span class="val">${toUnit(res.legDistance)} ${unit}</span></div>
+                <div class="result-row"><span class="label">Abeam:</span> <span class="val">${res.isAbeam ? 'Yes' : 'No'}</span></div>
+                <div class="result-row"><span class="label">Abeam Point:</span> <span class="val">${_formatCoords(res.abeamPoint.lat, res.abeamPoint.lon)}</span></div>
+                <div class="result-note">${position}; side relative to the direction of flight.</div>
+                ${_solverNote(res)}${datum.note}
+            `;
+        } catch (e) {
+            display.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+        }
+    }
+
+    /**
+     * Updates the intersection input labels to match the selected fix type.
+     * @private
+     */
+    function _updateFixLabels() {
+        if (!elements.fixMode || !elements.fixVal1Label || !elements.fixVal2Label) return;
+        const mode = elements.fixMode.value;
+        const unit = elements.fixUnit ? elements.fixUnit.value : 'NM';
+        const bearingLabel = 'Bearing (°T)';
+        const rangeLabel = `Range (${unit})`;
+        elements.fixVal1Label.textContent = mode === 'dd' ? rangeLabel : bearingLabel;
+        elements.fixVal2Label.textContent = mode === 'bb' ? bearingLabel : rangeLabel;
+    }
+
+    /**
+     * Runs the geodesic intersection calculation.
+     * Lists every crossing of two bearings, a bearing and a range, or two ranges.
+     * @private
+     */
+    function _runIntersection() {
+        const display = elements.fixRes;
+        if (!display) return;
+
+        const p1 = _validateAndGetCoords('f_p1', 'fix_res');
+        const p2 = _validateAndGetCoords('f_p2', 'fix_res');
+
+        if (!p1 || !p2) return;
+
+        const mode = elements.fixMode ? elements.fixMode.value : 'bb';
+        const unit = elements.fixUnit ? elements.fixUnit.value : 'NM';
+        const toMeters = unit === 'NM' ? METERS_PER_NM : 1;
+        const val1 = parseFloat(elements.fixVal1 ? elements.fixVal1.value : NaN);
+        const val2 = parseFloat(elements.fixVal2 ? elements.fixVal2.value : NaN);
+
+        if (isNaN(val1) || isNaN(val2)) {
+            display.innerHTML = '<span class="result-error">Invalid Range or Bearing</span>';
+            return;
+        }
+
+        // Bearings and ranges entered for each point, depending on the fix type
+        const bearings = mode === 'bb' ? [val1, val2] : (mode === 'bd' ? [val1] : []);
+        const ranges = mode === 'dd' ? [val1, val2] : (mode === 'bd' ? [val2] : []);
+
+        if (bearings.some(v => v < -360 || v > 360)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_BEARING
+                : 'Bearing must be between -360° and +360°';
+            display.innerHTML = `<span class="result-error">${msg}</span>`;
+            return;
+        }
+
+        if (ranges.some(v => v <= 0)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_FIX_RANGE
+                : 'Ranges must be greater than zero';
+            display.innerHTML = `<span class="result-error">${msg}</span>`;
+            return;
+        }
+
+        try {
+            const solver = elements.fixSolver ? elements.fixSolver.value : 'auto';
+            const datum = _geodesicFor(elements.fixDatum);
+            let res;
+            if (mode === 'bb') {
+                res = datum.geodesic.intersectBearings(p1.lat, p1.lon, val1, p2.lat, p2.lon, val2, solver);
+            } else if (mode === 'bd') {
+                res = datum.geodesic.intersectBearingDistance(p1.lat, p1.lon, val1, p2.lat, p2.lon, val2 * toMeters, solver);
+            } else {
+                res = datum.geodesic.intersectDistances(p1.lat, p1.lon, val1 * toMeters, p2.lat, p2.lon, val2 * toMeters, solver);
+            }
+
+            const dropped = res.farDropped
+                ? '<div class="result-note">⚠️ A crossing near the antipode could not be solved and is not shown.</div>'
+                : '';
+
+            if (res.solutions.length === 0) {
+                const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                    ? ERROR_MESSAGES.NO_INTERSECTION
+                    : 'No intersection: the lines of position do not cross';
+                display.innerHTML = `<span class="result-error">⚠️ ${msg}</span>${dropped}`;
+                return;
+            }
+
+            const dist = m => `${(Math.abs(m) / toMeters).toFixed(2)} ${unit}`;
+            const brng = deg => `${_formatBearing(deg, 1)}°`;
+            const leg = m => m < 0 ? `${dist(m)} (reciprocal)` : dist(m);
+
+            let html = '';
+            res.solutions.forEach((sol, i) => {
+                html += `<div class="result-row"><span class="label">Fix ${i + 1}:</span> <span class="val">${_formatCoords(sol.lat, sol.lon)}</span></div>`;
+                if (mode === 'bb') {
+                    html += `<div class="result-note">From P1: ${leg(sol.distance1)} / From P2: ${leg(sol.distance2)}</div>`;
+                } else if (mode === 'bd') {
+                    html += `<div class="result-note">From P1: ${leg(sol.distance1)} / From P2: ${brng(sol.bearing2)} (T)</div>`;
+                } else {
+                    html += `<div class="result-note">From P1: ${brng(sol.bearing1)} (T) / From P2: ${brng(sol.bearing2)} (T)</div>`;
+                }
+            });
+            html += dropped;
+            html += _solverNote(res) + datum.note;
+
+            display.innerHTML = html;
+        } catch (e) {
+            display.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+        }
+    }
+
+    /**
+     * Appends the vertex entered in the coordinate row to the vertex list.
+     * @private
+     */
+    function _addPolygonVertex() {
+        const list = elements.polyVertices;
+        if (!list) return;
+
+        const p = _validateAndGetCoords('p_vertex', 'poly_res');
+        if (!p) return;
+
+        const line = `${p.lat.toFixed(6)}, ${p.lon.toFixed(6)}`;
+        list.value = list.value.trim() ? `${list.value.trim()}\n${line}` : line;
+        SafeStorage.setItem(list.id, list.value);
+    }
+
+    /**
+     * Parses a vertex list with one position per line, in any format read by
+     * CoordinateParser (e.g. "49.0, 2.0" or "490000N 0020000E").
+     * Blank lines and lines starting with # are ignored.
+     * @param {string} text - Vertex list
+     * @returns {Object} { points } or { error } naming the offending line
+     * @private
+     */
+    function _parseVertexList(text) {
+        const points = [];
+        const lines = text.split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line === '' || line.startsWith('#')) continue;
+
+            const parsed = CoordinateParser.parse(line);
+            if (parsed.error) return { error: `Line ${i + 1}: ${parsed.msg}` };
+            if (parsed.lat === null || parsed.lon === null) {
+                const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                    ? ERROR_MESSAGES.INVALID_COORDINATE
+                    : 'Invalid coordinate value';
+                return { error: `Line ${i + 1}: ${msg}` };
+            }
+            points.push({ lat: parsed.lat, lon: parsed.lon });
+        }
+
+        return { points };
+    }
+
+    /**
+     * Runs the polygon perimeter and area calculation.
+     * @private
+     */
+    function _runPolygon() {
+        const display = elements.polyRes;
+        if (!display || !elements.polyVertices) return;
+
+        const parsed = _parseVertexList(elements.polyVertices.value);
+        if (parsed.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${parsed.error}</span>`;
+            return;
+        }
+
+        try {
+            const datum = _geodesicFor(elements.polyDatum);
+            const res = datum.geodesic.polygonArea(parsed.points);
+            const nm2 = METERS_PER_NM * METERS_PER_NM;
+            const edges = datum.note ? 'Geodesic edges' : 'Geodesic edges on WGS-84';
+
+            display.innerHTML = `
+                <div class="result-row"><span class="label">Area:</span> <span class="val">${(res.area / nm2).toFixed(3)} NM²</span></div>
+                <div class="result-row"><span class="label">Area:</span> <span class="val">${(res.area / 1e6).toFixed(3)} km²</span></div>
+                <div class="result-row"><span class="label">Area:</span> <span class="val">${res.area.toFixed(0)} m²</span></div>
+                <div class="result-row"><span class="label">Perimeter:</span> <span class="val">${(res.perimeter / METERS_PER_NM).toFixed(2)} NM / ${(res.perimeter / 1000).toFixed(2)} km</span></div>
+                <div class="result-row"><span class="label">Vertices:</span> <span class="val">${res.vertices} (${res.isClockwise ? 'clockwise' : 'counter-clockwise'})</span></div>
+                <div class="result-note">${edges} (Karney area integral).</div>
+                ${datum.note}
+            `;
+        } catch (e) {
+            display.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+        }
+    }
+
+    // --- ECEF Calculation ---
+
+    /**
+     * Runs the site-to-target look angle calculation.
+     * Gives slant range, azimuth and elevation with heights above the ellipsoid.
+     * @private
+     */
+    function _runSlantRange() {
+        const display = elements.slantRes;
+        if (!display) return;
+
+        const site = _validateAndGetCoords('s_site', 'slant_res');
+        const target = _validateAndGetCoords('s_target', 'slant_res');
+
+        if (!site || !target) return;
+
+        const siteH = parseFloat(elements.slantSiteH ? elements.slantSiteH.value : NaN);
+        const targetH = parseFloat(elements.slantTargetH ? elements.slantTargetH.value : NaN);
+
+        if (isNaN(siteH) || isNaN(targetH)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_ALTITUDE
+                : 'Please enter a valid altitude value.';
+            display.innerHTML = `<span class="result-error">⚠️ ${msg}</span>`;
+            return;
+        }
+
+        const heightUnit = elements.slantHeightUnit ? elements.slantHeightUnit.value : 'feet';
+        const toMeters = heightUnit === 'feet' ? FEET_TO_METERS : 1;
+        const hLabel = heightUnit === 'feet' ? 'ft' : 'm';
+
+        try {
+            const res = ECEF.lookAngles(site.lat, site.lon, siteH * toMeters, target.lat, target.lon, targetH * toMeters);
+            const ecef = ECEF.toEcef(target.lat, target.lon, targetH * toMeters);
+            const unit = elements.slantUnit ? elements.slantUnit.value : 'NM';
+            const toUnit = m => (unit === 'NM' ? m / METERS_PER_NM : m).toFixed(2);
+            const toHeight = m => (m / toMeters).toFixed(0);
+            const elevPrefix = res.elevation > 0 ? '+' : '';
+
+            display.innerHTML = `
+                <div class="result-row"><span class="label">Slant Range:</span> <span class="val">${toUnit(res.slantRange)} ${unit}</span></div>
+                <div class="result-row"><span class="label">Azimuth:</span> <span class="val">${_formatBearing(res.azimuth, 2)}° (T)</span></div>
+                <div class="result-row"><span class="label">Elevation:</span> <span class="val">${elevPrefix}${res.elevation.toFixed(3)}°</span></div>
+                <div class="result-row"><span class="label">Horizontal Range:</span> <span class="val">${toUnit(res.horizontalRange)} ${unit}</span></div>
+                <div class="result-row"><span class="label">East / North:</span> <span class="val">${toUnit(res.east)} / ${toUnit(res.north)} ${unit}</span></div>
+                <div class="result-row"><span class="label">Up:</span> <span class="val">${toHeight(res.up)} ${hLabel}</span></div>
+                <div class="result-row"><span class="label">Target ECEF:</span> <span class="val">X ${ecef.x.toFixed(1)} m, Y ${ecef.y.toFixed(1)} m, Z ${ecef.z.toFixed(1)} m</span></div>
+                <div class="result-note">Heights above the WGS-84 ellipsoid. Geometric elevation in the site's horizontal plane, no refraction.</div>
+            `;
+        } catch (e) {
+            display.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+        }
+    }
+
+    // --- System Plane Calculation ---
+
+    /**
+     * Shows the inputs of the selected system plane conversion and updates
+     * the distance labels to the current unit.
+     * @private
+     */
+    function _updatePlaneMode() {
+        const mode = elements.planeMode ? elements.planeMode.value : 'geo';
+        const unit = elements.planeUnit ? elements.planeUnit.value : 'NM';
+
+        if (elements.planeGeoInputs) elements.planeGeoInputs.classList.toggle('hidden', mode !== 'geo');
+        if (elements.planeXyInputs) elements.planeXyInputs.classList.toggle('hidden', mode !== 'plane');
+        if (elements.planeRadarInputs) elements.planeRadarInputs.classList.toggle('hidden', mode !== 'radar');
+
+        if (elements.planeXLabel) elements.planeXLabel.textContent = `X (${unit})`;
+        if (elements.planeYLabel) elements.planeYLabel.textContent = `Y (${unit})`;
+        if (elements.planeRangeLabel) elements.planeRangeLabel.textContent = `Slant Range (${unit})`;
+    }
+
+    /**
+     * Runs the stereographic system plane conversion for the selected mode.
+     * @private
+     */
+    function _runSystemPlane() {
+        const display = elements.planeRes;
+        if (!display) return;
+
+        const centre = _validateAndGetCoords('sp_centre', 'plane_res');
+        if (!centre) return;
+
+        const mode = elements.planeMode ? elements.planeMode.value : 'geo';
+        const unit = elements.planeUnit ? elements.planeUnit.value : 'NM';
+        const toMeters = unit === 'NM' ? METERS_PER_NM : 1;
+        const toUnit = m => (m / toMeters).toFixed(unit === 'NM' ? 3 : 1);
+        const note = '<div class="result-note">Conformal stereographic plane tangent at the system centre (WGS-84).</div>';
+        const invalidMsg = (typeof ERROR_MESSAGES !== 'undefined') ? ERROR_MESSAGES.INVALID_NUMBER : 'Must be a number.';
+        const invalid = `<span class="result-error">⚠️ ${invalidMsg}</span>`;
+
+        try {
+            if (mode === 'plane') {
+                const x = parseFloat(elements.planeX ? elements.planeX.value : NaN);
+                const y = parseFloat(elements.planeY ? elements.planeY.value : NaN);
+                if (isNaN(x) || isNaN(y)) {
+                    display.innerHTML = invalid;
+                    return;
+                }
+                const pos = Stereographic.fromPlane(x * toMeters, y * toMeters, centre.lat, centre.lon);
+                display.innerHTML = `<span class="result-success">${_formatCoords(pos.lat, pos.lon)}</span>${note}`;
+                return;
+            }
+
+            if (mode === 'radar') {
+                const radar = _validateAndGetCoords('sp_radar', 'plane_res');
+                if (!radar) return;
+
+                const heightUnit = elements.planeHeightUnit ? elements.planeHeightUnit.value : 'feet';
+                const hToMeters = heightUnit === 'feet' ? FEET_TO_METERS : 1;
+                const range = parseFloat(elements.planeRange ? elements.planeRange.value : NaN);
+                const azimuth = parseFloat(elements.planeAzimuth ? elements.planeAzimuth.value : NaN);
+                const radarH = parseFloat(elements.planeRadarH ? elements.planeRadarH.value : NaN);
+                const targetH = parseFloat(elements.planeTargetH ? elements.planeTargetH.value : NaN);
+
+                if ([range, azimuth, radarH, targetH].some(isNaN)) {
+                    display.innerHTML = invalid;
+                    return;
+                }
+
+                const res = Stereographic.radarPlotToPlane(radar.lat, radar.lon, radarH * hToMeters,
+                    range * toMeters, azimuth, targetH * hToMeters, centre.lat, centre.lon);
+                display.innerHTML = `
+                    <div class="result-row"><span class="label">X / Y:</span> <span class="val">${toUnit(res.x)} / ${toUnit(res.y)} ${unit}</span></div>
+                    <div class="result-row"><span class="label">Position:</span> <span class="val">${_formatCoords(res.lat, res.lon)}</span></div>
+                    <div class="result-row"><span class="label">Elevation:</span> <span class="val">${res.elevation.toFixed(3)}°</span></div>
+                    <div class="result-row"><span class="label">Ground Range:</span> <span class="val">${toUnit(res.groundRange)} ${unit} (plane)</span></div>
+                    <div class="result-row"><span class="label">Scale Factor:</span> <span class="val">${res.scale.toFixed(7)}</span></div>
+                    ${res.belowHorizon ? '<div class="result-note">⚠️ Target below the radar horizon: the straight line of sight passes through the earth.</div>' : ''}
+                    ${note}
+                `;
+                return;
+            }
+
+            const point = _validateAndGetCoords('sp_point', 'plane_res');
+            if (!point) return;
+
+            const res = Stereographic.toPlane(point.lat, point.lon, centre.lat, centre.lon);
+            display.innerHTML = `
+                <div class="result-row"><span class="label">X:</span> <span class="val">${toUnit(res.x)} ${unit}</span></div>
+                <div class="result-row"><span class="label">Y:</span> <span class="val">${toUnit(res.y)} ${unit}</span></div>
+                <div class="result-row"><span class="label">Scale Factor:</span> <span class="val">${res.scale.toFixed(7)}</span></div>
+                ${note}
+            `;
+        } catch (e) {
+            display.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+        }
+    }
+
+    // --- Radio/Radar Horizon Calculation ---
+
+    /**
+     * Updates the range and table step labels to the selected range unit.
+     * @private
+     */
+    function _updateHorizonLabels() {
+        const unit = elements.hzRangeUnit ? elements.hzRangeUnit.value : 'NM';
+        if (elements.hzRangeLabel) elements.hzRangeLabel.textContent = `Range (${unit})`;
+        if (elements.hzStepLabel) elements.hzStepLabel.textContent = `Table Step (${unit})`;
+    }
+
+    /**
+     * Reads the horizon panel inputs, converted to meters.
+     * Empty fields are NaN, except the k-factor which falls back to 4/3.
+     * @returns {Object} { antennaH, targetH, range, step, k, heightUnit, rangeUnit }
+     * @private
+     */
+    function _getHorizonInputs() {
+        const field = el => (el ? el.value.trim() : '');
+        const heightUnit = elements.hzHeightUnit ? elements.hzHeightUnit.value : 'feet';
+        const rangeUnit = elements.hzRangeUnit ? elements.hzRangeUnit.value : 'NM';
+        const hToMeters = heightUnit === 'feet' ? FEET_TO_METERS : 1;
+        const rToMeters = rangeUnit === 'NM' ? METERS_PER_NM : 1000;
+
+        return {
+            antennaH: parseFloat(field(elements.hzAntennaH)) * hToMeters,
+            targetH: parseFloat(field(elements.hzTargetH)) * hToMeters,
+            range: parseFloat(field(elements.hzRange)) * rToMeters,
+            step: parseFloat(field(elements.hzStep)) * rToMeters,
+            k: field(elements.hzK) === '' ? undefined : parseFloat(field(elements.hzK)),
+            heightUnit: heightUnit,
+            rangeUnit: rangeUnit
+        };
+    }
+
+    /**
+     * Formats a distance in meters in both NM and km.
+     * @param {number} m - Distance in meters
+     * @returns {string} e.g. "135.1 NM (250.2 km)"
+     * @private
+     */
+    function _formatNmKm(m) {
+        return `${(m / METERS_PER_NM).toFixed(1)} NM (${(m / 1000).toFixed(1)} km)`;
+    }
+
+    /**
+     * Formats a height in meters in both feet and meters.
+     * @param {number} m - Height in meters
+     * @returns {string} e.g. "5101 ft (1555 m)"
+     * @private
+     */
+    function _formatFtM(m) {
+        return `${Math.round(m / FEET_TO_METERS)} ft (${Math.round(m)} m)`;
+    }
+
+    /**
+     * Calculates and displays the radio horizons and line-of-sight range,
+     * and the coverage floor at the entered range if one is given.
+     * @private
+     */
+    function _runHorizon() {
+        const display = elements.hzRes;
+        if (!display) return;
+
+        const inputs = _getHorizonInputs();
+        const res = Horizon.lineOfSight(inputs.antennaH, inputs.targetH, inputs.k);
+
+        if (res.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${res.msg}</span>`;
+            return;
+        }
+
+        let html = `
+            <div class="result-row"><span class="label">Line-of-Sight Range:</span> <span class="val">${_formatNmKm(res.range)}</span></div>
+            <div class="result-row"><span class="label">Antenna Horizon:</span> <span class="val">${_formatNmKm(res.antennaHorizon)}</span></div>
+            <div class="result-row"><span class="label">Target Horizon:</span> <span class="val">${_formatNmKm(res.targetHorizon)}</span></div>
+        `;
+
+        if (!isNaN(inputs.range)) {
+            const floor = Horizon.minimumAltitude(inputs.antennaH, inputs.range, inputs.k);
+            if (floor.error) {
+                display.innerHTML = `<span class="result-error">⚠️ ${floor.msg}</span>`;
+                return;
+            }
+            html += `<div class="result-row"><span class="label">Coverage Floor at ${_formatNmKm(inputs.range)}:</span> <span class="val">${_formatFtM(floor.altitude)}</span></div>`;
+        }
+
+        html += `<div class="result-note">k = ${res.k.toFixed(3)}, effective earth radius ${(res.effectiveRadius / 1000).toFixed(0)} km. Smooth earth at MSL, no terrain masking.</div>`;
+        display.innerHTML = html;
+    }
+
+    /**
+     * Displays the coverage floor for each table step up to the entered range.
+     * An empty step defaults to 10 range units.
+     * @private
+     */
+    function _runCoverageTable() {
+        const display = elements.hzRes;
+        if (!display) return;
+
+        const inputs = _getHorizonInputs();
+        const step = isNaN(inputs.step) ? 10 * (inputs.rangeUnit === 'NM' ? METERS_PER_NM : 1000) : inputs.step;
+        const res = Horizon.coverageTable(inputs.antennaH, inputs.range, step, inputs.k);
+
+        if (res.error) {
+            display.innerHTML = `<span class="result-error">⚠️ ${res.msg}</span>`;
+            return;
+        }
+
+        const toUnit = m => (inputs.rangeUnit === 'NM' ? m / METERS_PER_NM : m / 1000);
+
+        let html = `<table class="result-table">
+            <thead><tr><th>Range (${inputs.rangeUnit})</th><th>Floor (ft)</th><th>Floor (m)</th></tr></thead><tbody>`;
+        res.rows.forEach(row => {
+            html += `<tr><td>${parseFloat(toUnit(row.range).toFixed(2))}</td><td>${Math.round(row.altitude / FEET_TO_METERS)}</td><td>${Math.round(row.altitude)}</td></tr>`;
+        });
+        html += `</tbody></table>`;
+        html += `<div class="result-note">Antenna horizon ${_formatNmKm(res.antennaHorizon)}. Floor above MSL, smooth earth, no terrain masking.</div>`;
+
+        display.innerHTML = html;
+    }
+
+    // --- Datum Transformation ---
+
+    /**
+     * Transforms the entered position between the selected datums and shows
+     * the published accuracy and the Helmert/Molodensky difference.
+     * @private
+     */
+    function _runDatum() {
+        const display = elements.datumRes;
+        if (!display) return;
+
+        const point = _validateAndGetCoords('dt_point', 'datum_res');
+        if (!point) return;
+
+        const field = elements.datumHeight ? elements.datumHeight.value.trim() : '';
+        const height = field === '' ? 0 : parseFloat(field);
+        if (isNaN(height)) {
+            const msg = (typeof ERROR_MESSAGES !== 'undefined')
+                ? ERROR_MESSAGES.INVALID_ALTITUDE
+                : 'Please enter a valid altitude value.';
+            display.innerHTML = `<span class="result-error">⚠️ ${msg}</span>`;
             return;
         }
 
-        if (brng < -360 || brng > 360) {
+        const heightUnit = elements.datumHeightUnit ? elements.datumHeightUnit.value : 'feet';
+        const toMeters = heightUnit === 'feet' ? FEET_TO_METERS : 1;
+        const hLabel = heightUnit === 'feet' ? 'ft' : 'm';
+        const from = elements.datumFrom ? elements.datumFrom.value : 'WGS84';
+        const to = elements.datumTo ? elements.datumTo.value : 'WGS84';
+        const method = elements.datumMethod ? elements.datumMethod.value : 'helmert';
+
+        try {
+            const res = Datum.transform(point.lat, point.lon, height * toMeters, from, to, method);
+            const other = method === 'molodensky' ? 'Helmert' : 'Molodensky';
+            const sources = Datum.datums()
+                .filter(d => d.id !== 'WGS84' && from !== to && (d.id === from || d.id === to))
+                .map(d => `${d.name} (${d.source})`)
+                .join('; ');
+            const shift = Vincenty.calculateDistance(point.lat, point.lon, res.lat, res.lon, 'karney');
+            const fmt = elements.coordFmt ? elements.coordFmt.value : 'DD';
+            const gridNote = (fmt === 'UTM' || fmt === 'MGRS')
+                ? '<div class="result-note">UTM/MGRS grid values are computed on the WGS 84 ellipsoid.</div>'
+                : '';
+
+            display.innerHTML = `
+                <span class="result-success">${_formatCoords(res.lat, res.lon)}</span>
+                <div class="result-row"><span class="label">Height (${to}):</span> <span class="val">${(res.height / toMeters).toFixed(1)} ${hLabel}</span></div>
+                <div class="result-row"><span class="label">Datum Shift:</span> <span class="val">${shift.distance.toFixed(1)} m, ${_formatBearing(shift.initialBearing, 0)}° (T)</span></div>
+                <div class="result-row"><span class="label">Parameter Accuracy:</span> <span class="val">±${res.accuracy.toFixed(0)} m</span></div>
+                <div class="result-row"><span class="label">${other} Difference:</span> <span class="val">${res.methodDifference.toFixed(2)} m, height ${res.heightDifference.toFixed(2)} m</span></div>
+                <div class="result-note">Parameters: ${sources || 'none (same datum)'}. Published mean values: local accuracy is limited to the stated value.</div>
+                ${gridNote}
+            `;
+        } catch (e) {
+            display.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+        }
+    }
+
+    // --- Point Library ---
+
+    /**
+     * Creates HTML for the point library picker of a coordinate input group.
+     * @param {string} prefix - Input group prefix (e.g., 'r_origin', 'd_start')
+     * @returns {string} HTML string for the picker
+     * @private
+     */
+    function _createPointPicker(prefix) {
+        return `<input type="text" class="input-field point-picker" list="point_library_list" data-prefix="${prefix}"
+                autocomplete="off" spellcheck="false" placeholder="📍 Point library" aria-label="Fill from point library">`;
+    }
+
+    /**
+     * Escapes text for insertion into HTML.
+     * @param {string} text - Text entered or imported by the user
+     * @returns {string} Escaped text
+     * @private
+     */
+    function _escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text).replace(/[&<>"']/g, c => entities[c]);
+    }
+
+    /**
+     * Fills a coordinate input group with a position, in the current format.
+     * @param {string} prefix - Input group prefix
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @private
+     */
+    function _fillCoordGroup(prefix, lat, lon) {
+        SafeStorage.setItem(`${prefix}_lat_dd`, lat);
+        SafeStorage.setItem(`${prefix}_lon_dd`, lon);
+        delete gridErrors[prefix];
+
+        if (document.querySelector(`.coord-row[data-prefix="${prefix}"][data-type="grid"]`)) {
+            _loadGridFromStorage(prefix);
+        } else {
+            _loadCoordsFromStorage(prefix, 'lat');
+            _loadCoordsFromStorage(prefix, 'lon');
+        }
+    }
+
+    /**
+     * Reads the point library from storage and refreshes the picker
+     * suggestions and the library list.
+     * @returns {Promise<void>} Settles when the display is refreshed
+     * @private
+     */
+    function _refreshPointLibrary() {
+        if (typeof PointLibrary === 'undefined') return Promise.resolve();
+
+        return PointLibrary.list()
+            .then(points => {
+                libraryPoints = points;
+                _renderPointDatalist();
+                _renderPointList();
+            })
+            .catch(err => {
+                if (elements.ptList) elements.ptList.innerHTML = `<span class="result-error">⚠️ ${err.message}</span>`;
+            });
+    }
+
+    /**
+     * Lists the type labels of a point.
+     * @param {string[]} tags - Tag ids
+     * @returns {string} Labels joined with '/'
+     * @private
+     */
+    function _tagLabels(tags) {
+        return tags.map(t => POINT_TAGS[t] || t).join('/');
+    }
+
+    /**
+     * Fills the picker suggestions with the library identifiers.
+     * @private
+     */
+    function _renderPointDatalist() {
+        if (!elements.pointDatalist) return;
+        elements.pointDatalist.innerHTML = libraryPoints.map(p => {
+            const label = [p.name, _tagLabels(p.tags)].filter(v => v).join(' · ');
+            return `<option value="${_escapeHtml(p.ident)}">${_escapeHtml(label)}</option>`;
+        }).join('');
+    }
+
+    /**
+     * Shows the library points matching the search text and type filter.
+     * @private
+     */
+    function _renderPointList() {
+        const display = elements.ptList;
+        if (!display) return;
+
+        if (libraryPoints.length === 0) {
+            display.innerHTML = '<div class="result-note">No points saved yet.</div>';
+            return;
+        }
+
+        const query = elements.ptSearch ? elements.ptSearch.value : '';
+        const tag = elements.ptTagFilter ? elements.ptTagFilter.value : '';
+        const matches = PointLibrary.search(libraryPoints, query, tag);
+        if (matches.length === 0) {
+            display.innerHTML = '<div class="result-note">No matching points.</div>';
+            return;
+        }
+
+        const rows = matches.slice(0, POINT_LIST_MAX_ROWS).map(p => {
+            const ident = _escapeHtml(p.ident);
+            return `<tr><td>${ident}</td><td>${_escapeHtml(p.name)}</td><td>${_tagLabels(p.tags)}</td>`
+                + `<td>${_formatCoords(p.lat, p.lon)}</td><td>`
+                + `<button class="row-action-btn" type="button" data-action="edit" data-id="${p.id}" aria-label="Edit ${ident}">✏️</button>`
+                + `<button class="row-action-btn" type="button" data-action="delete" data-id="${p.id}" aria-label="Delete ${ident}">🗑️</button>`
+                + '</td></tr>';
+        }).join('');
+        const more = matches.length > POINT_LIST_MAX_ROWS
+            ? ` First ${POINT_LIST_MAX_ROWS} shown: refine the search.`
+            : '';
+
+        display.innerHTML = `
+            <table class="result-table">
+                <thead><tr><th>Ident</th><th>Name</th><th>Type</th><th>Position</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="result-note">${matches.length} of ${libraryPoints.length} points.${more}</div>
+        `;
+    }
+
+    /**
+     * Saves the point in the library editor, as a new point or over the
+     * point being edited.
+     * @private
+     */
+    function _savePoint() {
+        const display = elements.ptRes;
+        if (!display) return;
+
+        const p = _validateAndGetCoords('pt_point', 'points_res');
+        if (!p) return;
+
+        const tags = Array.from(document.querySelectorAll('.pt-tag:checked')).map(el => el.value);
+        PointLibrary.save({
+            id: editingPointId,
+            ident: elements.ptIdent ? elements.ptIdent.value : '',
+            name: elements.ptName ? elements.ptName.value : '',
+            lat: p.lat,
+            lon: p.lon,
+            tags: tags
+        })
+            .then(saved => {
+                editingPointId = saved.id;
+                if (elements.ptIdent) elements.ptIdent.value = saved.ident;
+                display.innerHTML = `<span class="result-success">Saved ${_escapeHtml(saved.ident)}</span>`;
+                return _refreshPointLibrary();
+            })
+            .catch(err => {
+                display.innerHTML = `<span class="result-error">⚠️ ${err.message}</span>`;
+            });
+    }
+
+    /**
+     * Clears the library editor for a new point. The position is kept.
+     * @private
+     */
+    function _newPoint() {
+        editingPointId = null;
+        if (elements.ptIdent) elements.ptIdent.value = '';
+        if (elements.ptName) elements.ptName.value = '';
+        document.querySelectorAll('.pt-tag').forEach(el => {
+            el.checked = false;
+        });
+        if (elements.ptRes) elements.ptRes.innerHTML = '---';
+    }
+
+    /**
+     * Loads a library point into the editor.
+     * @param {number} id - Storage id of the point
+     * @private
+     */
+    function _editPoint(id) {
+        const point = libraryPoints.find(p => p.id === id);
+        if (!point) return;
+
+        editingPointId = id;
+        if (elements.ptIdent) elements.ptIdent.value = point.ident;
+        if (elements.ptName) elements.ptName.value = point.name;
+        document.querySelectorAll('.pt-tag').forEach(el => {
+            el.checked = point.tags.includes(el.value);
+        });
+        _fillCoordGroup('pt_point', point.lat, point.lon);
+        if (elements.ptRes) elements.ptRes.innerHTML = `Editing ${_escapeHtml(point.ident)}`;
+    }
+
+    /**
+     * Deletes a library point after confirmation.
+     * @param {number} id - Storage id of the point
+     * @private
+     */
+    function _deletePoint(id) {
+        const point = libraryPoints.find(p => p.id === id);
+        if (!point || !window.confirm(`Delete ${point.ident} from the point library?`)) return;
+
+        const display = elements.ptRes;
+        PointLibrary.remove(id)
+            .then(() => {
+                if (editingPointId === id) editingPointId = null;
+                if (display) display.innerHTML = `<span class="result-success">Deleted ${_escapeHtml(point.ident)}</span>`;
+                return _refreshPointLibrary();
+            })
+            .catch(err => {
+                if (display) display.innerHTML = `<span class="result-error">⚠️ ${err.message}</span>`;
+            });
+    }
+
+    /**
+     * Imports the points of the chosen CSV or GeoJSON file. A file with an
+     * invalid line or feature is rejected whole.
+     * @private
+     */
+    function _importPointFile() {
+        const input = elements.ptImportFile;
+        const display = elements.ptRes;
+        const file = input && input.files ? input.files[0] : null;
+        if (!file || !display) return;
+
+        file.text()
+            .then(text => {
+                const isGeoJson = /\.(geo)?json$/i.test(file.name) || text.trim().startsWith('{');
+                const parsed = isGeoJson ? PointLibrary.parseGeoJson(text) : PointLibrary.parseCsv(text);
+                if (parsed.error) throw new Error(parsed.msg);
+
+                return PointLibrary.importPoints(parsed.points).then(counts => {
+                    const skipped = parsed.skipped
+                        ? `<div class="result-note">${parsed.skipped} features without Point geometry skipped.</div>`
+                        : '';
+                    display.innerHTML = `<span class="result-success">Imported ${counts.added + counts.updated} points</span>
+                        <div class="result-row"><span class="label">New:</span> <span class="val">${counts.added}</span></div>
+                        <div class="result-row"><span class="label">Updated:</span> <span class="val">${counts.updated}</span></div>
+                        ${skipped}`;
+                    return _refreshPointLibrary();
+                });
+            })
+            .catch(err => {
+                display.innerHTML = `<span class="result-error">⚠️ ${err.message}</span>`;
+            })
+            .then(() => {
+                // Allow the same file to be imported again
+                input.value = '';
+            });
+    }
+
+    /**
+     * Fills a coordinate input group with the library point chosen in its picker.
+     * @param {HTMLInputElement} picker - Picker input
+     * @private
+     */
+    function _pickPoint(picker) {
+        const ident = picker.value.trim().toUpperCase();
+        picker.value = '';
+        if (!ident) return;
+
+        const point = libraryPoints.find(p => p.ident === ident);
+        if (!point) {
             const msg = (typeof ERROR_MESSAGES !== 'undefined')
-                ? ERROR_MESSAGES.INVALID_BEARING
-                : 'Bearing must be between -360° and +360°';
-            elements.destRes.innerHTML = `<span class="result-error">${msg}</span>`;
+                ? ERROR_MESSAGES.POINT_NOT_FOUND
+                : 'Point not found in the library';
+            const panel = picker.closest('.tab-panel');
+            const display = panel ? panel.querySelector('.result-box') : null;
+            if (display) display.innerHTML = `<span class="result-error">⚠️ ${msg}</span>`;
             return;
         }
 
-        const unit = elements.destUnit ? elements.destUnit.value : 'NM';
-        const distMeters = (unit === 'NM') ? dist * METERS_PER_NM : dist;
+        // Library points are WGS-84; a panel on a legacy datum takes them on that datum
+        const prefix = picker.dataset.prefix;
+        const datumId = _datumOfGroup(prefix);
+        if (datumId === 'WGS84' || typeof Datum === 'undefined') {
+            _fillCoordGroup(prefix, point.lat, point.lon);
+            return;
+        }
+        const pos = Datum.transform(point.lat, point.lon, 0, 'WGS84', datumId);
+        _fillCoordGroup(prefix, pos.lat, pos.lon);
+    }
+
+    /**
+     * Returns the datum selected for the coordinates of an input group.
+     * @param {string} prefix - Input group prefix
+     * @returns {string} Datum key, 'WGS84' for panels without a datum choice
+     * @private
+     */
+    function _datumOfGroup(prefix) {
+        const selectors = {
+            r_origin: elements.rangeDatum,
+            r_dest: elements.rangeDatum,
+            d_start: elements.destDatum,
+            x_start: elements.xtkDatum,
+            x_end: elements.xtkDatum,
+            x_point: elements.xtkDatum,
+            f_p1: elements.fixDatum,
+            f_p2: elements.fixDatum,
+            p_vertex: elements.polyDatum,
+            dt_point: elements.datumFrom
+        };
+        return selectors[prefix] ? selectors[prefix].value : 'WGS84';
+    }
+
+    // --- GIS Export ---
+
+    /**
+     * Converts positions on a panel's datum to WGS-84, as the export formats require.
+     * @param {Object[]} points - Positions { lat, lon }
+     * @param {string} datumId - Datum of the positions
+     * @returns {Object[]} WGS-84 positions { lat, lon }
+     * @private
+     */
+    function _toWgs84(points, datumId) {
+        if (datumId === 'WGS84' || typeof Datum === 'undefined') return points;
+        return points.map(p => {
+            const res = Datum.transform(p.lat, p.lon, 0, datumId, 'WGS84');
+            return { lat: res.lat, lon: res.lon };
+        });
+    }
+
+    /**
+     * Builds a point feature from a position on a panel's datum.
+     * @param {string} name - Feature name
+     * @param {Object} p - Position { lat, lon }
+     * @param {string} datumId - Datum of the position
+     * @returns {Object} GeoExport point feature
+     * @private
+     */
+    function _exportPoint(name, p, datumId) {
+        // Direct solutions may return longitudes past ±180°
+        const pos = _toWgs84([{ lat: p.lat, lon: ((p.lon + 540) % 360) - 180 }], datumId)[0];
+        return { type: 'point', name: name, coordinates: pos };
+    }
+
+    /**
+     * Saves text as a file through a temporary download link.
+     * @param {string} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} mime - Media type
+     * @private
+     */
+    function _downloadFile(content, filename, mime) {
+        const url = URL.createObjectURL(new Blob([content], { type: mime }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
 
+    /**
+     * Writes features in the format chosen on a panel and downloads the file.
+     * @param {HTMLSelectElement} formatEl - Export format selector
+     * @param {Object[]} features - GeoExport features
+     * @param {string} kind - File name part naming the content (e.g. 'range')
+     * @param {string} title - Document name
+     * @param {HTMLElement} display - Result box for errors
+     * @returns {boolean} True if the file was written
+     * @private
+     */
+    function _downloadFeatures(formatEl, features, kind, title, display) {
         try {
-            const dest = Vincenty.calculateDestination(start.lat, start.lon, distMeters, brng);
-            elements.destRes.innerHTML = `<span class="result-success">${_formatCoords(dest.lat, dest.lon)}</span>`;
+            const format = formatEl ? formatEl.value : 'geojson';
+            const file = GeoExport.build(format, features, title);
+            const date = new Date().toISOString().slice(0, 10);
+            _downloadFile(file.content, `atsep-${kind}-${date}.${file.extension}`, file.mime);
+            return true;
         } catch (e) {
-            elements.destRes.innerHTML = `<span class="result-error">Error: ${e.message}</span>`;
+            if (display) display.innerHTML = `<span class="result-error">⚠️ ${e.message}</span>`;
+            return false;
+        }
+    }
+
+    /**
+     * Shows the error for an export requested before a calculation.
+     * @param {HTMLElement} display - Result box
+     * @private
+     */
+    function _showNothingToExport(display) {
+        const msg = (typeof ERROR_MESSAGES !== 'undefined')
+            ? ERROR_MESSAGES.EXPORT_NOTHING
+            : 'Calculate a result before exporting';
+        if (display) display.innerHTML = `<span class="result-error">⚠️ ${msg}</span>`;
+    }
+
+    /**
+     * Exports the last Range calculation: both end points and the geodesic
+     * and/or rhumb line between them, sampled every nautical mile.
+     * @private
+     */
+    function _exportRange() {
+        const display = elements.rangeRes;
+        const r = lastRange;
+        if (!r) {
+            _showNothingToExport(display);
+            return;
+        }
+
+        const round = v => Number(v.toFixed(2));
+        const features = [
+            _exportPoint('Origin', r.p1, r.datumId),
+            _exportPoint('Destination', r.p2, r.datumId)
+        ];
+        try {
+            if (r.res) {
+                const path = GeoExport.geodesicPath(r.p1.lat, r.p1.lon, r.p2.lat, r.p2.lon, { geodesic: r.geodesic, solver: r.solver });
+                features.push({
+                    type: 'line',
+                    name: 'Geodesic',
+                    description: `${(r.res.distance / METERS_PER_NM).toFixed(2)} NM, initial bearing ${_formatBearing(r.res.initialBearing, 1)}°T`,
+                    coordinates: _toWgs84(path, r.datumId),
+                    properties: {
+                        distance_m: round(r.res.distance),
+                        initial_bearing: round(r.res.initialBearing),
+                        final_bearing: round(r.res.finalBearing)
+                    }
+                });
+            }
+            if (r.rhumb) {
+                const path = GeoExport.rhumbPath(r.p1.lat, r.p1.lon, r.rhumb.distance, r.rhumb.bearing, { geodesic: r.geodesic });
+                features.push({
+                    type: 'line',
+                    name: 'Rhumb line',
+                    description: `${(r.rhumb.distance / METERS_PER_NM).toFixed(2)} NM, track ${_formatBearing(r.rhumb.bearing, 1)}°T`,
+                    coordinates: _toWgs84(path, r.datumId),
+                    properties: { distance_m: round(r.rhumb.distance), track: round(r.rhumb.bearing) }
+                });
+            }
+        } catch (e) {
+            if (display) display.innerHTML = `<span class="result-error">⚠️ ${e.message}</span>`;
+            return;
+        }
+
+        _downloadFeatures(elements.rangeExportFmt, features, 'range', 'ATSEP Range', display);
+    }
+
+    /**
+     * Exports the last Destination projection: the start point, the vector
+     * along the geodesic and/or rhumb line, and the end point(s).
+     * @private
+     */
+    function _exportDest() {
+        const display = elements.destRes;
+        const d = lastDest;
+        if (!d) {
+            _showNothingToExport(display);
+            return;
+        }
+
+        const description = `${(d.distMeters / METERS_PER_NM).toFixed(2)} NM on ${_formatBearing(d.trueBrng, 1)}°T`;
+        const properties = { distance_m: Number(d.distMeters.toFixed(2)), bearing: Number(d.trueBrng.toFixed(2)) };
+        const features = [_exportPoint('Start', d.start, d.datumId)];
+        try {
+            if (d.dest) {
+                const path = GeoExport.directPath(d.start.lat, d.start.lon, d.distMeters, d.trueBrng, { geodesic: d.geodesic, solver: d.solver });
+                features.push({ type: 'line', name: 'Geodesic vector', description, coordinates: _toWgs84(path, d.datumId), properties });
+                features.push(_exportPoint('End', d.dest, d.datumId));
+            }
+            if (d.rhumb) {
+                const path = GeoExport.rhumbPath(d.start.lat, d.start.lon, d.distMeters, d.trueBrng, { geodesic: d.geodesic });
+                features.push({ type: 'line', name: 'Rhumb line vector', description, coordinates: _toWgs84(path, d.datumId), properties });
+                features.push(_exportPoint(d.dest ? 'Rhumb end' : 'End', d.rhumb, d.datumId));
+            }
+        } catch (e) {
+            if (display) display.innerHTML = `<span class="result-error">⚠️ ${e.message}</span>`;
+            return;
+        }
+
+        _downloadFeatures(elements.destExportFmt, features, 'destination', 'ATSEP Destination', display);
+    }
+
+    /**
+     * Exports the library points matching the search text and type filter.
+     * The identifier, name and types are written as properties so that a
+     * GeoJSON export can be imported again.
+     * @private
+     */
+    function _exportPoints() {
+        const display = elements.ptRes;
+        const query = elements.ptSearch ? elements.ptSearch.value : '';
+        const tag = elements.ptTagFilter ? elements.ptTagFilter.value : '';
+        const matches = PointLibrary.search(libraryPoints, query, tag);
+
+        const features = matches.map(p => ({
+            type: 'point',
+            name: p.ident,
+            description: [p.name, _tagLabels(p.tags)].filter(v => v).join(' · '),
+            coordinates: { lat: p.lat, lon: p.lon },
+            properties: p.name ? { ident: p.ident, name: p.name, tags: p.tags } : { ident: p.ident, tags: p.tags }
+        }));
+
+        if (_downloadFeatures(elements.ptExportFmt, features, 'points', 'ATSEP Points', display) && display) {
+            display.innerHTML = `<span class="result-success">Exported ${features.length} points</span>`;
         }
     }
 